@@ -1,15 +1,50 @@
 const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
+const path = require('path');
 const canvasRoutes = require('./routes/canvas');
+const fontRoutes = require('./routes/fonts');
+const assetRoutes = require('./routes/assets');
+const { createStore } = require('./store');
+const { loadFonts } = require('./lib/fonts');
+const { loadAssets } = require('./lib/assets');
+const { createImageFetcher } = require('./lib/fetcher');
+const { createEventHub } = require('./lib/events');
+const { errorBody, sendError, toApiError } = require('./lib/errors');
 
 const app = express();
 const port = process.env.PORT || 3000;
 
+// Canvas persistence: CANVAS_STORE=memory (default) or file (JSON files in CANVAS_DATA_DIR)
+const canvasStore = createStore(process.env.CANVAS_STORE, { dir: process.env.CANVAS_DATA_DIR });
+app.set('canvasStore', canvasStore);
+
+// Remote images for /add/image: URL policy, size/time limits and the download cache
+const imageFetcher = createImageFetcher({
+    allowedProtocols: process.env.FETCH_ALLOWED_PROTOCOLS,
+    allowedHosts: process.env.FETCH_ALLOWED_HOSTS,
+    deniedHosts: process.env.FETCH_DENIED_HOSTS,
+    allowPrivate: process.env.FETCH_ALLOW_PRIVATE,
+    maxBytes: process.env.FETCH_MAX_BYTES,
+    maxPixels: process.env.FETCH_MAX_PIXELS,
+    timeout: process.env.FETCH_TIMEOUT_MS,
+    cacheDir: process.env.FETCH_CACHE_DIR
+});
+app.set('imageFetcher', imageFetcher);
+
+// Live change streams for GET /api/canvas/:id/events
+app.set('canvasEvents', createEventHub());
+
+// Uploaded fonts are always kept on disk - node-canvas registers fonts from files
+const fonts = loadFonts(process.env.FONTS_DIR || path.join(process.cwd(), 'data', 'fonts'));
+
+// Image assets are shared by every canvas, so they live outside the canvas store
+const assets = loadAssets(process.env.ASSETS_DIR || path.join(process.cwd(), 'data', 'assets'));
+
 // Middleware - explicit CORS config for file downloads
 app.use(cors({
     origin: '*',
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization'],
     exposedHeaders: ['Content-Disposition', 'Content-Length', 'Content-Type']
 }));
@@ -18,18 +53,33 @@ app.use(bodyParser.urlencoded({ extended: true, limit: '50mb' }));
 
 // Routes
 app.use('/api/canvas', canvasRoutes);
+app.use('/api/fonts', fontRoutes);
+app.use('/api/assets', assetRoutes);
 
 // Health check endpoint
 app.get('/', (req, res) => {
     res.json({ status: 'ok', message: 'Canvas Builder API is running' });
 });
 
-// Global error handler
+// Unknown routes get the same error body as everything else
+app.use((req, res) => {
+    sendError(res, 404, `No route for ${req.method} ${req.path}`);
+});
+
+// Global error handler - errors from lib/ carry their status and code (see lib/errors.js)
 app.use((err, req, res, next) => {
-    console.error(err.stack);
-    res.status(500).json({ error: 'Something went wrong!' });
+    if (res.headersSent) return next(err);
+
+    const error = toApiError(err);
+    if (error.status >= 500) {
+        console.error(`${req.method} ${req.originalUrl} failed:`, err);
+    }
+    res.status(error.status).json(errorBody(error.code, error.message, error.fields));
 });
 
 app.listen(port, '0.0.0.0', () => {
     console.log(`🎨 Canvas Builder API running on port ${port}`);
+    console.log(`💾 Using ${canvasStore.name} canvas store`);
+    console.log(`🔤 ${fonts.length} custom font(s) registered`);
+    console.log(`🖼  ${assets.length} image asset(s) stored`);
 });
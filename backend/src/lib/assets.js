@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { loadImage } = require('canvas');
+const { v4: uuidv4 } = require('uuid');
+const { DECODABLE_TYPES, detectImageType } = require('./imageType');
+const { ApiError } = require('./errors');
+const { writeFileAtomic } = require('./atomicWrite');
+
+// Uploaded images shared by every canvas: the files plus an assets.json manifest in one directory
+// Identical bytes are stored once - the sha256 of the content is the deduplication key
+const MANIFEST = 'assets.json';
+
+// Largest accepted image file
+const MAX_ASSET_BYTES = 10 * 1024 * 1024;
+
+let assetsDir = null;
+let assets = [];
+const byHash = new Map();
+
+// Hash -> promise of the asset being stored, so concurrent uploads of the same bytes store it once
+const pending = new Map();
+
+// Decoded images, loaded on first use and shared by every canvas that references them
+const sources = new Map();
+
+class AssetError extends ApiError {
+    constructor(message, status = 400) {
+        super(status, message);
+        this.name = 'AssetError';
+    }
+}
+
+const assetPath = (asset) => path.join(assetsDir, asset.file);
+
+const index = (asset) => {
+    assets.push(asset);
+    byHash.set(asset.hash, asset);
+};
+
+// Read the manifest from a previous run - called once at startup
+const loadAssets = (dir) => {
+    assetsDir = dir;
+    assets = [];
+    byHash.clear();
+    sources.clear();
+
+    let manifest = [];
+    try {
+        manifest = JSON.parse(fs.readFileSync(path.join(dir, MANIFEST), 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    for (const asset of manifest) {
+        if (fs.existsSync(assetPath(asset))) {
+            index(asset);
+        } else {
+            console.error(`Skipping asset ${asset.id}: ${asset.file} is missing`);
+        }
+    }
+    return assets;
+};
+
+const saveManifest = () => writeFileAtomic(path.join(assetsDir, MANIFEST), JSON.stringify(assets, null, 2));
+
+const hashOf = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Decode, write and index a new asset; returns the asset
+const storeAsset = async (buffer, { hash, mimeType, filename }) => {
+    let image;
+    try {
+        image = await loadImage(buffer);
+    } catch (error) {
+        throw new AssetError('Image file is corrupt or could not be decoded');
+    }
+
+    const id = uuidv4();
+    const asset = {
+        id,
+        hash,
+        mimeType,
+        size: buffer.length,
+        width: image.width,
+        height: image.height,
+        filename,
+        file: `${id}.${DECODABLE_TYPES[mimeType]}`,
+        createdAt: new Date().toISOString()
+    };
+
+    await fs.promises.mkdir(assetsDir, { recursive: true });
+    await fs.promises.writeFile(assetPath(asset), buffer);
+    index(asset);
+    sources.set(id, { buffer, image });
+    await saveManifest();
+
+    return asset;
+};
+
+// Store an uploaded image; returns { asset, created }
+// Bytes that are already stored return the existing asset with created: false
+const addAsset = async (buffer, { filename = null } = {}) => {
+    if (!buffer || buffer.length === 0) {
+        throw new AssetError('Image file is empty');
+    }
+    if (buffer.length > MAX_ASSET_BYTES) {
+        throw new AssetError(`Images cannot exceed ${MAX_ASSET_BYTES / (1024 * 1024)}MB`, 413);
+    }
+
+    const mimeType = detectImageType(buffer);
+    if (!DECODABLE_TYPES[mimeType]) {
+        throw new AssetError(`Images must be one of: ${Object.keys(DECODABLE_TYPES).join(', ')}`, 415);
+    }
+
+    const hash = hashOf(buffer);
+    const existing = byHash.get(hash);
+    if (existing) {
+        return { asset: existing, created: false };
+    }
+    if (pending.has(hash)) {
+        return { asset: await pending.get(hash), created: false };
+    }
+
+    const stored = storeAsset(buffer, { hash, mimeType, filename });
+    pending.set(hash, stored);
+    try {
+        return { asset: await stored, created: true };
+    } finally {
+        pending.delete(hash);
+    }
+};
+
+const getAsset = (assetId) => assets.find(asset => asset.id === assetId) || null;
+
+// Public view of a stored asset
+const describeAsset = ({ id, hash, mimeType, size, width, height, filename, createdAt }) =>
+    ({ id, hash, mimeType, size, width, height, filename, createdAt, url: `/api/assets/${id}` });
+
+const listAssets = () => assets.map(describeAsset);
+
+// { buffer, image } for an image element's assetId, or null when the asset is unknown
+const loadAssetSource = async (assetId) => {
+    if (sources.has(assetId)) return sources.get(assetId);
+
+    const asset = getAsset(assetId);
+    if (!asset) return null;
+
+    const buffer = await fs.promises.readFile(assetPath(asset));
+    const source = { buffer, image: await loadImage(buffer) };
+    sources.set(assetId, source);
+    return source;
+};
+
+module.exports = {
+    MAX_ASSET_BYTES,
+    loadAssets,
+    addAsset,
+    getAsset,
+    listAssets,
+    describeAsset,
+    assetPath,
+    loadAssetSource,
+    AssetError
+};
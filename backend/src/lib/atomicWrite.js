@@ -0,0 +1,34 @@
+const fs = require('fs');
+
+// Write a file through a temporary copy and a rename, so readers and crashes never see a
+// half-written file. Every write gets its own temporary name, and writes to one path are
+// applied in call order - the last call always wins, however the disk I/O interleaves
+
+let counter = 0;
+
+// Path -> promise of the write in progress
+const queues = new Map();
+
+const writeOnce = async (file, data) => {
+    const tmp = `${file}.${process.pid}.${++counter}.tmp`;
+    try {
+        await fs.promises.writeFile(tmp, data);
+        await fs.promises.rename(tmp, file);
+    } catch (error) {
+        await fs.promises.rm(tmp, { force: true });
+        throw error;
+    }
+};
+
+const writeFileAtomic = (file, data) => {
+    const previous = queues.get(file) || Promise.resolve();
+    const write = previous.catch(() => {}).then(() => writeOnce(file, data));
+    queues.set(file, write);
+    // Forget the path once nothing else is queued behind this write
+    write.catch(() => {}).then(() => {
+        if (queues.get(file) === write) queues.delete(file);
+    });
+    return write;
+};
+
+module.exports = { writeFileAtomic };
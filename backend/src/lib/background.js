@@ -0,0 +1,79 @@
+// Page backgrounds shared by the canvas, PDF and SVG renderers
+//
+//   '#ffffff'                              - a solid color (the default)
+//   'transparent'                          - nothing; PNG previews keep their alpha channel
+//   { type: 'linear' | 'radial', ... }     - a gradient, as for element fills, in page coordinates
+//   { type: 'image', assetId, fit, color } - an asset library image over the whole page, placed by
+//                                            an image fit mode (default cover), on an optional color
+const { validatePaint } = require('./style');
+const { validateImageOptions } = require('./imageOptions');
+
+const DEFAULT_BACKGROUND = '#ffffff';
+const TRANSPARENT = 'transparent';
+
+const BACKGROUND_TYPES = ['linear', 'radial', 'image'];
+
+// Color or gradient painted under everything, or null
+const backgroundPaint = (background) => {
+    if (background === TRANSPARENT) return null;
+    if (background.type === 'image') {
+        return background.color && background.color !== TRANSPARENT ? background.color : null;
+    }
+    return background;
+};
+
+// An image background as an image element covering the page, or null
+// Drawing it like any other image element keeps fit modes identical across renderers
+const backgroundImage = ({ width, height, background }) => {
+    if (background.type !== 'image') return null;
+    return {
+        type: 'image',
+        assetId: background.assetId,
+        x: 0,
+        y: 0,
+        width,
+        height,
+        fit: background.fit || 'cover'
+    };
+};
+
+// Asset an image background draws, or null
+const backgroundAssetId = (background) =>
+    (background && background.type === 'image' ? background.assetId : null);
+
+// Returns a list of { field, message } problems
+const validateBackground = (background, field = 'background') => {
+    const errors = [];
+    const isObject = background && typeof background === 'object' && !Array.isArray(background);
+
+    if (!(typeof background === 'string' && background.length > 0) &&
+        !(isObject && BACKGROUND_TYPES.includes(background.type))) {
+        errors.push({
+            field,
+            message: 'must be a color string, "transparent", a linear or radial gradient, or an image background'
+        });
+        return errors;
+    }
+
+    if (background.type !== 'image') {
+        validatePaint(background, field, errors);
+        return errors;
+    }
+
+    if (typeof background.assetId !== 'string' || background.assetId.length === 0) {
+        errors.push({ field: `${field}.assetId`, message: 'must be the id of an image asset' });
+    }
+    errors.push(...validateImageOptions({ fit: background.fit }, `${field}.`));
+    if (background.color !== undefined && background.color !== TRANSPARENT) {
+        validatePaint(background.color, `${field}.color`, errors);
+    }
+    return errors;
+};
+
+module.exports = {
+    DEFAULT_BACKGROUND,
+    backgroundPaint,
+    backgroundImage,
+    backgroundAssetId,
+    validateBackground
+};
@@ -0,0 +1,54 @@
+// CSS color strings accepted wherever an element, run, gradient stop or background takes a color
+//
+//   #rgb, #rgba, #rrggbb, #rrggbbaa
+//   rgb(...), rgba(...), hsl(...), hsla(...) - comma or space separated, optional alpha
+//   a CSS named color, or transparent
+// Anything else would be silently ignored by node-canvas, leaving the previous color in place.
+
+const NAMED_COLORS = new Set(`
+    aliceblue antiquewhite aqua aquamarine azure beige bisque black blanchedalmond blue blueviolet brown
+    burlywood cadetblue chartreuse chocolate coral cornflowerblue cornsilk crimson cyan darkblue darkcyan
+    darkgoldenrod darkgray darkgreen darkgrey darkkhaki darkmagenta darkolivegreen darkorange darkorchid
+    darkred darksalmon darkseagreen darkslateblue darkslategray darkslategrey darkturquoise darkviolet
+    deeppink deepskyblue dimgray dimgrey dodgerblue firebrick floralwhite forestgreen fuchsia gainsboro
+    ghostwhite gold goldenrod gray green greenyellow grey honeydew hotpink indianred indigo ivory khaki
+    lavender lavenderblush lawngreen lemonchiffon lightblue lightcoral lightcyan lightgoldenrodyellow
+    lightgray lightgreen lightgrey lightpink lightsalmon lightseagreen lightskyblue lightslategray
+    lightslategrey lightsteelblue lightyellow lime limegreen linen magenta maroon mediumaquamarine
+    mediumblue mediumorchid mediumpurple mediumseagreen mediumslateblue mediumspringgreen mediumturquoise
+    mediumvioletred midnightblue mintcream mistyrose moccasin navajowhite navy oldlace olive olivedrab
+    orange orangered orchid palegoldenrod palegreen paleturquoise palevioletred papayawhip peachpuff peru
+    pink plum powderblue purple rebeccapurple red rosybrown royalblue saddlebrown salmon sandybrown
+    seagreen seashell sienna silver skyblue slateblue slategray slategrey snow springgreen steelblue tan
+    teal thistle tomato turquoise violet wheat white whitesmoke yellow yellowgreen transparent
+`.trim().split(/\s+/));
+
+const HEX = /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+const NUMBER = '[+-]?(?:\\d+\\.?\\d*|\\.\\d+)';
+const PERCENT = `${NUMBER}%`;
+const ALPHA = `(?:${NUMBER}|${PERCENT})`;
+const HUE = `${NUMBER}(?:deg|rad|grad|turn)?`;
+
+// rgb(255, 0, 0) / rgba(255, 0, 0, 0.5) / rgb(255 0 0 / 50%), with numbers or percentages
+const RGB = new RegExp(
+    `^rgba?\\(\\s*(?:${NUMBER}|${PERCENT})(?:(?:\\s*,\\s*|\\s+)(?:${NUMBER}|${PERCENT})){2}` +
+    `(?:\\s*[,/]\\s*${ALPHA})?\\s*\\)$`,
+    'i'
+);
+// hsl(120, 50%, 50%) / hsla(120deg 50% 50% / 0.5)
+const HSL = new RegExp(
+    `^hsla?\\(\\s*${HUE}(?:\\s*,\\s*|\\s+)${PERCENT}(?:\\s*,\\s*|\\s+)${PERCENT}` +
+    `(?:\\s*[,/]\\s*${ALPHA})?\\s*\\)$`,
+    'i'
+);
+
+const isColor = (value) => {
+    if (typeof value !== 'string') return false;
+    const color = value.trim();
+    return HEX.test(color) || RGB.test(color) || HSL.test(color) || NAMED_COLORS.has(color.toLowerCase());
+};
+
+const COLOR_MESSAGE = 'must be a CSS color (hex, rgb(), hsl() or a color name)';
+
+module.exports = { isColor, COLOR_MESSAGE };
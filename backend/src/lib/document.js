@@ -0,0 +1,454 @@
+const { loadImage } = require('canvas');
+const { v4: uuidv4 } = require('uuid');
+const { detectImageType, toDataUri } = require('./imageType');
+const { parsePathData } = require('./pathData');
+const { validateStyle } = require('./style');
+const { validateTransform } = require('./transform');
+const { validateTextLayout, isFontFamily, FONT_FAMILY_MESSAGE } = require('./textLayout');
+const { isColor, COLOR_MESSAGE } = require('./color');
+const { validateImageOptions, imageKey, withImageSize } = require('./imageOptions');
+const { addAsset, loadAssetSource, AssetError } = require('./assets');
+const { mapElements } = require('./groups');
+const { validateLayer } = require('./layers');
+const { DEFAULT_BACKGROUND, backgroundAssetId, validateBackground } = require('./background');
+const { ApiError } = require('./errors');
+
+// Bump when the document layout changes; parseDocument accepts SUPPORTED_VERSIONS
+// v1: single page (width/height/background/elements at the root)
+// v2: ordered pages, each with its own size, background and elements; optional canvas layers
+//     that top-level elements name with layerId
+const FORMAT = 'canvas-builder';
+const VERSION = 2;
+const SUPPORTED_VERSIONS = [1, 2];
+
+const MAX_DIMENSION = 5000;
+
+// ============================================
+// Export
+// ============================================
+
+// Bytes of an image source as a data URI, or null when they are missing
+const sourceData = (record, key) => {
+    const source = record.images.get(key);
+    return source ? toDataUri(source.buffer) : null;
+};
+
+// Portable form of a canvas - image elements and image backgrounds carry their bytes
+// as a data URI, asset-backed ones keep their assetId too
+const toDocument = (record) => ({
+    format: FORMAT,
+    version: VERSION,
+    layers: record.layers,
+    pages: record.pages.map(({ id, width, height, background, elements }) => ({
+        id,
+        width,
+        height,
+        background: backgroundAssetId(background)
+            ? { ...background, data: sourceData(record, background.assetId) }
+            : background,
+        elements: mapElements(elements, (element) => {
+            if (element.type !== 'image') return element;
+
+            const { imageId, ...rest } = element;
+            return { ...rest, data: sourceData(record, imageKey(element)) };
+        })
+    }))
+});
+
+// ============================================
+// Validation
+// ============================================
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isNonEmptyString = (value) => typeof value === 'string' && value.length > 0;
+const isPoint = (value) => value && isNumber(value.x) && isNumber(value.y);
+const isDataUri = (value) => isNonEmptyString(value) && value.startsWith('data:') && value.includes(';base64,');
+
+const isPathData = (value) => {
+    if (!isNonEmptyString(value)) return false;
+    try {
+        parsePathData(value);
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// Field checks per element type: [field, test, message, optional]
+const ELEMENT_FIELDS = {
+    rectangle: [
+        ['x', isNumber, 'must be a number'],
+        ['y', isNumber, 'must be a number'],
+        ['width', v => isNumber(v) && v >= 0, 'must be a non-negative number'],
+        ['height', v => isNumber(v) && v >= 0, 'must be a non-negative number'],
+        ['cornerRadius', v => isNumber(v) && v >= 0, 'must be a non-negative number', true],
+        ['color', isColor, COLOR_MESSAGE, true],
+        ['isFilled', v => typeof v === 'boolean', 'must be a boolean', true]
+    ],
+    circle: [
+        ['x', isNumber, 'must be a number'],
+        ['y', isNumber, 'must be a number'],
+        ['radius', v => isNumber(v) && v > 0, 'must be a positive number'],
+        ['color', isColor, COLOR_MESSAGE, true],
+        ['isFilled', v => typeof v === 'boolean', 'must be a boolean', true]
+    ],
+    ellipse: [
+        ['x', isNumber, 'must be a number'],
+        ['y', isNumber, 'must be a number'],
+        ['radiusX', v => isNumber(v) && v > 0, 'must be a positive number'],
+        ['radiusY', v => isNumber(v) && v > 0, 'must be a positive number'],
+        ['color', isColor, COLOR_MESSAGE, true],
+        ['isFilled', v => typeof v === 'boolean', 'must be a boolean', true]
+    ],
+    line: [
+        ['x1', isNumber, 'must be a number'],
+        ['y1', isNumber, 'must be a number'],
+        ['x2', isNumber, 'must be a number'],
+        ['y2', isNumber, 'must be a number'],
+        ['color', isColor, COLOR_MESSAGE, true]
+    ],
+    arrow: [
+        ['x1', isNumber, 'must be a number'],
+        ['y1', isNumber, 'must be a number'],
+        ['x2', isNumber, 'must be a number'],
+        ['y2', isNumber, 'must be a number'],
+        ['headSize', v => isNumber(v) && v > 0, 'must be a positive number', true],
+        ['color', isColor, COLOR_MESSAGE, true]
+    ],
+    polygon: [
+        ['points', v => Array.isArray(v) && v.length >= 3 && v.every(isPoint), 'must be an array of at least 3 { x, y } points'],
+        ['color', isColor, COLOR_MESSAGE, true],
+        ['isFilled', v => typeof v === 'boolean', 'must be a boolean', true]
+    ],
+    path: [
+        ['d', isPathData, 'must be valid SVG path data'],
+        ['x', isNumber, 'must be a number', true],
+        ['y', isNumber, 'must be a number', true],
+        ['color', isColor, COLOR_MESSAGE, true],
+        ['isFilled', v => typeof v === 'boolean', 'must be a boolean', true]
+    ],
+    text: [
+        ['text', isNonEmptyString, 'must be a non-empty string'],
+        ['x', isNumber, 'must be a number'],
+        ['y', isNumber, 'must be a number'],
+        ['fontSize', v => isNumber(v) && v > 0, 'must be a positive number', true],
+        ['fontFamily', isFontFamily, FONT_FAMILY_MESSAGE, true],
+        ['color', isColor, COLOR_MESSAGE, true]
+    ],
+    image: [
+        ['x', isNumber, 'must be a number'],
+        ['y', isNumber, 'must be a number'],
+        // 0 means the size of the (cropped) bitmap, as on /add/image
+        ['width', v => isNumber(v) && v >= 0, 'must be a non-negative number'],
+        ['height', v => isNumber(v) && v >= 0, 'must be a non-negative number'],
+        ['data', isDataUri, 'must be a base64 data URI'],
+        ['assetId', isNonEmptyString, 'must be a string', true]
+    ],
+    group: [
+        ['x', isNumber, 'must be a number'],
+        ['y', isNumber, 'must be a number'],
+        ['children', Array.isArray, 'must be an array'],
+        ['name', isNonEmptyString, 'must be a non-empty string', true]
+    ]
+};
+
+const ELEMENT_DEFAULTS = {
+    rectangle: { cornerRadius: 0, color: '#000000', isFilled: true },
+    circle: { color: '#000000', isFilled: true },
+    ellipse: { color: '#000000', isFilled: true },
+    line: { color: '#000000' },
+    arrow: { headSize: 12, color: '#000000' },
+    polygon: { color: '#000000', isFilled: true },
+    path: { x: 0, y: 0, color: '#000000', isFilled: false },
+    text: { fontSize: 16, fontFamily: 'Arial', color: '#000000', align: 'left' },
+    image: {},
+    group: {}
+};
+
+// Outside documents, image elements place an asset library image by its assetId instead of carrying data
+const ASSET_IMAGE_FIELDS = [
+    ...ELEMENT_FIELDS.image.filter(([field]) => field !== 'data' && field !== 'assetId'),
+    ['assetId', isNonEmptyString, 'must be the id of an image asset']
+];
+
+const validateElement = (element, path, errors, seenIds, { assetImages = false } = {}) => {
+    if (!element || typeof element !== 'object' || Array.isArray(element)) {
+        errors.push({ field: path, message: 'must be an object' });
+        return;
+    }
+
+    if (!ELEMENT_FIELDS[element.type]) {
+        errors.push({ field: `${path}.type`, message: `must be one of: ${Object.keys(ELEMENT_FIELDS).join(', ')}` });
+        return;
+    }
+
+    if (element.id !== undefined) {
+        if (!isNonEmptyString(element.id)) {
+            errors.push({ field: `${path}.id`, message: 'must be a non-empty string' });
+        } else if (seenIds.has(element.id)) {
+            errors.push({ field: `${path}.id`, message: `duplicates another element id "${element.id}"` });
+        } else {
+            seenIds.add(element.id);
+        }
+    }
+
+    const fields = assetImages && element.type === 'image' ? ASSET_IMAGE_FIELDS : ELEMENT_FIELDS[element.type];
+    for (const [field, test, message, optional] of fields) {
+        const value = element[field];
+        if (value === undefined && optional) continue;
+        if (value === undefined) {
+            errors.push({ field: `${path}.${field}`, message: 'is required' });
+        } else if (!test(value)) {
+            errors.push({ field: `${path}.${field}`, message });
+        }
+    }
+
+    errors.push(...validateStyle(element, `${path}.`));
+    errors.push(...validateTransform(element.transform, `${path}.`));
+    if (element.type === 'text') {
+        errors.push(...validateTextLayout(element, `${path}.`));
+    }
+    if (element.type === 'image') {
+        errors.push(...validateImageOptions(element, `${path}.`));
+    }
+    if (element.type === 'group' && Array.isArray(element.children)) {
+        element.children.forEach((child, index) =>
+            validateElement(child, `${path}.children[${index}]`, errors, seenIds, { assetImages }));
+    }
+};
+
+// Problems with an element created outside a document, such as by a batch operation
+// seenIds holds the ids already in use; the element's own ids are added to it
+const validateNewElement = (element, path, seenIds) => {
+    const errors = [];
+    validateElement(element, path, errors, seenIds, { assetImages: true });
+    return errors;
+};
+
+// Size, background and elements of one page; prefix is the page's path in the document
+const validatePage = (page, prefix, errors, seenIds) => {
+    for (const field of ['width', 'height']) {
+        const value = page[field];
+        if (!Number.isInteger(value) || value <= 0 || value > MAX_DIMENSION) {
+            errors.push({ field: `${prefix}${field}`, message: `must be an integer between 1 and ${MAX_DIMENSION}` });
+        }
+    }
+
+    if (page.background !== undefined) {
+        errors.push(...validateBackground(page.background, `${prefix}background`));
+        if (backgroundAssetId(page.background) && !isDataUri(page.background.data)) {
+            errors.push({ field: `${prefix}background.data`, message: 'must be a base64 data URI' });
+        }
+    }
+
+    if (!Array.isArray(page.elements)) {
+        errors.push({ field: `${prefix}elements`, message: 'must be an array' });
+    } else {
+        page.elements.forEach((element, index) =>
+            validateElement(element, `${prefix}elements[${index}]`, errors, seenIds));
+    }
+};
+
+// Canvas layers of a v2 document, and the layerId of each top-level element
+const validateLayers = (doc, errors) => {
+    const layerIds = new Set();
+
+    if (doc.layers !== undefined) {
+        if (!Array.isArray(doc.layers) || doc.layers.length === 0) {
+            errors.push({ field: 'layers', message: 'must be a non-empty array' });
+        } else {
+            doc.layers.forEach((layer, index) => {
+                const path = `layers[${index}]`;
+                if (!layer || typeof layer !== 'object' || Array.isArray(layer)) {
+                    errors.push({ field: path, message: 'must be an object' });
+                    return;
+                }
+                if (layer.id !== undefined) {
+                    if (!isNonEmptyString(layer.id) || layerIds.has(layer.id)) {
+                        errors.push({ field: `${path}.id`, message: 'must be a unique non-empty string' });
+                    }
+                    layerIds.add(layer.id);
+                }
+                if (layer.name === undefined) {
+                    errors.push({ field: `${path}.name`, message: 'is required' });
+                }
+                errors.push(...validateLayer(layer, `${path}.`));
+            });
+        }
+    }
+
+    doc.pages.forEach((page, pageIndex) => {
+        if (!page || !Array.isArray(page.elements)) return;
+        page.elements.forEach((element, index) => {
+            if (element && element.layerId !== undefined && !layerIds.has(element.layerId)) {
+                errors.push({
+                    field: `pages[${pageIndex}].elements[${index}].layerId`,
+                    message: 'must be the id of one of the document layers'
+                });
+            }
+        });
+    });
+};
+
+// Returns a list of { field, message } problems; empty when the document is valid
+const validateDocument = (doc) => {
+    const errors = [];
+
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+        return [{ field: '(root)', message: 'must be a JSON object' }];
+    }
+
+    if (doc.format !== FORMAT) {
+        errors.push({ field: 'format', message: `must be "${FORMAT}"` });
+    }
+    if (!SUPPORTED_VERSIONS.includes(doc.version)) {
+        errors.push({ field: 'version', message: `must be one of: ${SUPPORTED_VERSIONS.join(', ')}` });
+    }
+
+    const seenIds = new Set();
+
+    if (doc.version === 1) {
+        validatePage(doc, '', errors, seenIds);
+    } else if (!Array.isArray(doc.pages) || doc.pages.length === 0) {
+        errors.push({ field: 'pages', message: 'must be a non-empty array' });
+    } else {
+        const seenPageIds = new Set();
+        doc.pages.forEach((page, index) => {
+            const path = `pages[${index}]`;
+            if (!page || typeof page !== 'object' || Array.isArray(page)) {
+                errors.push({ field: path, message: 'must be an object' });
+                return;
+            }
+            if (page.id !== undefined) {
+                if (!isNonEmptyString(page.id) || seenPageIds.has(page.id)) {
+                    errors.push({ field: `${path}.id`, message: 'must be a unique non-empty string' });
+                }
+                seenPageIds.add(page.id);
+            }
+            validatePage(page, `${path}.`, errors, seenIds);
+        });
+        validateLayers(doc, errors);
+    }
+
+    return errors;
+};
+
+// ============================================
+// Import
+// ============================================
+
+// Element with its type's defaults and an id filled in, group children included
+const withElementDefaults = (element) => {
+    const parsed = { ...ELEMENT_DEFAULTS[element.type], ...element, id: element.id || uuidv4() };
+    if (parsed.type === 'group') {
+        parsed.children = element.children.map(withElementDefaults);
+    }
+    return parsed;
+};
+
+class DocumentValidationError extends ApiError {
+    constructor(fields) {
+        super(400, 'Invalid canvas document', { code: 'invalid_document', fields });
+        this.name = 'DocumentValidationError';
+    }
+}
+
+// Validate a document and turn it into createCanvasRecord options (images decoded)
+const parseDocument = async (doc) => {
+    const errors = validateDocument(doc);
+    if (errors.length > 0) {
+        throw new DocumentValidationError(errors);
+    }
+
+    // v1 documents are a single page stored at the root
+    const pages = doc.version === 1 ? [doc] : doc.pages;
+    const images = new Map();
+    const parsedPages = [];
+
+    // Image bytes of a data URI; field names it in errors
+    const decodeData = (data, field) => {
+        const buffer = Buffer.from(data.slice(data.indexOf(';base64,') + 8), 'base64');
+        if (!detectImageType(buffer)) {
+            throw new DocumentValidationError([{ field, message: 'is not a supported image format' }]);
+        }
+        return buffer;
+    };
+
+    // Asset-backed images go back into the asset store; identical bytes
+    // resolve to the asset that already holds them. Returns the asset id
+    const importAsset = async (buffer, field) => {
+        let stored;
+        try {
+            stored = await addAsset(buffer);
+        } catch (error) {
+            if (!(error instanceof AssetError)) throw error;
+            throw new DocumentValidationError([{ field, message: error.message }]);
+        }
+        images.set(stored.asset.id, await loadAssetSource(stored.asset.id));
+        return stored.asset.id;
+    };
+
+    // Elements with defaults and ids filled in, image bytes decoded; path names them in errors
+    const parseElements = async (list, path) => {
+        const parsedElements = [];
+
+        for (const [index, { data, ...element }] of list.entries()) {
+            const parsed = { ...ELEMENT_DEFAULTS[element.type], ...element, id: element.id || uuidv4() };
+
+            if (parsed.type === 'group') {
+                parsed.children = await parseElements(element.children, `${path}[${index}].children`);
+            }
+
+            if (parsed.type === 'image') {
+                const field = `${path}[${index}].data`;
+                const buffer = decodeData(data, field);
+
+                if (parsed.assetId) {
+                    parsed.assetId = await importAsset(buffer, field);
+                } else {
+                    parsed.imageId = uuidv4();
+                    images.set(parsed.imageId, { buffer, image: await loadImage(buffer) });
+                }
+                parsedElements.push(withImageSize(parsed, images.get(imageKey(parsed)).image));
+                continue;
+            }
+
+            parsedElements.push(parsed);
+        }
+        return parsedElements;
+    };
+
+    for (const [pageIndex, page] of pages.entries()) {
+        const prefix = doc.version === 1 ? '' : `pages[${pageIndex}].`;
+        const elements = await parseElements(page.elements, `${prefix}elements`);
+
+        let background = page.background || DEFAULT_BACKGROUND;
+        if (backgroundAssetId(background)) {
+            const { data, ...rest } = background;
+            const field = `${prefix}background.data`;
+            background = { ...rest, assetId: await importAsset(decodeData(data, field), field) };
+        }
+
+        parsedPages.push({
+            // v1 pages carry no id; createPage assigns one
+            id: doc.version === 1 ? undefined : page.id,
+            width: page.width,
+            height: page.height,
+            background,
+            elements
+        });
+    }
+
+    return { pages: parsedPages, images, layers: doc.version === 1 ? null : doc.layers };
+};
+
+module.exports = {
+    toDocument,
+    parseDocument,
+    validateDocument,
+    validateNewElement,
+    withElementDefaults,
+    DocumentValidationError,
+    FORMAT,
+    VERSION
+};
@@ -0,0 +1,73 @@
+// Error responses shared by every route
+//
+//   { error: { code, message, fields: [{ field, message }] } }
+// code is a stable machine-readable name, message is for people, and fields lists the
+// problems with individual request fields (empty when the error is not about one).
+// Errors thrown as an ApiError, or one of its subclasses in lib/, reach the global handler in
+// index.js with their own status; anything else is answered with a 500.
+
+// Code used for a status when none is given
+const STATUS_CODES = {
+    400: 'invalid_request',
+    403: 'forbidden',
+    404: 'not_found',
+    409: 'conflict',
+    413: 'payload_too_large',
+    415: 'unsupported_media_type',
+    500: 'internal_error',
+    502: 'upstream_error',
+    504: 'timeout'
+};
+
+const statusCode = (status) => STATUS_CODES[status] || (status >= 500 ? 'internal_error' : 'invalid_request');
+
+class ApiError extends Error {
+    constructor(status, message, { code = statusCode(status), fields = [] } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.fields = fields;
+    }
+}
+
+// Request fields that failed their schema (see lib/schema.js)
+class ValidationError extends ApiError {
+    constructor(fields, message = 'Invalid request') {
+        super(400, message, { code: 'validation_failed', fields });
+        this.name = 'ValidationError';
+    }
+}
+
+const errorBody = (code, message, fields = []) => ({ error: { code, message, fields } });
+
+// Answer a request with an error; field-level problems make it a validation failure
+const sendError = (res, status, message, { fields = [], code = fields.length > 0 ? 'validation_failed' : statusCode(status) } = {}) =>
+    res.status(status).json(errorBody(code, message, fields));
+
+// Errors raised by Express middleware rather than by our own code
+const MIDDLEWARE_ERRORS = {
+    'entity.parse.failed': [400, 'invalid_json', 'Request body is not valid JSON'],
+    'entity.too.large': [413, 'payload_too_large', 'Request body is too large'],
+    'encoding.unsupported': [415, 'unsupported_media_type', 'Request body encoding is not supported']
+};
+
+// Any thrown error as an ApiError - unexpected errors become a generic 500
+const toApiError = (error) => {
+    if (error instanceof ApiError) return error;
+
+    if (MIDDLEWARE_ERRORS[error.type]) {
+        const [status, code, message] = MIDDLEWARE_ERRORS[error.type];
+        return new ApiError(status, message, { code });
+    }
+    // Multer upload limits and malformed multipart bodies
+    if (error.name === 'MulterError') {
+        return error.code === 'LIMIT_FILE_SIZE'
+            ? new ApiError(413, 'Uploaded file is too large', { code: 'payload_too_large' })
+            : new ApiError(400, error.message, { code: 'invalid_upload' });
+    }
+
+    return new ApiError(500, 'Something went wrong!');
+};
+
+module.exports = { ApiError, ValidationError, statusCode, errorBody, sendError, toApiError };
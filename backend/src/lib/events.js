@@ -0,0 +1,67 @@
+// Live change streams for GET /api/canvas/:id/events
+//
+// Every saved change to a canvas is sent to that canvas's open streams as a server-sent event:
+//   id: <revision>
+//   data: { type, revision, ...details }
+// Streams belong to this process - with several API processes behind a load balancer, clients
+// only hear about changes made through the process they are connected to.
+
+const HEARTBEAT_INTERVAL = 25000;
+
+const createEventHub = ({ heartbeat = HEARTBEAT_INTERVAL } = {}) => {
+    // canvas id -> open responses
+    const streams = new Map();
+
+    const send = (res, event) => {
+        res.write(`id: ${event.revision}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    // Comment lines keep proxies from closing quiet connections
+    const timer = setInterval(() => {
+        for (const clients of streams.values()) {
+            for (const res of clients) res.write(': keep-alive\n\n');
+        }
+    }, heartbeat);
+    timer.unref();
+
+    // Turn a request into an event stream; the first event tells the client where the canvas stands
+    const subscribe = (canvasId, req, res, initial) => {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            // Stops nginx from buffering the stream
+            'X-Accel-Buffering': 'no'
+        });
+        send(res, initial);
+
+        if (!streams.has(canvasId)) streams.set(canvasId, new Set());
+        streams.get(canvasId).add(res);
+
+        req.on('close', () => {
+            const clients = streams.get(canvasId);
+            if (!clients) return;
+            clients.delete(res);
+            if (clients.size === 0) streams.delete(canvasId);
+        });
+    };
+
+    const publish = (canvasId, event) => {
+        for (const res of streams.get(canvasId) || []) {
+            send(res, event);
+        }
+    };
+
+    // Send a last event and end every stream of a canvas, e.g. once it is deleted
+    const close = (canvasId, event) => {
+        for (const res of streams.get(canvasId) || []) {
+            send(res, event);
+            res.end();
+        }
+        streams.delete(canvasId);
+    };
+
+    return { subscribe, publish, close };
+};
+
+module.exports = { createEventHub };
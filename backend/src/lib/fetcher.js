@@ -0,0 +1,359 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const path = require('path');
+const { loadImage } = require('canvas');
+const { DECODABLE_TYPES, detectImageType } = require('./imageType');
+const { ApiError } = require('./errors');
+const { writeFileAtomic } = require('./atomicWrite');
+
+// Downloads remote images for /add/image and PATCH url changes
+// - URLs must use an allowed protocol and pass the host allow/deny lists
+// - hosts resolving to private, loopback or link-local addresses are refused; the check runs
+//   when each connection is made, so redirects and DNS rebinding can't get around it
+// - responses are capped in bytes and time, and must sniff as an image node-canvas decodes
+// - decoded images are capped in pixels, since a small file can hold a huge bitmap
+// Successful downloads are cached by URL: an in-memory LRU, plus an optional disk cache
+
+const DEFAULTS = {
+    allowedProtocols: ['http:', 'https:'],
+    // Empty: any host that is not denied
+    allowedHosts: [],
+    deniedHosts: [],
+    allowPrivate: false,
+    maxBytes: 10 * 1024 * 1024,
+    maxPixels: 50 * 1000 * 1000,
+    timeout: 10000,
+    maxRedirects: 5,
+    cacheEntries: 100,
+    cacheBytes: 50 * 1024 * 1024,
+    cacheTtl: 60 * 60 * 1000,
+    cacheDir: null
+};
+
+const CLIENTS = { 'http:': http, 'https:': https };
+
+class FetchError extends ApiError {
+    constructor(message, code, status) {
+        super(status, message, { code });
+        this.name = 'FetchError';
+    }
+}
+
+// Addresses no user-supplied URL may reach
+const PRIVATE_RANGES = new net.BlockList();
+for (const [address, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+    PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+    ['::', 127], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+    PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6');
+}
+
+const isPrivateAddress = (address) => {
+    const family = net.isIP(address);
+    return family !== 0 && PRIVATE_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+// "example.com" matches that host only, "*.example.com" any subdomain of it
+const hostMatches = (host, pattern) => (pattern.startsWith('*.')
+    ? host.endsWith(pattern.slice(1))
+    : host === pattern);
+
+// Comma-separated environment values -> lists, numbers and booleans
+const parseList = (value, fallback) => (value === undefined || value === null
+    ? fallback
+    : (Array.isArray(value) ? value : String(value).split(','))
+        .map(item => String(item).trim().toLowerCase())
+        .filter(Boolean));
+
+const parseNumber = (value, fallback) => {
+    if (value === undefined || value === null || value === '') return fallback;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+        throw new Error(`Invalid image fetcher setting: ${value}`);
+    }
+    return number;
+};
+
+const parseBoolean = (value, fallback) => {
+    if (value === undefined || value === null || value === '') return fallback;
+    return value === true || value === 'true' || value === '1';
+};
+
+const createImageFetcher = (options = {}) => {
+    const config = {
+        allowedProtocols: parseList(options.allowedProtocols, DEFAULTS.allowedProtocols)
+            .map(protocol => (protocol.endsWith(':') ? protocol : `${protocol}:`)),
+        allowedHosts: parseList(options.allowedHosts, DEFAULTS.allowedHosts),
+        deniedHosts: parseList(options.deniedHosts, DEFAULTS.deniedHosts),
+        allowPrivate: parseBoolean(options.allowPrivate, DEFAULTS.allowPrivate),
+        maxBytes: parseNumber(options.maxBytes, DEFAULTS.maxBytes),
+        maxPixels: parseNumber(options.maxPixels, DEFAULTS.maxPixels),
+        timeout: parseNumber(options.timeout, DEFAULTS.timeout),
+        maxRedirects: parseNumber(options.maxRedirects, DEFAULTS.maxRedirects),
+        cacheEntries: parseNumber(options.cacheEntries, DEFAULTS.cacheEntries),
+        cacheBytes: parseNumber(options.cacheBytes, DEFAULTS.cacheBytes),
+        cacheTtl: parseNumber(options.cacheTtl, DEFAULTS.cacheTtl),
+        cacheDir: options.cacheDir || DEFAULTS.cacheDir
+    };
+
+    const unsupported = config.allowedProtocols.filter(protocol => !CLIENTS[protocol]);
+    if (unsupported.length > 0) {
+        throw new Error(`Unsupported image fetch protocol(s): ${unsupported.join(', ')} (expected http or https)`);
+    }
+
+    // ============================================
+    // URL policy
+    // ============================================
+
+    // Parse a URL and apply the protocol and host lists; throws FetchError
+    const checkUrl = (value) => {
+        let url;
+        try {
+            url = new URL(value);
+        } catch (error) {
+            throw new FetchError('url must be an absolute http(s) URL', 'invalid_url', 400);
+        }
+
+        if (!config.allowedProtocols.includes(url.protocol)) {
+            throw new FetchError(
+                `Protocol ${url.protocol} is not allowed (allowed: ${config.allowedProtocols.join(', ')})`,
+                'forbidden_protocol',
+                403
+            );
+        }
+
+        // IPv6 hosts keep their brackets in URL.hostname
+        const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+        const allowed = config.allowedHosts.length === 0 ||
+            config.allowedHosts.some(pattern => hostMatches(host, pattern));
+        if (!allowed || config.deniedHosts.some(pattern => hostMatches(host, pattern))) {
+            throw new FetchError(`Host ${host} is not allowed`, 'forbidden_host', 403);
+        }
+
+        // Literal addresses never go through DNS, so check them here
+        if (!config.allowPrivate && isPrivateAddress(host)) {
+            throw new FetchError(`Host ${host} is a private address`, 'forbidden_host', 403);
+        }
+        return url;
+    };
+
+    // dns.lookup that refuses private addresses - used for every connection
+    const lookup = (hostname, lookupOptions, callback) => {
+        dns.lookup(hostname, { ...lookupOptions, all: true }, (error, addresses) => {
+            if (error) return callback(error);
+
+            if (!config.allowPrivate && addresses.some(({ address }) => isPrivateAddress(address))) {
+                return callback(new FetchError(`Host ${hostname} resolves to a private address`, 'forbidden_host', 403));
+            }
+            if (lookupOptions.all) return callback(null, addresses);
+            callback(null, addresses[0].address, addresses[0].family);
+        });
+    };
+
+    // ============================================
+    // Download
+    // ============================================
+
+    const request = (url, signal) => new Promise((resolve, reject) => {
+        const req = CLIENTS[url.protocol].get(url, {
+            lookup,
+            signal,
+            headers: { 'User-Agent': 'canvas-builder-api', Accept: 'image/*' }
+        }, resolve);
+        req.on('error', reject);
+    });
+
+    const tooLarge = () => new FetchError(
+        `Image is larger than ${config.maxBytes} bytes`,
+        'too_large',
+        413
+    );
+
+    // Response body, aborted as soon as it grows past maxBytes
+    const readBody = (response) => new Promise((resolve, reject) => {
+        if (Number(response.headers['content-length']) > config.maxBytes) {
+            response.destroy();
+            return reject(tooLarge());
+        }
+
+        const chunks = [];
+        let size = 0;
+        response.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > config.maxBytes) {
+                response.destroy();
+                reject(tooLarge());
+                return;
+            }
+            chunks.push(chunk);
+        });
+        response.on('end', () => resolve(Buffer.concat(chunks)));
+        response.on('error', reject);
+    });
+
+    const download = async (url) => {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), config.timeout);
+
+        try {
+            let current = url;
+            for (let redirects = 0; ; redirects++) {
+                const response = await request(current, controller.signal);
+                const { statusCode, headers } = response;
+
+                if (statusCode >= 300 && statusCode < 400 && headers.location) {
+                    response.resume();
+                    if (redirects >= config.maxRedirects) {
+                        throw new FetchError('Image request redirected too many times', 'too_many_redirects', 502);
+                    }
+                    // Each hop goes through the same protocol, host and address checks
+                    current = checkUrl(new URL(headers.location, current).href);
+                    continue;
+                }
+
+                if (statusCode < 200 || statusCode >= 300) {
+                    response.resume();
+                    throw new FetchError(`Image request failed with status ${statusCode}`, 'upstream_error', 502);
+                }
+
+                const buffer = await readBody(response);
+                const mimeType = detectImageType(buffer);
+                if (!DECODABLE_TYPES[mimeType]) {
+                    throw new FetchError(
+                        `URL did not return a supported image (${Object.keys(DECODABLE_TYPES).join(', ')})`,
+                        'unsupported_type',
+                        415
+                    );
+                }
+                return { buffer, mimeType };
+            }
+        } catch (error) {
+            if (controller.signal.aborted) {
+                throw new FetchError(`Image request timed out after ${config.timeout}ms`, 'timeout', 504);
+            }
+            if (error instanceof FetchError) throw error;
+            throw new FetchError(`Image request failed: ${error.message}`, 'upstream_error', 502);
+        } finally {
+            clearTimeout(timer);
+        }
+    };
+
+    // Bitmap for downloaded bytes, refused when width x height is over maxPixels
+    const decode = async (buffer) => {
+        const image = await loadImage(buffer);
+        if (image.width * image.height > config.maxPixels) {
+            throw new FetchError(
+                `Image is ${image.width}x${image.height}, more than ${config.maxPixels} pixels`,
+                'too_many_pixels',
+                413
+            );
+        }
+        return image;
+    };
+
+    // ============================================
+    // Cache
+    // ============================================
+
+    // url -> { buffer, mimeType, fetchedAt }, least recently used first
+    const memory = new Map();
+    let memoryBytes = 0;
+
+    const forget = (key) => {
+        const entry = memory.get(key);
+        if (!entry) return;
+        memory.delete(key);
+        memoryBytes -= entry.buffer.length;
+    };
+
+    const remember = (key, entry) => {
+        forget(key);
+        if (entry.buffer.length > config.cacheBytes || config.cacheEntries === 0) return;
+
+        memory.set(key, entry);
+        memoryBytes += entry.buffer.length;
+        while (memory.size > config.cacheEntries || memoryBytes > config.cacheBytes) {
+            forget(memory.keys().next().value);
+        }
+    };
+
+    const isFresh = (fetchedAt) => Date.now() - fetchedAt < config.cacheTtl;
+
+    const cacheFile = (key) =>
+        path.join(config.cacheDir, crypto.createHash('sha256').update(key).digest('hex'));
+
+    // Disk cache problems are logged and treated as misses - they never fail a request
+    const readDisk = async (key) => {
+        if (!config.cacheDir) return null;
+        try {
+            const file = cacheFile(key);
+            const { mtimeMs } = await fs.promises.stat(file);
+            if (!isFresh(mtimeMs)) return null;
+
+            const buffer = await fs.promises.readFile(file);
+            return { buffer, mimeType: detectImageType(buffer), fetchedAt: mtimeMs };
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.error('Error reading image cache:', error);
+            return null;
+        }
+    };
+
+    const writeDisk = async (key, buffer) => {
+        if (!config.cacheDir) return;
+        try {
+            await fs.promises.mkdir(config.cacheDir, { recursive: true });
+            await writeFileAtomic(cacheFile(key), buffer);
+        } catch (error) {
+            console.error('Error writing image cache:', error);
+        }
+    };
+
+    // Concurrent requests for one URL share a single download
+    const pending = new Map();
+
+    // { buffer, mimeType, image } for a URL; throws FetchError
+    // Only the bytes are cached, so every call decodes them and checks the pixel limit again
+    const fetchImage = async (value) => {
+        const url = checkUrl(value);
+        const key = url.href;
+
+        const cached = memory.get(key);
+        if (cached && isFresh(cached.fetchedAt)) {
+            remember(key, cached);
+            return { buffer: cached.buffer, mimeType: cached.mimeType, image: await decode(cached.buffer) };
+        }
+
+        if (!pending.has(key)) {
+            pending.set(key, (async () => {
+                const stored = await readDisk(key);
+                if (stored && DECODABLE_TYPES[stored.mimeType]) {
+                    remember(key, stored);
+                    return stored;
+                }
+
+                const downloaded = { ...(await download(url)), fetchedAt: Date.now() };
+                // Images over the pixel limit are not worth keeping
+                await decode(downloaded.buffer);
+                remember(key, downloaded);
+                await writeDisk(key, downloaded.buffer);
+                return downloaded;
+            })().finally(() => pending.delete(key)));
+        }
+
+        const { buffer, mimeType } = await pending.get(key);
+        return { buffer, mimeType, image: await decode(buffer) };
+    };
+
+    return { fetch: fetchImage, config };
+};
+
+module.exports = { createImageFetcher, FetchError };
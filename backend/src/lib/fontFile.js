@@ -0,0 +1,103 @@
+// Identify TrueType/OpenType files and read their family, weight and style
+
+// sfnt version tag -> file format
+const SFNT_VERSIONS = {
+    '00010000': 'ttf',
+    '74727565': 'ttf', // 'true' (Apple TrueType)
+    '4f54544f': 'otf' // 'OTTO' (CFF outlines)
+};
+
+const detectFontType = (buffer) => {
+    if (!buffer || buffer.length < 12) return null;
+    return SFNT_VERSIONS[buffer.toString('hex', 0, 4)] || null;
+};
+
+// Offset and length of a table from the sfnt table directory
+const findTable = (buffer, tag) => {
+    const numTables = buffer.readUInt16BE(4);
+    for (let i = 0; i < numTables; i++) {
+        const entry = 12 + i * 16;
+        if (entry + 16 > buffer.length) break;
+        if (buffer.toString('ascii', entry, entry + 4) === tag) {
+            const offset = buffer.readUInt32BE(entry + 8);
+            const length = buffer.readUInt32BE(entry + 12);
+            return offset + length <= buffer.length ? { offset, length } : null;
+        }
+    }
+    return null;
+};
+
+const decodeName = (bytes, platformId) => {
+    // Unicode and Windows names are UTF-16BE, Macintosh names are single-byte
+    if (platformId === 0 || platformId === 3) {
+        return Buffer.from(bytes).swap16().toString('utf16le');
+    }
+    return bytes.toString('latin1');
+};
+
+// nameID -> string, preferring Windows English then any other record
+const readNames = (buffer) => {
+    const table = findTable(buffer, 'name');
+    if (!table) return {};
+
+    const count = buffer.readUInt16BE(table.offset + 2);
+    const storage = table.offset + buffer.readUInt16BE(table.offset + 4);
+    const names = {};
+    const preferred = {};
+
+    for (let i = 0; i < count; i++) {
+        const record = table.offset + 6 + i * 12;
+        if (record + 12 > table.offset + table.length) break;
+
+        const platformId = buffer.readUInt16BE(record);
+        const languageId = buffer.readUInt16BE(record + 4);
+        const nameId = buffer.readUInt16BE(record + 6);
+        const length = buffer.readUInt16BE(record + 8);
+        const start = storage + buffer.readUInt16BE(record + 10);
+        if (start + length > buffer.length || (length % 2 === 1 && platformId !== 1)) continue;
+
+        const isPreferred = platformId === 3 && languageId === 0x409;
+        if (names[nameId] !== undefined && (preferred[nameId] || !isPreferred)) continue;
+
+        names[nameId] = decodeName(buffer.subarray(start, start + length), platformId).trim();
+        preferred[nameId] = isPreferred;
+    }
+    return names;
+};
+
+// Subfamily words -> CSS weight, for fonts without an OS/2 table
+const WEIGHT_NAMES = [
+    [/thin|hairline/i, 100],
+    [/(extra|ultra)[ -]?light/i, 200],
+    [/light/i, 300],
+    [/medium/i, 500],
+    [/(semi|demi)[ -]?bold/i, 600],
+    [/(extra|ultra)[ -]?bold/i, 800],
+    [/black|heavy/i, 900],
+    [/bold/i, 700]
+];
+
+// { family, weight, style } of a font file; family is null when the name table has none
+const readFontInfo = (buffer) => {
+    const names = readNames(buffer);
+    // Typographic family/subfamily (16/17) group all weights under one name
+    const family = names[16] || names[1] || null;
+    const subfamily = names[17] || names[2] || '';
+
+    let weight = 400;
+    let italic = /italic|oblique/i.test(subfamily);
+
+    const os2 = findTable(buffer, 'OS/2');
+    if (os2 && os2.length >= 64) {
+        weight = buffer.readUInt16BE(os2.offset + 4) || weight;
+        // fsSelection bit 0: italic
+        italic = italic || (buffer.readUInt16BE(os2.offset + 62) & 1) === 1;
+    } else {
+        const match = WEIGHT_NAMES.find(([pattern]) => pattern.test(subfamily));
+        if (match) weight = match[1];
+    }
+
+    return { family, weight, style: italic ? 'italic' : 'normal' };
+};
+
+module.exports = { detectFontType, readFontInfo };
@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+const { registerFont } = require('canvas');
+const { v4: uuidv4 } = require('uuid');
+const { detectFontType, readFontInfo } = require('./fontFile');
+const { isFontFamily, FONT_FAMILY_MESSAGE } = require('./textLayout');
+const { ApiError } = require('./errors');
+const { writeFileAtomic } = require('./atomicWrite');
+
+// Uploaded fonts: the files plus a fonts.json manifest in one directory
+// node-canvas registrations are process-wide, so the registry is too
+const MANIFEST = 'fonts.json';
+
+const WEIGHTS = [100, 200, 300, 400, 500, 600, 700, 800, 900];
+const STYLES = ['normal', 'italic'];
+
+let fontsDir = null;
+let fonts = [];
+
+// family/weight/style keys of faces being stored, so a concurrent upload of the same face gets a 409
+const reserved = new Set();
+
+// Moves on whenever a face is registered, since that can change how existing text draws
+let version = 0;
+let changedAt = new Date();
+
+class FontError extends ApiError {
+    constructor(message, status = 400) {
+        super(status, message);
+        this.name = 'FontError';
+    }
+}
+
+const fontPath = (font) => path.join(fontsDir, font.file);
+
+const register = (font) => {
+    registerFont(fontPath(font), { family: font.family, weight: String(font.weight), style: font.style });
+};
+
+// Register every font from a previous run - called once at startup
+const loadFonts = (dir) => {
+    fontsDir = dir;
+    fonts = [];
+
+    let manifest = [];
+    try {
+        manifest = JSON.parse(fs.readFileSync(path.join(dir, MANIFEST), 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    for (const font of manifest) {
+        try {
+            register(font);
+            fonts.push(font);
+        } catch (error) {
+            console.error(`Skipping font ${font.family} (${font.file}):`, error.message);
+        }
+    }
+    return fonts;
+};
+
+const saveManifest = () => writeFileAtomic(path.join(fontsDir, MANIFEST), JSON.stringify(fonts, null, 2));
+
+const normalizeWeight = (weight) => {
+    if (weight === 'normal') return 400;
+    if (weight === 'bold') return 700;
+    return Number(weight);
+};
+
+// Store, register and list an uploaded font file
+// family/weight/style default to what the font's own name and OS/2 tables say
+const addFont = async (buffer, options = {}) => {
+    const format = detectFontType(buffer);
+    if (!format) {
+        throw new FontError('Font must be a TrueType (.ttf) or OpenType (.otf) file');
+    }
+
+    let info;
+    try {
+        info = readFontInfo(buffer);
+    } catch (error) {
+        throw new FontError('Font file is corrupt or truncated');
+    }
+
+    const family = String(options.family || info.family || '').trim();
+    const weight = options.weight !== undefined && options.weight !== '' ? normalizeWeight(options.weight) : info.weight;
+    const style = options.style || info.style;
+
+    if (!family) {
+        throw new FontError('family is required (the font file does not name one)');
+    }
+    // The family ends up in CSS font strings and SVG markup, whether given or read from the file
+    if (!isFontFamily(family)) {
+        throw new FontError(options.family
+            ? `family ${FONT_FAMILY_MESSAGE}`
+            : 'The family name in the font file cannot be used; send a family field instead');
+    }
+    if (!WEIGHTS.includes(weight)) {
+        throw new FontError(`weight must be normal, bold or one of: ${WEIGHTS.join(', ')}`);
+    }
+    if (!STYLES.includes(style)) {
+        throw new FontError(`style must be one of: ${STYLES.join(', ')}`);
+    }
+
+    const key = family.toLowerCase();
+    const face = `${key}|${weight}|${style}`;
+    if (reserved.has(face) ||
+        fonts.some(font => font.family.toLowerCase() === key && font.weight === weight && font.style === style)) {
+        throw new FontError(`Font "${family}" ${weight} ${style} is already registered`, 409);
+    }
+
+    const id = uuidv4();
+    const font = {
+        id,
+        family,
+        weight,
+        style,
+        format,
+        file: `${id}.${format}`,
+        size: buffer.length,
+        createdAt: new Date().toISOString()
+    };
+
+    reserved.add(face);
+    try {
+        await fs.promises.mkdir(fontsDir, { recursive: true });
+        await fs.promises.writeFile(fontPath(font), buffer);
+        register(font);
+        version += 1;
+        changedAt = new Date();
+        fonts.push(font);
+        await saveManifest();
+    } catch (error) {
+        // Leave no file or listing behind for a font that was not stored
+        fonts = fonts.filter(candidate => candidate !== font);
+        await fs.promises.rm(fontPath(font), { force: true });
+        throw error;
+    } finally {
+        reserved.delete(face);
+    }
+
+    return font;
+};
+
+// Public view of a registered font
+const describeFont = ({ id, family, weight, style, format, size, createdAt }) =>
+    ({ id, family, weight, style, format, size, createdAt });
+
+const listFonts = () => fonts.map(describeFont);
+
+// { version, changedAt } of the font registry, for caches of drawn text
+const fontsVersion = () => ({ version, changedAt });
+
+// Closest uploaded face for a CSS font-family list, or null for system fonts
+// Prefers the requested style, then the nearest weight
+const findFont = (fontFamily = '', { weight = 400, style = 'normal' } = {}) => {
+    const key = String(fontFamily).split(',')[0].trim().replace(/['"]/g, '').toLowerCase();
+    const faces = fonts.filter(font => font.family.toLowerCase() === key);
+    if (faces.length === 0) return null;
+
+    const target = normalizeWeight(weight);
+    const [best] = faces.slice().sort((a, b) =>
+        (a.style !== style) - (b.style !== style) ||
+        Math.abs(a.weight - target) - Math.abs(b.weight - target));
+
+    return { ...best, path: fontPath(best) };
+};
+
+module.exports = { loadFonts, addFont, listFonts, describeFont, fontsVersion, findFont, FontError };
@@ -0,0 +1,93 @@
+// Shape geometry shared by the canvas, PDF and SVG renderers
+const { parsePathData } = require('./pathData');
+const { layoutText } = require('./textLayout');
+
+// Keep rounded corners from overlapping on small rectangles
+const clampCornerRadius = (radius, width, height) =>
+    Math.max(0, Math.min(radius || 0, Math.abs(width) / 2, Math.abs(height) / 2));
+
+// Half-angle of the arrow head
+const ARROW_SPREAD = Math.PI / 7;
+
+// Arrow head triangle (tip first) and the point where the shaft should stop
+const arrowGeometry = ({ x1, y1, x2, y2, headSize = 12 }) => {
+    const angle = Math.atan2(y2 - y1, x2 - x1);
+    const size = Math.min(headSize, Math.hypot(x2 - x1, y2 - y1));
+    const corner = (offset) => ({
+        x: x2 - size * Math.cos(angle + offset),
+        y: y2 - size * Math.sin(angle + offset)
+    });
+    const inset = size * Math.cos(ARROW_SPREAD);
+
+    return {
+        head: [{ x: x2, y: y2 }, corner(-ARROW_SPREAD), corner(ARROW_SPREAD)],
+        shaftEnd: { x: x2 - inset * Math.cos(angle), y: y2 - inset * Math.sin(angle) }
+    };
+};
+
+const boundsOfPoints = (points) => {
+    const xs = points.map(point => point.x);
+    const ys = points.map(point => point.y);
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+    return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+};
+
+// Path extent from its end and control points (curves may bulge slightly past it)
+const pathPoints = (commands, offsetX, offsetY) => {
+    const points = [];
+    for (const command of commands) {
+        for (const [px, py] of [['x', 'y'], ['x1', 'y1'], ['x2', 'y2']]) {
+            if (command[px] !== undefined) {
+                points.push({ x: command[px] + offsetX, y: command[py] + offsetY });
+            }
+        }
+    }
+    return points;
+};
+
+// Untransformed bounding box of an element in canvas units
+const elementBounds = (element) => {
+    switch (element.type) {
+        case 'rectangle':
+        case 'image':
+            return { x: element.x, y: element.y, width: element.width, height: element.height };
+        case 'circle':
+            return {
+                x: element.x - element.radius,
+                y: element.y - element.radius,
+                width: element.radius * 2,
+                height: element.radius * 2
+            };
+        case 'ellipse':
+            return {
+                x: element.x - element.radiusX,
+                y: element.y - element.radiusY,
+                width: element.radiusX * 2,
+                height: element.radiusY * 2
+            };
+        case 'line':
+        case 'arrow':
+            return boundsOfPoints([{ x: element.x1, y: element.y1 }, { x: element.x2, y: element.y2 }]);
+        case 'polygon':
+            return boundsOfPoints(element.points);
+        case 'text':
+            return layoutText(element).bounds;
+        case 'path': {
+            const points = pathPoints(parsePathData(element.d), element.x || 0, element.y || 0);
+            return points.length > 0 ? boundsOfPoints(points) : { x: element.x || 0, y: element.y || 0, width: 0, height: 0 };
+        }
+        case 'group': {
+            // Children are relative to the group's x/y; their own transforms are ignored
+            const corners = element.children.flatMap((child) => {
+                const { x, y, width, height } = elementBounds(child);
+                return [{ x: element.x + x, y: element.y + y }, { x: element.x + x + width, y: element.y + y + height }];
+            });
+            return corners.length > 0 ? boundsOfPoints(corners) : { x: element.x, y: element.y, width: 0, height: 0 };
+        }
+        default:
+            return { x: element.x || 0, y: element.y || 0, width: 0, height: 0 };
+    }
+};
+
+module.exports = { clampCornerRadius, arrowGeometry, elementBounds };
@@ -0,0 +1,207 @@
+// Group elements and the element tree they form
+//
+//   { type: 'group', x, y, children: [...], name, transform, opacity }
+// Children are positioned relative to the group's x/y, so moving the group moves them all.
+// The group's transform and opacity apply to every child; groups can be nested.
+const { elementBounds } = require('./geometry');
+const { resolveTransform } = require('./transform');
+
+// Every element of a tree, depth first, each group before its children
+function* walkElements(elements) {
+    for (const element of elements) {
+        yield element;
+        if (element.type === 'group') {
+            yield* walkElements(element.children);
+        }
+    }
+}
+
+// Copy of a tree with fn applied to every element that is not a group
+const mapElements = (elements, fn) => elements.map(element => (element.type === 'group'
+    ? { ...element, children: mapElements(element.children, fn) }
+    : fn(element)));
+
+// Locate an element anywhere in a tree
+// siblings is the array that holds it and parent its group (null at the top level)
+const findInTree = (elements, elementId, parent = null) => {
+    for (const [index, element] of elements.entries()) {
+        if (element.id === elementId) {
+            return { siblings: elements, index, element, parent };
+        }
+        if (element.type === 'group') {
+            const found = findInTree(element.children, elementId, element);
+            if (found) return found;
+        }
+    }
+    return null;
+};
+
+// A child drawn inside a group fades with it
+const inheritOpacity = (child, group) => {
+    const { opacity = 1 } = group;
+    if (opacity === 1) return child;
+    return { ...child, opacity: (child.opacity ?? 1) * opacity };
+};
+
+// ============================================
+// Moving elements between coordinate spaces
+// ============================================
+
+const shiftPaint = (paint, dx, dy) => {
+    if (!paint || typeof paint !== 'object') return paint;
+    if (paint.type === 'radial') {
+        return {
+            ...paint,
+            cx: paint.cx + dx,
+            cy: paint.cy + dy,
+            ...(paint.fx !== undefined && { fx: paint.fx + dx }),
+            ...(paint.fy !== undefined && { fy: paint.fy + dy })
+        };
+    }
+    return { ...paint, x1: paint.x1 + dx, y1: paint.y1 + dy, x2: paint.x2 + dx, y2: paint.y2 + dy };
+};
+
+// Copy of an element moved by dx/dy - its points, gradients and transform origin all move
+const translateElement = (element, dx, dy) => {
+    const moved = { ...element };
+
+    switch (element.type) {
+        case 'line':
+        case 'arrow':
+            moved.x1 += dx;
+            moved.y1 += dy;
+            moved.x2 += dx;
+            moved.y2 += dy;
+            break;
+        case 'polygon':
+            moved.points = element.points.map(point => ({ x: point.x + dx, y: point.y + dy }));
+            break;
+        default:
+            moved.x = (element.x || 0) + dx;
+            moved.y = (element.y || 0) + dy;
+            break;
+    }
+
+    // Path gradients are relative to the path's x/y and move with it already
+    if (element.type !== 'path') {
+        if (element.fill !== undefined) moved.fill = shiftPaint(element.fill, dx, dy);
+        if (element.stroke !== undefined) moved.stroke = shiftPaint(element.stroke, dx, dy);
+    }
+
+    if (element.transform) {
+        const { originX, originY } = element.transform;
+        moved.transform = {
+            ...element.transform,
+            ...(originX !== undefined && { originX: originX + dx }),
+            ...(originY !== undefined && { originY: originY + dy })
+        };
+    }
+    return moved;
+};
+
+// 2D affine matrices as canvas-style [a, b, c, d, e, f]
+const multiply = (m, n) => [
+    m[0] * n[0] + m[2] * n[1],
+    m[1] * n[0] + m[3] * n[1],
+    m[0] * n[2] + m[2] * n[3],
+    m[1] * n[2] + m[3] * n[3],
+    m[0] * n[4] + m[2] * n[5] + m[4],
+    m[1] * n[4] + m[3] * n[5] + m[5]
+];
+
+const translation = (x, y) => [1, 0, 0, 1, x, y];
+
+// Matrix of resolved transform steps: translate(origin), rotate, skew, scale, translate(-origin)
+const transformMatrix = (transform) => {
+    if (!transform) return translation(0, 0);
+    const { originX, originY, rotation, skewX, skewY, scaleX, scaleY } = transform;
+    const angle = rotation * Math.PI / 180;
+
+    return [
+        translation(originX, originY),
+        [Math.cos(angle), Math.sin(angle), -Math.sin(angle), Math.cos(angle), 0, 0],
+        [1, skewY, skewX, 1, 0, 0],
+        [scaleX, 0, 0, scaleY, 0, 0],
+        translation(-originX, -originY)
+    ].reduce(multiply);
+};
+
+// Combined frame of nested groups, outermost first: each group's transform, then its offset
+const groupsMatrix = (groups) => groups.reduce((matrix, group) => [
+    matrix,
+    transformMatrix(resolveTransform(group)),
+    translation(group.x, group.y)
+].reduce(multiply), translation(0, 0));
+
+const invertMatrix = ([a, b, c, d, e, f]) => {
+    const det = a * d - b * c;
+    return [d / det, -b / det, -c / det, a / det, (c * f - d * e) / det, (b * e - a * f) / det];
+};
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+const toDegrees = (radians) => round(radians * 180 / Math.PI);
+
+// Transform fields for a matrix applied about origin: rotation, then skewX, then scale
+// Only fields that differ from the identity are kept; null when nothing is left
+const transformFromMatrix = ([a, b, c, d], origin) => {
+    const angle = Math.atan2(b, a);
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const scaleX = Math.hypot(a, b);
+    const scaleY = cos * d - sin * c;
+    const skew = (cos * c + sin * d) / scaleY;
+
+    const transform = {};
+    if (toDegrees(angle) !== 0) transform.rotation = toDegrees(angle);
+    if (toDegrees(Math.atan(skew)) !== 0) transform.skewX = toDegrees(Math.atan(skew));
+    if (round(scaleX) !== 1) transform.scaleX = round(scaleX);
+    if (round(scaleY) !== 1) transform.scaleY = round(scaleY);
+    if (Object.keys(transform).length === 0) return null;
+
+    return { ...transform, originX: round(origin.x), originY: round(origin.y) };
+};
+
+// A group child rewritten in the coordinates of the group's own parent, looking the same
+const releaseChild = (child, group) => {
+    const groupTransform = resolveTransform(group);
+    let released;
+
+    if (!groupTransform) {
+        released = translateElement(child, group.x, group.y);
+    } else {
+        // Where the child ends up on the page: group transform, group offset, child transform
+        const [a, b, c, d, e, f] = [
+            transformMatrix(groupTransform),
+            translation(group.x, group.y),
+            transformMatrix(resolveTransform(child))
+        ].reduce(multiply);
+
+        // Re-express it as the child's own transform about its centre, moving the child
+        // by whatever translation is left over
+        const bounds = elementBounds(child);
+        const centre = { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 };
+        const dx = e + a * centre.x + c * centre.y - centre.x;
+        const dy = f + b * centre.x + d * centre.y - centre.y;
+
+        released = translateElement(child, dx, dy);
+        const transform = transformFromMatrix([a, b, c, d], { x: centre.x + dx, y: centre.y + dy });
+        if (transform) {
+            released.transform = transform;
+        } else {
+            delete released.transform;
+        }
+    }
+
+    return inheritOpacity(released, group);
+};
+
+module.exports = {
+    walkElements,
+    mapElements,
+    findInTree,
+    inheritOpacity,
+    translateElement,
+    releaseChild,
+    groupsMatrix,
+    invertMatrix
+};
@@ -0,0 +1,126 @@
+const { v4: uuidv4 } = require('uuid');
+const { imageKey } = require('./imageOptions');
+const { walkElements } = require('./groups');
+const { backgroundAssetId } = require('./background');
+
+// Oldest entries are dropped beyond this many undo steps, or once the snapshots of a
+// canvas's undo and redo entries together take more than MAX_HISTORY_BYTES
+const MAX_HISTORY = 100;
+const MAX_HISTORY_BYTES = 50 * 1024 * 1024;
+
+const createHistory = () => ({ undo: [], redo: [] });
+
+// Pages without their rendered bitmaps, plus the layers their elements refer to
+const snapshot = ({ pages, layers }) => structuredClone({
+    pages: pages.map(({ canvas, ...page }) => page),
+    layers
+});
+
+// Serialized size of the snapshots an entry holds
+const entryBytes = ({ before, after }) => [before, after]
+    .reduce((total, state) => total + (state ? Buffer.byteLength(JSON.stringify(state)) : 0), 0);
+
+// Drop the oldest undo steps, then the furthest redo steps, until the limits hold again
+// The entry just pushed - the last undo step after a change, the next redo step after an
+// undo - is always kept, so it can be used however large it is
+const trim = (history) => {
+    let bytes = [...history.undo, ...history.redo].reduce((total, entry) => total + entry.bytes, 0);
+    const overLimit = () => history.undo.length > MAX_HISTORY || bytes > MAX_HISTORY_BYTES;
+
+    while (overLimit() && history.undo.length > (history.redo.length > 0 ? 0 : 1)) {
+        bytes -= history.undo.shift().bytes;
+    }
+    while (overLimit() && history.redo.length > 1) {
+        bytes -= history.redo.shift().bytes;
+    }
+};
+
+const restore = (record, state) => {
+    const { pages, layers } = structuredClone(state);
+    record.pages = pages.map(page => ({ ...page, canvas: null }));
+    record.layers = layers;
+};
+
+const collectImageIds = (pages, into) => {
+    for (const page of pages) {
+        for (const element of walkElements(page.elements)) {
+            into.add(imageKey(element));
+        }
+        into.add(backgroundAssetId(page.background));
+    }
+};
+
+// Image bytes are kept while any page or history snapshot still references them
+const pruneImages = (record) => {
+    const { history, pages, images } = record;
+    const referenced = new Set();
+
+    collectImageIds(pages, referenced);
+    for (const entry of [...history.undo, ...history.redo]) {
+        for (const state of [entry.before, entry.after]) {
+            if (state) collectImageIds(state.pages, referenced);
+        }
+    }
+
+    for (const imageId of images.keys()) {
+        if (!referenced.has(imageId)) {
+            images.delete(imageId);
+        }
+    }
+};
+
+// Call before mutating record.pages or record.layers - stores the state to return to on undo
+const recordChange = (record, action, { pageId = null, elementId = null } = {}) => {
+    const { history } = record;
+
+    const entry = {
+        id: uuidv4(),
+        action,
+        pageId,
+        elementId,
+        timestamp: new Date().toISOString(),
+        before: snapshot(record)
+    };
+    history.undo.push({ ...entry, bytes: entryBytes(entry) });
+    history.redo = [];
+
+    trim(history);
+    pruneImages(record);
+};
+
+// Returns the undone entry, or null when there is nothing to undo
+const undo = (record) => {
+    const entry = record.history.undo.pop();
+    if (!entry) return null;
+
+    const undone = { ...entry, after: snapshot(record) };
+    record.history.redo.push({ ...undone, bytes: entryBytes(undone) });
+    restore(record, entry.before);
+    trim(record.history);
+    pruneImages(record);
+    return entry;
+};
+
+// Returns the redone entry, or null when there is nothing to redo
+const redo = (record) => {
+    const entry = record.history.redo.pop();
+    if (!entry) return null;
+
+    const { after, ...rest } = entry;
+    const redone = { ...rest, before: snapshot(record) };
+    record.history.undo.push({ ...redone, bytes: entryBytes(redone) });
+    restore(record, after);
+    return entry;
+};
+
+// Public view of an entry, without the element snapshots
+const describe = ({ id, action, pageId, elementId, timestamp }) => ({ id, action, pageId, elementId, timestamp });
+
+const summarize = ({ history }) => ({
+    canUndo: history.undo.length > 0,
+    canRedo: history.redo.length > 0,
+    undo: history.undo.map(describe).reverse(),
+    redo: history.redo.map(describe).reverse()
+});
+
+module.exports = { createHistory, recordChange, undo, redo, summarize, describe };
@@ -0,0 +1,306 @@
+// Image element options shared by the canvas, PDF and SVG renderers
+//
+//   fit          - fill (stretch, default) | contain | cover | none inside x/y/width/height;
+//                  contain/cover/none keep the aspect ratio and centre the bitmap
+//   crop         - { x, y, width, height } region of the source bitmap, in source pixels
+//   clip         - none | circle (the ellipse inscribed in the box)
+//   cornerRadius - rounds the corners of the box clip
+//   filters      - { grayscale: 0-1, brightness: >= 0, contrast: >= 0, blur: px >= 0 }
+//                  brightness and contrast are multipliers (1 = unchanged)
+// Crop and filters are baked into a bitmap once and cached on the image source, so every
+// renderer draws the same pixels; fit and clip are applied when drawing.
+const { createCanvas } = require('canvas');
+const { clampCornerRadius } = require('./geometry');
+
+const IMAGE_FIELDS = ['fit', 'crop', 'clip', 'cornerRadius', 'filters'];
+const FIT_MODES = ['fill', 'contain', 'cover', 'none'];
+const CLIP_SHAPES = ['none', 'circle'];
+const FILTER_FIELDS = ['grayscale', 'brightness', 'contrast', 'blur'];
+
+// Cropped/filtered bitmaps kept per image source; the oldest is dropped first
+const MAX_VARIANTS = 8;
+
+// Copy of the image option fields present in a request body
+const pickImageOptions = (body) => {
+    const options = {};
+    for (const field of IMAGE_FIELDS) {
+        if (body[field] !== undefined) options[field] = body[field];
+    }
+    return options;
+};
+
+// Key of an image element's source in record.images: its shared asset, or bytes kept with the canvas
+const imageKey = (element) => element.assetId || element.imageId;
+
+// An image element without a width or height, or with 0, is drawn at the size of its
+// (cropped) bitmap - the same on every route that creates or updates one
+const withImageSize = (element, image) => {
+    const { crop } = element;
+    return {
+        ...element,
+        width: element.width || (crop ? crop.width : image.width),
+        height: element.height || (crop ? crop.height : image.height)
+    };
+};
+
+// Crop rectangle clamped to the bitmap, or the whole bitmap
+const cropRect = (crop, image) => {
+    if (!crop) return { x: 0, y: 0, width: image.width, height: image.height };
+
+    const x = Math.min(Math.max(0, Math.round(crop.x)), image.width - 1);
+    const y = Math.min(Math.max(0, Math.round(crop.y)), image.height - 1);
+    return {
+        x,
+        y,
+        width: Math.max(1, Math.min(Math.round(crop.width), image.width - x)),
+        height: Math.max(1, Math.min(Math.round(crop.height), image.height - y))
+    };
+};
+
+// Where a bitmap of the given size is drawn for the element's fit mode
+const imagePlacement = ({ x, y, width, height, fit = 'fill' }, sourceWidth, sourceHeight) => {
+    if (fit === 'fill') return { x, y, width, height };
+
+    let scale = 1;
+    if (fit === 'contain') scale = Math.min(width / sourceWidth, height / sourceHeight);
+    if (fit === 'cover') scale = Math.max(width / sourceWidth, height / sourceHeight);
+
+    const drawnWidth = sourceWidth * scale;
+    const drawnHeight = sourceHeight * scale;
+    return {
+        x: x + (width - drawnWidth) / 2,
+        y: y + (height - drawnHeight) / 2,
+        width: drawnWidth,
+        height: drawnHeight
+    };
+};
+
+// Clip region of an image element, or null when nothing can spill outside the box
+// { type: 'ellipse', cx, cy, rx, ry } or { type: 'rect', x, y, width, height, radius }
+const imageClip = ({ x, y, width, height, fit = 'fill', clip = 'none', cornerRadius }) => {
+    if (clip === 'circle') {
+        return { type: 'ellipse', cx: x + width / 2, cy: y + height / 2, rx: width / 2, ry: height / 2 };
+    }
+
+    const radius = clampCornerRadius(cornerRadius, width, height);
+    if (radius > 0 || fit === 'cover' || fit === 'none') {
+        return { type: 'rect', x, y, width, height, radius };
+    }
+    return null;
+};
+
+// Outline for a border around the image - the clip shape, or the box
+const imageOutline = (element) => imageClip(element) ||
+    { type: 'rect', x: element.x, y: element.y, width: element.width, height: element.height, radius: 0 };
+
+// ============================================
+// Filters
+// ============================================
+
+// Widths of three box blurs that together approximate a gaussian of the given sigma
+const boxSizes = (sigma) => {
+    const ideal = Math.sqrt(12 * sigma * sigma / 3 + 1);
+    let lower = Math.floor(ideal);
+    if (lower % 2 === 0) lower--;
+    const upper = lower + 2;
+    const lowerCount = Math.round((12 * sigma * sigma - 3 * lower * lower - 12 * lower - 9) / (-4 * lower - 4));
+    return [0, 1, 2].map(index => (index < lowerCount ? lower : upper));
+};
+
+// One box blur pass along rows (horizontal) or columns, edges clamped
+const boxBlurPass = (source, target, width, height, radius, horizontal) => {
+    const lines = horizontal ? height : width;
+    const length = horizontal ? width : height;
+    const step = horizontal ? 4 : width * 4;
+    const span = radius * 2 + 1;
+
+    for (let line = 0; line < lines; line++) {
+        const start = horizontal ? line * width * 4 : line * 4;
+        for (let channel = 0; channel < 4; channel++) {
+            const at = (index) => source[start + Math.min(length - 1, Math.max(0, index)) * step + channel];
+
+            let sum = 0;
+            for (let index = -radius; index <= radius; index++) sum += at(index);
+
+            for (let index = 0; index < length; index++) {
+                target[start + index * step + channel] = sum / span;
+                sum += at(index + radius + 1) - at(index - radius);
+            }
+        }
+    }
+};
+
+// Gaussian-ish blur of RGBA pixels; colors are premultiplied so transparent edges don't darken
+const blurPixels = (data, width, height, sigma) => {
+    const pixels = new Float32Array(data.length);
+    for (let i = 0; i < data.length; i += 4) {
+        const alpha = data[i + 3] / 255;
+        pixels[i] = data[i] * alpha;
+        pixels[i + 1] = data[i + 1] * alpha;
+        pixels[i + 2] = data[i + 2] * alpha;
+        pixels[i + 3] = data[i + 3];
+    }
+
+    const scratch = new Float32Array(data.length);
+    for (const size of boxSizes(sigma)) {
+        const radius = (size - 1) / 2;
+        boxBlurPass(pixels, scratch, width, height, radius, true);
+        boxBlurPass(scratch, pixels, width, height, radius, false);
+    }
+
+    for (let i = 0; i < data.length; i += 4) {
+        const alpha = pixels[i + 3];
+        const unpremultiply = alpha > 0 ? 255 / alpha : 0;
+        data[i] = pixels[i] * unpremultiply;
+        data[i + 1] = pixels[i + 1] * unpremultiply;
+        data[i + 2] = pixels[i + 2] * unpremultiply;
+        data[i + 3] = alpha;
+    }
+};
+
+// Blur first, then grayscale, brightness and contrast per pixel
+const applyFilters = (ctx, width, height, { grayscale = 0, brightness = 1, contrast = 1 }, blur) => {
+    const imageData = ctx.getImageData(0, 0, width, height);
+    const { data } = imageData;
+
+    if (blur > 0) blurPixels(data, width, height, blur);
+
+    if (grayscale > 0 || brightness !== 1 || contrast !== 1) {
+        for (let i = 0; i < data.length; i += 4) {
+            let r = data[i];
+            let g = data[i + 1];
+            let b = data[i + 2];
+
+            if (grayscale > 0) {
+                const luma = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+                r += (luma - r) * grayscale;
+                g += (luma - g) * grayscale;
+                b += (luma - b) * grayscale;
+            }
+            // Uint8ClampedArray clamps to 0-255 on assignment
+            data[i] = ((r * brightness) - 128) * contrast + 128;
+            data[i + 1] = ((g * brightness) - 128) * contrast + 128;
+            data[i + 2] = ((b * brightness) - 128) * contrast + 128;
+        }
+    }
+
+    ctx.putImageData(imageData, 0, 0);
+};
+
+const hasFilters = (filters) => Boolean(filters) && (
+    (filters.grayscale || 0) > 0 ||
+    (filters.brightness ?? 1) !== 1 ||
+    (filters.contrast ?? 1) !== 1 ||
+    (filters.blur || 0) > 0
+);
+
+// The bitmap an image element draws: { image, width, height, buffer }
+// Without crop or filters this is the source itself; otherwise a cached canvas whose
+// PNG bytes are produced on first use by imageBuffer()
+const prepareImage = (element, source) => {
+    const { crop, filters } = element;
+    if (!crop && !hasFilters(filters)) {
+        return { image: source.image, width: source.image.width, height: source.image.height, buffer: source.buffer };
+    }
+
+    const region = cropRect(crop, source.image);
+    // Blur is given in canvas units; convert it to pixels of the cropped bitmap
+    const placement = imagePlacement(element, region.width, region.height);
+    const blur = filters && filters.blur > 0 ? filters.blur * (region.width / placement.width) : 0;
+
+    const key = JSON.stringify({ region, filters, blur });
+    if (!source.variants) source.variants = new Map();
+    if (!source.variants.has(key)) {
+        const canvas = createCanvas(region.width, region.height);
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(source.image, region.x, region.y, region.width, region.height, 0, 0, region.width, region.height);
+        if (hasFilters(filters)) applyFilters(ctx, region.width, region.height, filters, blur);
+
+        source.variants.set(key, { image: canvas, width: region.width, height: region.height, buffer: null });
+        if (source.variants.size > MAX_VARIANTS) {
+            source.variants.delete(source.variants.keys().next().value);
+        }
+    }
+    return source.variants.get(key);
+};
+
+// Encoded bytes of a prepared bitmap, for embedding in PDF and SVG
+const imageBuffer = (bitmap) => {
+    if (!bitmap.buffer) bitmap.buffer = bitmap.image.toBuffer('image/png');
+    return bitmap.buffer;
+};
+
+// ============================================
+// Validation
+// ============================================
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Returns a list of { field, message } problems; prefix is prepended to field names
+const validateImageOptions = (element, prefix = '') => {
+    const errors = [];
+    const { fit, crop, clip, cornerRadius, filters } = element;
+
+    if (fit !== undefined && !FIT_MODES.includes(fit)) {
+        errors.push({ field: `${prefix}fit`, message: `must be one of: ${FIT_MODES.join(', ')}` });
+    }
+    if (clip !== undefined && !CLIP_SHAPES.includes(clip)) {
+        errors.push({ field: `${prefix}clip`, message: `must be one of: ${CLIP_SHAPES.join(', ')}` });
+    }
+    if (cornerRadius !== undefined && (!isNumber(cornerRadius) || cornerRadius < 0)) {
+        errors.push({ field: `${prefix}cornerRadius`, message: 'must be a non-negative number' });
+    }
+
+    if (crop !== undefined) {
+        if (!crop || typeof crop !== 'object' || Array.isArray(crop)) {
+            errors.push({ field: `${prefix}crop`, message: 'must be an object { x, y, width, height }' });
+        } else {
+            for (const key of ['x', 'y']) {
+                if (!isNumber(crop[key]) || crop[key] < 0) {
+                    errors.push({ field: `${prefix}crop.${key}`, message: 'must be a non-negative number' });
+                }
+            }
+            for (const key of ['width', 'height']) {
+                if (!isNumber(crop[key]) || crop[key] <= 0) {
+                    errors.push({ field: `${prefix}crop.${key}`, message: 'must be a positive number' });
+                }
+            }
+        }
+    }
+
+    if (filters !== undefined) {
+        if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+            errors.push({ field: `${prefix}filters`, message: 'must be an object' });
+        } else {
+            for (const key of Object.keys(filters)) {
+                if (!FILTER_FIELDS.includes(key)) {
+                    errors.push({ field: `${prefix}filters.${key}`, message: `is not a filter (${FILTER_FIELDS.join(', ')})` });
+                }
+            }
+            const { grayscale, brightness, contrast, blur } = filters;
+            if (grayscale !== undefined && (!isNumber(grayscale) || grayscale < 0 || grayscale > 1)) {
+                errors.push({ field: `${prefix}filters.grayscale`, message: 'must be a number between 0 and 1' });
+            }
+            for (const [key, value] of [['brightness', brightness], ['contrast', contrast], ['blur', blur]]) {
+                if (value !== undefined && (!isNumber(value) || value < 0)) {
+                    errors.push({ field: `${prefix}filters.${key}`, message: 'must be a non-negative number' });
+                }
+            }
+        }
+    }
+
+    return errors;
+};
+
+module.exports = {
+    IMAGE_FIELDS,
+    pickImageOptions,
+    imageKey,
+    withImageSize,
+    imagePlacement,
+    imageClip,
+    imageOutline,
+    prepareImage,
+    imageBuffer,
+    validateImageOptions
+};
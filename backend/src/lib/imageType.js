@@ -0,0 +1,37 @@
+// Identify an image format from its leading bytes
+const detectImageType = (buffer) => {
+    if (!buffer || buffer.length < 4) return null;
+
+    if (buffer[0] === 0x89 && buffer[1] === 0x50 && buffer[2] === 0x4e && buffer[3] === 0x47) {
+        return 'image/png';
+    }
+    if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+        return 'image/jpeg';
+    }
+    if (buffer.toString('ascii', 0, 4) === 'GIF8') {
+        return 'image/gif';
+    }
+    if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+        return 'image/webp';
+    }
+
+    const head = buffer.toString('utf8', 0, Math.min(buffer.length, 256)).trimStart();
+    if (head.startsWith('<svg') || (head.startsWith('<?xml') && head.includes('<svg'))) {
+        return 'image/svg+xml';
+    }
+
+    return null;
+};
+
+// Formats node-canvas can decode -> file extension
+const DECODABLE_TYPES = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/gif': 'gif',
+    'image/svg+xml': 'svg'
+};
+
+const toDataUri = (buffer) =>
+    `data:${detectImageType(buffer) || 'application/octet-stream'};base64,${buffer.toString('base64')}`;
+
+module.exports = { DECODABLE_TYPES, detectImageType, toDataUri };
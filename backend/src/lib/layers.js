@@ -0,0 +1,79 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Named layers shared by every page of a canvas, bottom layer first
+//
+//   { id, name, visible, locked }
+// Top-level elements name their layer with layerId; elements without one, or naming a layer
+// that does not exist, belong to the bottom layer. Group children go with their group.
+// Pages are drawn layer by layer, keeping the element order within each layer.
+
+const LAYER_FIELDS = ['name', 'visible', 'locked'];
+
+const MAX_NAME_LENGTH = 100;
+
+const isLayerName = (name) => typeof name === 'string' && name.trim() !== '' && name.length <= MAX_NAME_LENGTH;
+const LAYER_NAME_MESSAGE = `must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`;
+
+const createLayer = ({ id = uuidv4(), name, visible = true, locked = false }) => ({ id, name, visible, locked });
+
+// A canvas starts with a single layer
+const createLayers = () => [createLayer({ name: 'Layer 1' })];
+
+const findLayer = (layers, layerId) => layers.find(layer => layer.id === layerId) || null;
+
+// The layer a top-level element is drawn on
+const layerOf = (layers, element) => findLayer(layers, element.layerId) || layers[0];
+
+// Top-level elements in drawing order, bottom layer first
+// Elements on hidden layers are left out unless includeHidden is set
+const layerElements = (elements, layers, { includeHidden = false } = {}) => {
+    const position = new Map(layers.map((layer, index) => [layer.id, index]));
+    const entries = elements
+        .map(element => ({ element, layer: layerOf(layers, element) }))
+        .filter(({ layer }) => includeHidden || layer.visible);
+
+    // Array sort is stable, so each layer keeps its own element order
+    return entries
+        .sort((a, b) => position.get(a.layer.id) - position.get(b.layer.id))
+        .map(({ element }) => element);
+};
+
+// Copy of a page holding only what is drawn, in drawing order, ready to render
+const layerView = (page, layers, options) => ({
+    ...page,
+    canvas: null,
+    elements: layerElements(page.elements, layers, options)
+});
+
+// ============================================
+// Validation
+// ============================================
+
+// Returns a list of { field, message } problems; prefix is prepended to field names
+const validateLayer = (layer, prefix = '') => {
+    const errors = [];
+    const { name, visible, locked } = layer;
+
+    if (name !== undefined && !isLayerName(name)) {
+        errors.push({ field: `${prefix}name`, message: LAYER_NAME_MESSAGE });
+    }
+    for (const [field, value] of [['visible', visible], ['locked', locked]]) {
+        if (value !== undefined && typeof value !== 'boolean') {
+            errors.push({ field: `${prefix}${field}`, message: 'must be a boolean' });
+        }
+    }
+    return errors;
+};
+
+module.exports = {
+    LAYER_FIELDS,
+    createLayer,
+    createLayers,
+    findLayer,
+    layerOf,
+    layerElements,
+    layerView,
+    isLayerName,
+    LAYER_NAME_MESSAGE,
+    validateLayer
+};
@@ -0,0 +1,274 @@
+// Minimal SVG path-data parser - node-canvas has no Path2D, so paths are traced by hand
+const { ApiError } = require('./errors');
+
+const PARAM_COUNTS = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+const TOKEN = /([MLHVCSQTAZmlhvcsqtaz])|([-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)/g;
+
+class PathDataError extends ApiError {
+    constructor(message) {
+        super(400, message, { code: 'invalid_path_data' });
+        this.name = 'PathDataError';
+    }
+}
+
+const tokenize = (d) => {
+    const tokens = [];
+    let lastIndex = 0;
+    let match;
+
+    TOKEN.lastIndex = 0;
+    while ((match = TOKEN.exec(d)) !== null) {
+        const gap = d.slice(lastIndex, match.index);
+        if (/[^\s,]/.test(gap)) {
+            throw new PathDataError(`Unexpected "${gap.trim()}" in path data`);
+        }
+        // Numbers stay strings until read so packed arc flags ("a1 1 0 01 5 5") can be split
+        tokens.push(match[1] ? { command: match[1] } : match[2]);
+        lastIndex = TOKEN.lastIndex;
+    }
+
+    if (/[^\s,]/.test(d.slice(lastIndex))) {
+        throw new PathDataError(`Unexpected "${d.slice(lastIndex).trim()}" in path data`);
+    }
+    return tokens;
+};
+
+// Parse path data into absolute M, L, C, Q, A and Z commands
+const parsePathData = (d) => {
+    if (typeof d !== 'string' || d.trim() === '') {
+        throw new PathDataError('Path data must be a non-empty string');
+    }
+
+    const tokens = tokenize(d);
+    const commands = [];
+    const isNumberToken = (token) => typeof token === 'string';
+    let x = 0, y = 0;
+    let startX = 0, startY = 0;
+    let lastControl = null;
+    let lastType = null;
+    let i = 0;
+
+    if (!tokens[0] || isNumberToken(tokens[0]) || tokens[0].command.toUpperCase() !== 'M') {
+        throw new PathDataError('Path data must start with a move command (M or m)');
+    }
+
+    while (i < tokens.length) {
+        const token = tokens[i++];
+        if (isNumberToken(token)) {
+            throw new PathDataError(`Expected a command but found ${token}`);
+        }
+
+        const letter = token.command;
+        const type = letter.toUpperCase();
+        const relative = letter !== type;
+        const count = PARAM_COUNTS[type];
+        let first = true;
+
+        do {
+            const params = [];
+            for (let p = 0; p < count; p++) {
+                const raw = tokens[i];
+                if (!isNumberToken(raw)) {
+                    throw new PathDataError(`Command ${letter} expects ${count} numbers`);
+                }
+
+                // Arc flags are single digits and may run into the next number
+                const isFlag = type === 'A' && (p === 3 || p === 4);
+                if (isFlag && raw.length > 1 && (raw[0] === '0' || raw[0] === '1')) {
+                    params.push(Number(raw[0]));
+                    tokens[i] = raw.slice(1);
+                } else {
+                    params.push(parseFloat(raw));
+                    i++;
+                }
+
+                if (isFlag && params[p] !== 0 && params[p] !== 1) {
+                    throw new PathDataError(`Arc flags must be 0 or 1 (found ${params[p]})`);
+                }
+            }
+
+            const ox = relative ? x : 0;
+            const oy = relative ? y : 0;
+
+            switch (type) {
+                case 'M':
+                    x = params[0] + ox;
+                    y = params[1] + oy;
+                    // Extra coordinate pairs after a move are implicit line-tos
+                    commands.push({ type: first ? 'M' : 'L', x, y });
+                    if (first) {
+                        startX = x;
+                        startY = y;
+                    }
+                    lastControl = null;
+                    break;
+                case 'L':
+                    x = params[0] + ox;
+                    y = params[1] + oy;
+                    commands.push({ type: 'L', x, y });
+                    lastControl = null;
+                    break;
+                case 'H':
+                    x = params[0] + ox;
+                    commands.push({ type: 'L', x, y });
+                    lastControl = null;
+                    break;
+                case 'V':
+                    y = params[0] + oy;
+                    commands.push({ type: 'L', x, y });
+                    lastControl = null;
+                    break;
+                case 'C':
+                case 'S': {
+                    let x1, y1;
+                    let rest = params;
+                    if (type === 'C') {
+                        x1 = params[0] + ox;
+                        y1 = params[1] + oy;
+                        rest = params.slice(2);
+                    } else {
+                        // Reflect the previous cubic control point
+                        const smooth = lastControl && (lastType === 'C' || lastType === 'S');
+                        x1 = smooth ? 2 * x - lastControl.x : x;
+                        y1 = smooth ? 2 * y - lastControl.y : y;
+                    }
+                    const x2 = rest[0] + ox;
+                    const y2 = rest[1] + oy;
+                    x = rest[2] + ox;
+                    y = rest[3] + oy;
+                    commands.push({ type: 'C', x1, y1, x2, y2, x, y });
+                    lastControl = { x: x2, y: y2 };
+                    break;
+                }
+                case 'Q':
+                case 'T': {
+                    let x1, y1;
+                    if (type === 'Q') {
+                        x1 = params[0] + ox;
+                        y1 = params[1] + oy;
+                        x = params[2] + ox;
+                        y = params[3] + oy;
+                    } else {
+                        // Reflect the previous quadratic control point
+                        const smooth = lastControl && (lastType === 'Q' || lastType === 'T');
+                        x1 = smooth ? 2 * x - lastControl.x : x;
+                        y1 = smooth ? 2 * y - lastControl.y : y;
+                        x = params[0] + ox;
+                        y = params[1] + oy;
+                    }
+                    commands.push({ type: 'Q', x1, y1, x, y });
+                    lastControl = { x: x1, y: y1 };
+                    break;
+                }
+                case 'A': {
+                    const [rx, ry, rotation, largeArc, sweep] = params;
+                    const x0 = x;
+                    const y0 = y;
+                    x = params[5] + ox;
+                    y = params[6] + oy;
+                    commands.push({ type: 'A', x0, y0, rx, ry, rotation, largeArc: largeArc !== 0, sweep: sweep !== 0, x, y });
+                    lastControl = null;
+                    break;
+                }
+                case 'Z':
+                    commands.push({ type: 'Z' });
+                    x = startX;
+                    y = startY;
+                    lastControl = null;
+                    break;
+                default:
+                    break;
+            }
+
+            lastType = type;
+            first = false;
+        } while (count > 0 && isNumberToken(tokens[i]));
+    }
+
+    return commands;
+};
+
+const vectorAngle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+
+// Endpoint arc -> canvas ellipse() arguments (SVG spec, appendix F.6.5)
+const arcToEllipse = ({ x0, y0, rx, ry, rotation, largeArc, sweep, x, y }) => {
+    let radiusX = Math.abs(rx);
+    let radiusY = Math.abs(ry);
+    if (radiusX === 0 || radiusY === 0) return null;
+
+    const phi = rotation * Math.PI / 180;
+    const cos = Math.cos(phi);
+    const sin = Math.sin(phi);
+    const dx = (x0 - x) / 2;
+    const dy = (y0 - y) / 2;
+    const x1p = cos * dx + sin * dy;
+    const y1p = -sin * dx + cos * dy;
+
+    // Scale radii up when they cannot span the endpoints
+    const lambda = (x1p * x1p) / (radiusX * radiusX) + (y1p * y1p) / (radiusY * radiusY);
+    if (lambda > 1) {
+        radiusX *= Math.sqrt(lambda);
+        radiusY *= Math.sqrt(lambda);
+    }
+
+    const rx2 = radiusX * radiusX;
+    const ry2 = radiusY * radiusY;
+    const numerator = rx2 * ry2 - rx2 * y1p * y1p - ry2 * x1p * x1p;
+    const denominator = rx2 * y1p * y1p + ry2 * x1p * x1p;
+    const coef = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / denominator));
+    const cxp = coef * radiusX * y1p / radiusY;
+    const cyp = -coef * radiusY * x1p / radiusX;
+
+    const cx = cos * cxp - sin * cyp + (x0 + x) / 2;
+    const cy = sin * cxp + cos * cyp + (y0 + y) / 2;
+
+    const ux = (x1p - cxp) / radiusX;
+    const uy = (y1p - cyp) / radiusY;
+    const vx = (-x1p - cxp) / radiusX;
+    const vy = (-y1p - cyp) / radiusY;
+
+    const startAngle = vectorAngle(1, 0, ux, uy);
+    let delta = vectorAngle(ux, uy, vx, vy);
+    if (!sweep && delta > 0) delta -= 2 * Math.PI;
+    if (sweep && delta < 0) delta += 2 * Math.PI;
+
+    return { cx, cy, radiusX, radiusY, phi, startAngle, endAngle: startAngle + delta, anticlockwise: !sweep };
+};
+
+// Trace parsed commands onto a 2D context (caller fills/strokes)
+const tracePath = (ctx, commands) => {
+    ctx.beginPath();
+    for (const command of commands) {
+        switch (command.type) {
+            case 'M':
+                ctx.moveTo(command.x, command.y);
+                break;
+            case 'L':
+                ctx.lineTo(command.x, command.y);
+                break;
+            case 'C':
+                ctx.bezierCurveTo(command.x1, command.y1, command.x2, command.y2, command.x, command.y);
+                break;
+            case 'Q':
+                ctx.quadraticCurveTo(command.x1, command.y1, command.x, command.y);
+                break;
+            case 'A': {
+                const arc = arcToEllipse(command);
+                if (arc) {
+                    ctx.ellipse(arc.cx, arc.cy, arc.radiusX, arc.radiusY, arc.phi,
+                        arc.startAngle, arc.endAngle, arc.anticlockwise);
+                } else {
+                    ctx.lineTo(command.x, command.y);
+                }
+                break;
+            }
+            case 'Z':
+                ctx.closePath();
+                break;
+            default:
+                break;
+        }
+    }
+};
+
+module.exports = { parsePathData, tracePath, PathDataError };
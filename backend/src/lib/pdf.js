@@ -0,0 +1,348 @@
+const { createCanvas } = require('canvas');
+const PDFDocument = require('pdfkit');
+const { detectImageType } = require('./imageType');
+const { renderPage, drawElement, applyGroupFrame } = require('./renderer');
+const { clampCornerRadius, arrowGeometry } = require('./geometry');
+const { resolveStyle } = require('./style');
+const { resolveTransform } = require('./transform');
+const { layoutText, textRuns, textDecorations } = require('./textLayout');
+const { findFont } = require('./fonts');
+const { imagePlacement, imageClip, imageOutline, prepareImage, imageBuffer, imageKey } = require('./imageOptions');
+const { inheritOpacity, groupsMatrix, invertMatrix } = require('./groups');
+const { backgroundPaint, backgroundImage } = require('./background');
+
+// Map CSS font families onto the PDF standard 14 fonts
+const STANDARD_FONTS = {
+    'arial': 'Helvetica',
+    'helvetica': 'Helvetica',
+    'sans-serif': 'Helvetica',
+    'times new roman': 'Times',
+    'times': 'Times',
+    'georgia': 'Times',
+    'serif': 'Times',
+    'courier': 'Courier',
+    'courier new': 'Courier',
+    'monospace': 'Courier'
+};
+
+// Standard font names by [regular, bold, italic, bold italic]
+const STANDARD_VARIANTS = {
+    Helvetica: ['Helvetica', 'Helvetica-Bold', 'Helvetica-Oblique', 'Helvetica-BoldOblique'],
+    Times: ['Times-Roman', 'Times-Bold', 'Times-Italic', 'Times-BoldItalic'],
+    Courier: ['Courier', 'Courier-Bold', 'Courier-Oblique', 'Courier-BoldOblique']
+};
+
+const isBold = (fontWeight) => fontWeight === 'bold' || Number(fontWeight) >= 600;
+
+const resolveFont = (fontFamily = '', { fontWeight = 'normal', fontStyle = 'normal' } = {}) => {
+    const key = String(fontFamily).split(',')[0].trim().replace(/['"]/g, '').toLowerCase();
+    const variants = STANDARD_VARIANTS[STANDARD_FONTS[key] || 'Helvetica'];
+    return variants[(isBold(fontWeight) ? 1 : 0) + (fontStyle === 'italic' ? 2 : 0)];
+};
+
+// Uploaded fonts are embedded from their files, everything else maps onto the standard 14
+const pdfFont = ({ fontFamily, fontWeight, fontStyle }) => {
+    const face = findFont(fontFamily, { weight: fontWeight, style: fontStyle });
+    return face ? face.path : resolveFont(fontFamily, { fontWeight, fontStyle });
+};
+
+// PDFKit only embeds PNG and JPEG natively
+const PDF_IMAGE_TYPES = ['image/png', 'image/jpeg'];
+
+const toPdfImage = (bitmap, width, height) => {
+    const buffer = imageBuffer(bitmap);
+    if (PDF_IMAGE_TYPES.includes(detectImageType(buffer))) return buffer;
+
+    // Other formats (GIF, WebP, SVG) are rasterized at their drawn size
+    const canvas = createCanvas(Math.max(1, Math.round(width)), Math.max(1, Math.round(height)));
+    canvas.getContext('2d').drawImage(bitmap.image, 0, 0, canvas.width, canvas.height);
+    return canvas.toBuffer('image/png');
+};
+
+// PDFKit color or gradient for a fill/stroke paint
+const toPdfPaint = (doc, paint) => {
+    if (typeof paint === 'string') return paint;
+
+    const gradient = paint.type === 'radial'
+        ? doc.radialGradient(
+            paint.fx === undefined ? paint.cx : paint.fx,
+            paint.fy === undefined ? paint.cy : paint.fy,
+            0,
+            paint.cx, paint.cy, paint.r
+        )
+        : doc.linearGradient(paint.x1, paint.y1, paint.x2, paint.y2);
+
+    for (const stop of paint.stops) {
+        gradient.stop(stop.offset, stop.color);
+    }
+    return gradient;
+};
+
+// Same steps as the canvas renderer's applyTransform
+const applyTransform = (doc, transform) => {
+    if (!transform) return;
+    const { originX, originY, rotation, skewX, skewY, scaleX, scaleY } = transform;
+
+    doc.translate(originX, originY)
+        .rotate(rotation)
+        .transform(1, skewY, skewX, 1, 0, 0)
+        .scale(scaleX, scaleY)
+        .translate(-originX, -originY);
+};
+
+const applyStyle = (doc, style) => {
+    doc.lineWidth(style.strokeWidth);
+    if (style.dash) doc.dash(style.dash);
+    if (style.opacity < 1) doc.opacity(style.opacity);
+};
+
+// Fill and/or stroke the current path
+const paint = (doc, style) => {
+    if (style.fill) doc.fillColor(toPdfPaint(doc, style.fill));
+    if (style.stroke) doc.strokeColor(toPdfPaint(doc, style.stroke));
+
+    if (style.fill && style.stroke) {
+        doc.fillAndStroke();
+    } else if (style.fill) {
+        doc.fill();
+    } else if (style.stroke) {
+        doc.stroke();
+    } else {
+        // End the path without painting it
+        doc.addContent('n');
+    }
+};
+
+const drawRectangle = (doc, { x, y, width, height, cornerRadius }, style) => {
+    const r = clampCornerRadius(cornerRadius, width, height);
+    if (r > 0) {
+        doc.roundedRect(x, y, width, height, r);
+    } else {
+        doc.rect(x, y, width, height);
+    }
+    paint(doc, style);
+};
+
+const drawCircle = (doc, { x, y, radius }, style) => {
+    doc.circle(x, y, radius);
+    paint(doc, style);
+};
+
+const drawEllipse = (doc, { x, y, radiusX, radiusY }, style) => {
+    doc.ellipse(x, y, radiusX, radiusY);
+    paint(doc, style);
+};
+
+const drawLine = (doc, { x1, y1, x2, y2 }, style) => {
+    doc.moveTo(x1, y1).lineTo(x2, y2);
+    paint(doc, { ...style, fill: null });
+};
+
+const drawPolygon = (doc, { points }, style) => {
+    doc.polygon(...points.map(point => [point.x, point.y]));
+    paint(doc, style);
+};
+
+// PDFKit parses SVG path data natively
+const drawPath = (doc, { d, x = 0, y = 0 }, style) => {
+    doc.translate(x, y).path(d);
+    paint(doc, style);
+};
+
+const drawArrow = (doc, element, style) => {
+    const { x1, y1 } = element;
+    const { head, shaftEnd } = arrowGeometry(element);
+
+    drawLine(doc, { x1, y1, x2: shaftEnd.x, y2: shaftEnd.y }, style);
+
+    doc.undash();
+    drawPolygon(doc, { points: head }, { ...style, fill: style.stroke, stroke: null });
+};
+
+// Runs are placed where the canvas layout put them, on their baselines; PDFKit never re-wraps
+// A run's own color replaces the element fill
+const drawText = (doc, element, style) => {
+    for (const run of textRuns(layoutText(element))) {
+        const fill = run.color || style.fill;
+        if (!fill && !style.stroke) continue;
+
+        doc.font(pdfFont(run)).fontSize(run.fontSize);
+        if (fill) doc.fillColor(toPdfPaint(doc, fill));
+        if (style.stroke) doc.strokeColor(toPdfPaint(doc, style.stroke));
+
+        doc.text(run.text, run.x, run.baseline, {
+            lineBreak: false,
+            baseline: 'alphabetic',
+            characterSpacing: element.letterSpacing || 0,
+            fill: Boolean(fill),
+            stroke: Boolean(style.stroke)
+        });
+
+        for (const bar of textDecorations(run)) {
+            doc.rect(bar.x, bar.y, bar.width, bar.height);
+            paint(doc, { fill, stroke: style.stroke });
+        }
+    }
+};
+
+// Start a path for an image clip or outline shape
+const traceImageShape = (doc, shape) => {
+    if (shape.type === 'ellipse') {
+        doc.ellipse(shape.cx, shape.cy, shape.rx, shape.ry);
+    } else if (shape.radius > 0) {
+        doc.roundedRect(shape.x, shape.y, shape.width, shape.height, shape.radius);
+    } else {
+        doc.rect(shape.x, shape.y, shape.width, shape.height);
+    }
+};
+
+// Same crop, filters, fit and clip as the canvas renderer
+const drawImage = (doc, element, style, source) => {
+    if (!source) return;
+    const bitmap = prepareImage(element, source);
+    const { x, y, width, height } = imagePlacement(element, bitmap.width, bitmap.height);
+    const clip = imageClip(element);
+
+    doc.save();
+    if (clip) {
+        traceImageShape(doc, clip);
+        doc.clip();
+    }
+    doc.image(toPdfImage(bitmap, width, height), x, y, { width, height });
+    doc.restore();
+
+    if (style.stroke) {
+        traceImageShape(doc, imageOutline(element));
+        paint(doc, { ...style, fill: null });
+    }
+};
+
+// PDF has no blurred shadows - rasterize the element's shadow with the canvas renderer
+// and place it underneath. The element is drawn far off the bitmap with its shadow
+// offset back onto it, so only the shadow lands in the image.
+// groups: the groups the element sits in, outermost first
+const drawShadow = (doc, page, element, images, groups) => {
+    const canvas = createCanvas(page.width, page.height);
+    const ctx = canvas.getContext('2d');
+    const shift = (page.width + page.height) * 2;
+
+    ctx.translate(-shift, 0);
+    for (const group of groups) {
+        applyGroupFrame(ctx, group);
+    }
+    drawElement(ctx, { ...element, shadowOffsetX: (element.shadowOffsetX || 0) + shift }, images);
+
+    // The bitmap is in page space - undo the group frames the document is drawing in
+    doc.save();
+    if (groups.length > 0) {
+        doc.transform(...invertMatrix(groupsMatrix(groups)));
+    }
+    doc.image(canvas.toBuffer('image/png'), 0, 0, { width: page.width, height: page.height });
+    doc.restore();
+};
+
+// Draw one element as native PDF operations; groups lists the groups it sits in
+const drawVectorElement = (doc, page, element, images, groups) => {
+    if (element.type === 'group') {
+        doc.save();
+        applyTransform(doc, resolveTransform(element));
+        doc.translate(element.x, element.y);
+        for (const child of element.children) {
+            drawVectorElement(doc, page, inheritOpacity(child, element), images, [...groups, element]);
+        }
+        doc.restore();
+        return;
+    }
+
+    const style = resolveStyle(element);
+
+    if (style.shadow) {
+        drawShadow(doc, page, element, images, groups);
+    }
+
+    doc.save();
+    applyTransform(doc, resolveTransform(element));
+    applyStyle(doc, style);
+    switch (element.type) {
+        case 'rectangle':
+            drawRectangle(doc, element, style);
+            break;
+        case 'circle':
+            drawCircle(doc, element, style);
+            break;
+        case 'ellipse':
+            drawEllipse(doc, element, style);
+            break;
+        case 'line':
+            drawLine(doc, element, style);
+            break;
+        case 'polygon':
+            drawPolygon(doc, element, style);
+            break;
+        case 'path':
+            drawPath(doc, element, style);
+            break;
+        case 'arrow':
+            drawArrow(doc, element, style);
+            break;
+        case 'text':
+            drawText(doc, element, style);
+            break;
+        case 'image':
+            drawImage(doc, element, style, images.get(imageKey(element)));
+            break;
+        default:
+            break;
+    }
+    doc.restore();
+};
+
+// Replay a page's element list as native PDF drawing operations
+const renderVectorPdf = (doc, page, images) => {
+    const { width, height, background, elements } = page;
+
+    // Transparent backgrounds leave the page unpainted
+    const fill = backgroundPaint(background);
+    if (fill) {
+        doc.rect(0, 0, width, height).fill(toPdfPaint(doc, fill));
+    }
+    const image = backgroundImage(page);
+    if (image) {
+        drawVectorElement(doc, page, image, images, []);
+    }
+
+    for (const element of elements) {
+        drawVectorElement(doc, page, element, images, []);
+    }
+};
+
+// Compressed document with no initial page - addPdfPages sizes each page
+const createPdfDocument = () => new PDFDocument({
+    autoFirstPage: false,
+    compress: true,
+    info: {
+        Title: 'Canvas Export',
+        Author: 'Canvas Builder API',
+        Creator: 'Canvas Builder API'
+    }
+});
+
+// Append one PDF page per canvas page
+// mode 'vector' replays elements, 'raster' embeds the page bitmap as a PNG
+const addPdfPages = (doc, pages, images, mode = 'vector') => {
+    for (const page of pages) {
+        doc.addPage({ size: [page.width, page.height], margin: 0 });
+
+        if (mode === 'raster') {
+            const canvas = page.canvas || renderPage(page, images);
+            doc.image(canvas.toBuffer('image/png'), 0, 0, {
+                width: page.width,
+                height: page.height
+            });
+        } else {
+            renderVectorPdf(doc, page, images);
+        }
+    }
+};
+
+module.exports = { createPdfDocument, addPdfPages, renderVectorPdf, resolveFont };
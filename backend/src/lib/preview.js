@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const { createCanvas } = require('canvas');
+const { detectImageType } = require('./imageType');
+
+// Page preview options, read from the query string
+//
+//   format               png (default), jpeg or webp
+//   quality              1-100 for jpeg and webp (default 90)
+//   scale                output pixels per canvas unit (default 1)
+//   dpi                  print resolution instead of scale - canvas units are points (1/72 inch)
+//   maxWidth, maxHeight  shrink the output to fit, keeping its aspect ratio - for thumbnails
+//   region               x,y,width,height - only this part of the page, in canvas units
+// Anything but a plain 1:1 page is redrawn from the elements at the output size, so
+// scaled-up previews stay sharp rather than being resized from the page bitmap.
+
+const FORMATS = ['png', 'jpeg', 'webp'];
+
+const MIME_TYPES = {
+    png: 'image/png',
+    jpeg: 'image/jpeg',
+    webp: 'image/webp'
+};
+
+const DEFAULT_QUALITY = 90;
+const POINTS_PER_INCH = 72;
+const MAX_SCALE = 10;
+const MAX_DPI = POINTS_PER_INCH * MAX_SCALE;
+// Keeps one preview's bitmap to a few hundred megabytes
+const MAX_OUTPUT_PIXELS = 50000000;
+
+// node-canvas encodes PNG and JPEG; WebP only with a canvas build that has an encoder for it
+const WEBP_SUPPORTED = (() => {
+    try {
+        return detectImageType(createCanvas(1, 1).toBuffer(MIME_TYPES.webp)) === MIME_TYPES.webp;
+    } catch (error) {
+        return false;
+    }
+})();
+
+const supportedFormats = () => FORMATS.filter(format => format !== 'webp' || WEBP_SUPPORTED);
+
+// Query value -> number; NaN when present but not numeric
+const toNumber = (value) => (value === undefined ? undefined : (value === '' ? NaN : Number(value)));
+
+const parseRegion = (value, page, errors) => {
+    if (value === undefined) return null;
+
+    const parts = String(value).split(',').map(part => toNumber(part.trim()));
+    if (parts.length !== 4 || parts.some(part => !Number.isFinite(part)) || parts[2] <= 0 || parts[3] <= 0) {
+        errors.push({ field: 'region', message: 'must be x,y,width,height with a positive width and height' });
+        return null;
+    }
+
+    // Only the part that overlaps the page is drawn
+    const [x, y, width, height] = parts;
+    const left = Math.max(0, x);
+    const top = Math.max(0, y);
+    const right = Math.min(page.width, x + width);
+    const bottom = Math.min(page.height, y + height);
+    if (right <= left || bottom <= top) {
+        errors.push({ field: 'region', message: `must overlap the page (0,0,${page.width},${page.height})` });
+        return null;
+    }
+    return { x: left, y: top, width: right - left, height: bottom - top };
+};
+
+// Returns { options, errors } - errors is a list of { field, message } problems
+const parsePreviewOptions = (query, page) => {
+    const errors = [];
+    const { format = 'png' } = query;
+    const quality = toNumber(query.quality);
+    const scale = toNumber(query.scale);
+    const dpi = toNumber(query.dpi);
+    const maxWidth = toNumber(query.maxWidth);
+    const maxHeight = toNumber(query.maxHeight);
+
+    if (!supportedFormats().includes(format)) {
+        const message = FORMATS.includes(format)
+            ? `${format} output is not supported by this server's canvas build`
+            : `must be one of: ${supportedFormats().join(', ')}`;
+        errors.push({ field: 'format', message });
+    }
+    if (quality !== undefined && !(Number.isInteger(quality) && quality >= 1 && quality <= 100)) {
+        errors.push({ field: 'quality', message: 'must be an integer from 1 to 100' });
+    }
+    if (scale !== undefined && !(scale > 0 && scale <= MAX_SCALE)) {
+        errors.push({ field: 'scale', message: `must be a number above 0 and at most ${MAX_SCALE}` });
+    }
+    if (dpi !== undefined && !(dpi > 0 && dpi <= MAX_DPI)) {
+        errors.push({ field: 'dpi', message: `must be a number above 0 and at most ${MAX_DPI}` });
+    }
+    if (scale !== undefined && dpi !== undefined) {
+        errors.push({ field: 'dpi', message: 'cannot be combined with scale' });
+    }
+    for (const [field, value] of [['maxWidth', maxWidth], ['maxHeight', maxHeight]]) {
+        if (value !== undefined && !(Number.isInteger(value) && value > 0)) {
+            errors.push({ field, message: 'must be a positive integer' });
+        }
+    }
+    const region = parseRegion(query.region, page, errors);
+    if (errors.length > 0) return { options: null, errors };
+
+    const area = region || { width: page.width, height: page.height };
+    let outputScale = dpi !== undefined ? dpi / POINTS_PER_INCH : (scale ?? 1);
+    outputScale *= Math.min(
+        1,
+        maxWidth !== undefined ? maxWidth / (area.width * outputScale) : 1,
+        maxHeight !== undefined ? maxHeight / (area.height * outputScale) : 1
+    );
+
+    const width = Math.max(1, Math.round(area.width * outputScale));
+    const height = Math.max(1, Math.round(area.height * outputScale));
+    if (width * height > MAX_OUTPUT_PIXELS) {
+        errors.push({
+            field: dpi !== undefined ? 'dpi' : 'scale',
+            message: `output of ${width} × ${height} pixels exceeds the ${MAX_OUTPUT_PIXELS} pixel limit`
+        });
+        return { options: null, errors };
+    }
+
+    return {
+        options: {
+            format,
+            quality: format === 'png' ? null : (quality ?? DEFAULT_QUALITY),
+            scale: outputScale,
+            dpi: dpi ?? null,
+            region
+        },
+        errors
+    };
+};
+
+// True when the cached page bitmap is the preview as it stands
+const isPlainPreview = (options) => options.scale === 1 && !options.region;
+
+// Encode a preview bitmap; returns { buffer, contentType }
+const encodePreview = (canvas, { format, quality, dpi }) => {
+    if (format === 'png') {
+        // The resolution is written to the PNG's pHYs chunk so print tools size it correctly
+        const config = dpi ? { resolution: Math.round(dpi) } : undefined;
+        return { buffer: canvas.toBuffer(MIME_TYPES.png, config), contentType: MIME_TYPES.png };
+    }
+
+    let source = canvas;
+    if (format === 'jpeg') {
+        // JPEG has no alpha channel - flatten transparent pages onto white rather than black
+        source = createCanvas(canvas.width, canvas.height);
+        const ctx = source.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(canvas, 0, 0);
+    }
+    return {
+        buffer: source.toBuffer(MIME_TYPES[format], { quality: quality / 100 }),
+        contentType: MIME_TYPES[format]
+    };
+};
+
+// Entity tag for one preview of a canvas revision - any change to the canvas or the fonts,
+// or a different page or option, gives a new tag
+const previewTag = (revision, fontsVersion, page, options, includeHidden) => {
+    const hash = crypto.createHash('sha1')
+        .update(JSON.stringify({ page: page.id, includeHidden, ...options }))
+        .digest('hex')
+        .slice(0, 16);
+    return `"${revision}.${fontsVersion}-${hash}"`;
+};
+
+module.exports = {
+    parsePreviewOptions,
+    isPlainPreview,
+    encodePreview,
+    previewTag
+};
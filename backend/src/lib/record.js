@@ -0,0 +1,53 @@
+const { v4: uuidv4 } = require('uuid');
+const history = require('./history');
+const { renderCanvas } = require('./renderer');
+const { findInTree } = require('./groups');
+const { createLayer, createLayers } = require('./layers');
+
+// One page of a canvas document; canvas holds its rendered bitmap
+const createPage = ({ id = uuidv4(), width, height, background = '#ffffff', elements = [] }) => ({
+    id,
+    width,
+    height,
+    background,
+    elements,
+    canvas: null
+});
+
+// Live state of one canvas document - an ordered list of pages sharing one image pool
+// and one set of layers
+// revision counts saved changes; previews are cached against it
+const createCanvasRecord = ({ pages, images = new Map(), layers = null, revision = 0, updatedAt = new Date() }) => {
+    const record = {
+        pages: pages.map(createPage),
+        // Canvases saved before layers existed get the default single layer
+        layers: layers && layers.length > 0 ? layers.map(createLayer) : createLayers(),
+        // Source bytes and decoded image, keyed by the imageId on image elements
+        images,
+        history: history.createHistory(),
+        revision,
+        updatedAt
+    };
+    renderCanvas(record);
+    return record;
+};
+
+// Locate an element on any page of the document, inside groups too
+// siblings is the array holding it (page.elements or a group's children), parent its group
+const findElement = (record, elementId) => {
+    for (const page of record.pages) {
+        const found = findInTree(page.elements, elementId);
+        if (found) {
+            return { page, ...found };
+        }
+    }
+    return null;
+};
+
+// Count a change to the document, invalidating cached previews
+const markChanged = (record) => {
+    record.revision += 1;
+    record.updatedAt = new Date();
+};
+
+module.exports = { createPage, createCanvasRecord, findElement, markChanged };
@@ -0,0 +1,367 @@
+const { createCanvas } = require('canvas');
+const { parsePathData, tracePath } = require('./pathData');
+const { clampCornerRadius, arrowGeometry } = require('./geometry');
+const { resolveStyle } = require('./style');
+const { resolveTransform } = require('./transform');
+const { layoutText, textRuns, textDecorations } = require('./textLayout');
+const { imagePlacement, imageClip, imageOutline, prepareImage, imageKey } = require('./imageOptions');
+const { inheritOpacity } = require('./groups');
+const { layerElements } = require('./layers');
+const { backgroundPaint, backgroundImage } = require('./background');
+const { fontsVersion } = require('./fonts');
+
+// Canvas color or gradient for a fill/stroke paint
+const toCanvasPaint = (ctx, paint) => {
+    if (typeof paint === 'string') return paint;
+
+    const gradient = paint.type === 'radial'
+        ? ctx.createRadialGradient(
+            paint.fx === undefined ? paint.cx : paint.fx,
+            paint.fy === undefined ? paint.cy : paint.fy,
+            0,
+            paint.cx, paint.cy, paint.r
+        )
+        : ctx.createLinearGradient(paint.x1, paint.y1, paint.x2, paint.y2);
+
+    for (const stop of paint.stops) {
+        gradient.addColorStop(stop.offset, stop.color);
+    }
+    return gradient;
+};
+
+// Move the drawing space so the element rotates/skews/scales/flips about its origin
+const applyTransform = (ctx, transform) => {
+    if (!transform) return;
+    const { originX, originY, rotation, skewX, skewY, scaleX, scaleY } = transform;
+
+    ctx.translate(originX, originY);
+    ctx.rotate(rotation * Math.PI / 180);
+    ctx.transform(1, skewY, skewX, 1, 0, 0);
+    ctx.scale(scaleX, scaleY);
+    ctx.translate(-originX, -originY);
+};
+
+// Opacity, line and shadow settings for everything the element draws
+// Shadows ignore the canvas transform, so they are sized by the page scale directly
+const applyStyle = (ctx, style, scale) => {
+    ctx.globalAlpha = style.opacity;
+    ctx.lineWidth = style.strokeWidth;
+    ctx.setLineDash(style.dash || []);
+
+    if (style.shadow) {
+        ctx.shadowColor = style.shadow.color;
+        ctx.shadowBlur = style.shadow.blur * scale;
+        ctx.shadowOffsetX = style.shadow.offsetX * scale;
+        ctx.shadowOffsetY = style.shadow.offsetY * scale;
+    }
+};
+
+// Fill then stroke the current path
+// When both paint, only the fill casts the shadow so it is not darkened twice
+const paint = (ctx, style) => {
+    if (style.fill) {
+        ctx.fillStyle = toCanvasPaint(ctx, style.fill);
+        ctx.fill();
+        ctx.shadowColor = 'transparent';
+    }
+    if (style.stroke) {
+        ctx.strokeStyle = toCanvasPaint(ctx, style.stroke);
+        ctx.stroke();
+    }
+};
+
+// Add a rectangle, with corners rounded by r, to the current path
+const traceRect = (ctx, x, y, width, height, r) => {
+    if (r > 0) {
+        ctx.moveTo(x + r, y);
+        ctx.arcTo(x + width, y, x + width, y + height, r);
+        ctx.arcTo(x + width, y + height, x, y + height, r);
+        ctx.arcTo(x, y + height, x, y, r);
+        ctx.arcTo(x, y, x + width, y, r);
+        ctx.closePath();
+    } else {
+        ctx.rect(x, y, width, height);
+    }
+};
+
+const drawRectangle = (ctx, { x, y, width, height, cornerRadius }, style) => {
+    ctx.beginPath();
+    traceRect(ctx, x, y, width, height, clampCornerRadius(cornerRadius, width, height));
+    paint(ctx, style);
+};
+
+const drawCircle = (ctx, { x, y, radius }, style) => {
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, 2 * Math.PI);
+    paint(ctx, style);
+};
+
+const drawEllipse = (ctx, { x, y, radiusX, radiusY }, style) => {
+    ctx.beginPath();
+    ctx.ellipse(x, y, radiusX, radiusY, 0, 0, 2 * Math.PI);
+    paint(ctx, style);
+};
+
+const drawLine = (ctx, { x1, y1, x2, y2 }, style) => {
+    ctx.beginPath();
+    ctx.moveTo(x1, y1);
+    ctx.lineTo(x2, y2);
+    paint(ctx, { ...style, fill: null });
+};
+
+const drawPolygon = (ctx, { points }, style) => {
+    ctx.beginPath();
+    points.forEach((point, index) => {
+        if (index === 0) {
+            ctx.moveTo(point.x, point.y);
+        } else {
+            ctx.lineTo(point.x, point.y);
+        }
+    });
+    ctx.closePath();
+    paint(ctx, style);
+};
+
+// Path data is drawn relative to the element's x/y offset
+const drawPath = (ctx, { d, x = 0, y = 0 }, style) => {
+    ctx.translate(x, y);
+    tracePath(ctx, parsePathData(d));
+    paint(ctx, style);
+};
+
+// The head is filled with the stroke paint and is never dashed
+const drawArrow = (ctx, element, style) => {
+    const { x1, y1 } = element;
+    const { head, shaftEnd } = arrowGeometry(element);
+
+    drawLine(ctx, { x1, y1, x2: shaftEnd.x, y2: shaftEnd.y }, style);
+
+    ctx.setLineDash([]);
+    drawPolygon(ctx, { points: head }, { ...style, fill: style.stroke, stroke: null });
+};
+
+// Draw a run, one character at a time when letters are spaced out
+const drawChars = (ctx, run, letterSpacing, draw) => {
+    if (!letterSpacing) {
+        draw(run.text, run.x, run.y);
+        return;
+    }
+
+    let cursor = run.x;
+    for (const char of run.text) {
+        draw(char, cursor, run.y);
+        cursor += ctx.measureText(char).width + letterSpacing;
+    }
+};
+
+// A run's own color replaces the element fill
+const drawText = (ctx, element, style) => {
+    const runs = textRuns(layoutText(element));
+    const { letterSpacing } = element;
+
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+
+    let filled = false;
+    for (const run of runs) {
+        const fill = run.color || style.fill;
+        if (!fill) continue;
+
+        ctx.font = run.font;
+        ctx.fillStyle = toCanvasPaint(ctx, fill);
+        drawChars(ctx, run, letterSpacing, (text, x, y) => ctx.fillText(text, x, y));
+        for (const bar of textDecorations(run)) {
+            ctx.fillRect(bar.x, bar.y, bar.width, bar.height);
+        }
+        filled = true;
+    }
+    if (filled) ctx.shadowColor = 'transparent';
+
+    if (style.stroke) {
+        ctx.strokeStyle = toCanvasPaint(ctx, style.stroke);
+        for (const run of runs) {
+            ctx.font = run.font;
+            drawChars(ctx, run, letterSpacing, (text, x, y) => ctx.strokeText(text, x, y));
+            for (const bar of textDecorations(run)) {
+                ctx.strokeRect(bar.x, bar.y, bar.width, bar.height);
+            }
+        }
+    }
+};
+
+// Start a path for an image clip or outline shape
+const traceImageShape = (ctx, shape) => {
+    ctx.beginPath();
+    if (shape.type === 'ellipse') {
+        ctx.ellipse(shape.cx, shape.cy, shape.rx, shape.ry, 0, 0, 2 * Math.PI);
+    } else {
+        traceRect(ctx, shape.x, shape.y, shape.width, shape.height, shape.radius);
+    }
+};
+
+// Crop, filters, fit and clip come from the image options; a stroke draws a border
+// along the clip shape
+const drawImage = (ctx, element, style, source, scale) => {
+    if (!source) return;
+    const bitmap = prepareImage(element, source);
+    const placement = imagePlacement(element, bitmap.width, bitmap.height);
+    const clip = imageClip(element);
+    const draw = (target) =>
+        target.drawImage(bitmap.image, placement.x, placement.y, placement.width, placement.height);
+
+    if (!clip) {
+        draw(ctx);
+    } else if (style.shadow) {
+        // A clip would cut the shadow off too, so clip on a separate layer and draw that
+        const { x, y } = element;
+        const layer = createCanvas(
+            Math.max(1, Math.ceil(element.width * scale)),
+            Math.max(1, Math.ceil(element.height * scale))
+        );
+        const layerCtx = layer.getContext('2d');
+        layerCtx.scale(scale, scale);
+        layerCtx.translate(-x, -y);
+        traceImageShape(layerCtx, clip);
+        layerCtx.clip();
+        draw(layerCtx);
+        ctx.drawImage(layer, x, y, layer.width / scale, layer.height / scale);
+    } else {
+        ctx.save();
+        traceImageShape(ctx, clip);
+        ctx.clip();
+        draw(ctx);
+        ctx.restore();
+    }
+
+    if (style.stroke) {
+        ctx.shadowColor = 'transparent';
+        ctx.strokeStyle = toCanvasPaint(ctx, style.stroke);
+        traceImageShape(ctx, imageOutline(element));
+        ctx.stroke();
+    }
+};
+
+// Group transform, then the group's offset - children draw in the group's coordinates
+const applyGroupFrame = (ctx, group) => {
+    applyTransform(ctx, resolveTransform(group));
+    ctx.translate(group.x, group.y);
+};
+
+// Groups have no paint of their own; their opacity is passed down to each child
+const drawGroup = (ctx, group, images, scale) => {
+    ctx.save();
+    applyGroupFrame(ctx, group);
+    for (const child of group.children) {
+        drawElement(ctx, inheritOpacity(child, group), images, scale);
+    }
+    ctx.restore();
+};
+
+// scale: device pixels per page unit, when ctx is scaled for a larger or smaller output
+const drawElement = (ctx, element, images, scale = 1) => {
+    if (element.type === 'group') {
+        drawGroup(ctx, element, images, scale);
+        return;
+    }
+    const style = resolveStyle(element);
+
+    ctx.save();
+    applyTransform(ctx, resolveTransform(element));
+    applyStyle(ctx, style, scale);
+    switch (element.type) {
+        case 'rectangle':
+            drawRectangle(ctx, element, style);
+            break;
+        case 'circle':
+            drawCircle(ctx, element, style);
+            break;
+        case 'ellipse':
+            drawEllipse(ctx, element, style);
+            break;
+        case 'line':
+            drawLine(ctx, element, style);
+            break;
+        case 'polygon':
+            drawPolygon(ctx, element, style);
+            break;
+        case 'path':
+            drawPath(ctx, element, style);
+            break;
+        case 'arrow':
+            drawArrow(ctx, element, style);
+            break;
+        case 'text':
+            drawText(ctx, element, style);
+            break;
+        case 'image':
+            drawImage(ctx, element, style, images.get(imageKey(element)), scale);
+            break;
+        default:
+            break;
+    }
+    ctx.restore();
+};
+
+// Background, then elements, drawn in page coordinates
+const drawPage = (ctx, page, elements, images, scale = 1) => {
+    // A new canvas is transparent, so a transparent background paints nothing
+    const fill = backgroundPaint(page.background);
+    if (fill) {
+        ctx.fillStyle = toCanvasPaint(ctx, fill);
+        ctx.fillRect(0, 0, page.width, page.height);
+    }
+    const image = backgroundImage(page);
+    if (image) {
+        drawElement(ctx, image, images, scale);
+    }
+
+    for (const element of elements) {
+        drawElement(ctx, element, images, scale);
+    }
+};
+
+// Font registry version each page bitmap was drawn with
+const drawnWithFonts = new WeakMap();
+
+// Rebuild a page bitmap from its element list - the elements are the source of truth
+// With the canvas layers given, elements are drawn layer by layer and hidden layers skipped
+const renderPage = (page, images, layers = null) => {
+    const elements = layers ? layerElements(page.elements, layers) : page.elements;
+    const canvas = createCanvas(page.width, page.height);
+    drawPage(canvas.getContext('2d'), page, elements, images);
+
+    page.canvas = canvas;
+    drawnWithFonts.set(canvas, fontsVersion().version);
+    return canvas;
+};
+
+// The page's cached bitmap, drawn again if fonts were registered since it was drawn
+const pageBitmap = (page, images, layers = null) => (
+    page.canvas && drawnWithFonts.get(page.canvas) === fontsVersion().version
+        ? page.canvas
+        : renderPage(page, images, layers)
+);
+
+// Draw a page, or the region { x, y, width, height } of it, at scale pixels per page unit
+// The cached page bitmap is left alone; elements are redrawn at the output resolution
+const renderPageRegion = (page, images, { scale = 1, region = null } = {}) => {
+    const area = region || { x: 0, y: 0, width: page.width, height: page.height };
+    const canvas = createCanvas(
+        Math.max(1, Math.round(area.width * scale)),
+        Math.max(1, Math.round(area.height * scale))
+    );
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+    ctx.translate(-area.x, -area.y);
+    drawPage(ctx, page, page.elements, images, scale);
+    return canvas;
+};
+
+// Re-render every page of a canvas, e.g. after undo/redo replaced them
+const renderCanvas = (record) => {
+    for (const page of record.pages) {
+        renderPage(page, record.images, record.layers);
+    }
+};
+
+module.exports = { renderCanvas, renderPage, pageBitmap, renderPageRegion, drawElement, applyGroupFrame };
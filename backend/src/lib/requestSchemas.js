@@ -0,0 +1,198 @@
+// Request payloads of the canvas routes, checked with validateRequest (see lib/schema.js)
+// Style fields, transforms, text layout and image options are checked by their own validators,
+// which the routes run on the converted values.
+const {
+    INVALID,
+    rule,
+    check,
+    number,
+    boolean,
+    string,
+    oneOf,
+    color,
+    fontFamily,
+    any,
+    array,
+    object
+} = require('./schema');
+const { parsePathData, PathDataError } = require('./pathData');
+const { TEXT_ALIGNS } = require('./textLayout');
+const { isLayerName, LAYER_NAME_MESSAGE } = require('./layers');
+
+const MAX_DIMENSION = 5000;
+
+// Upper bound on data records per /render request
+const MAX_RENDER_RECORDS = 500;
+
+// Upper bound on operations per /batch request
+const MAX_BATCH_OPERATIONS = 500;
+
+const PDF_MODES = ['vector', 'raster'];
+
+const required = { required: true };
+
+// Page size in whole canvas units
+const dimension = (options) => number({ integer: true, min: 1, max: MAX_DIMENSION, ...options });
+
+// Position in a list; the upper bound depends on the list, so routes check it
+const index = (options) => number({ integer: true, min: 0, ...options });
+
+// Polygon point as { x, y } - [x, y] pairs are accepted too
+const point = rule((value, field, errors) => {
+    const [x, y] = Array.isArray(value) ? value : [value && value.x, value && value.y];
+    if (Number.isFinite(x) && Number.isFinite(y)) return { x, y };
+
+    errors.push({ field, message: 'must be an { x, y } point' });
+    return INVALID;
+});
+
+// SVG path data, with the parser's own description of what is wrong
+const pathData = (options) => rule((value, field, errors) => {
+    try {
+        parsePathData(value);
+        return value;
+    } catch (error) {
+        if (!(error instanceof PathDataError)) throw error;
+        errors.push({ field, message: error.message });
+        return INVALID;
+    }
+}, options);
+
+// Fields of each element type as sent to /add/<type>; element updates check the same fields
+// with partial(), so a PATCH cannot set what an add would refuse
+const ELEMENT_SCHEMAS = {
+    rectangle: {
+        x: number(required),
+        y: number(required),
+        width: number({ min: 0, ...required }),
+        height: number({ min: 0, ...required }),
+        cornerRadius: number({ min: 0 }),
+        color: color(),
+        isFilled: boolean()
+    },
+    circle: {
+        x: number(required),
+        y: number(required),
+        radius: number({ above: 0, ...required }),
+        color: color(),
+        isFilled: boolean()
+    },
+    ellipse: {
+        x: number(required),
+        y: number(required),
+        radiusX: number({ above: 0, ...required }),
+        radiusY: number({ above: 0, ...required }),
+        color: color(),
+        isFilled: boolean()
+    },
+    line: {
+        x1: number(required),
+        y1: number(required),
+        x2: number(required),
+        y2: number(required),
+        color: color()
+    },
+    arrow: {
+        x1: number(required),
+        y1: number(required),
+        x2: number(required),
+        y2: number(required),
+        headSize: number({ above: 0 }),
+        color: color()
+    },
+    polygon: {
+        points: array(point, { minLength: 3, ...required }),
+        color: color(),
+        isFilled: boolean()
+    },
+    path: {
+        d: pathData(required),
+        x: number(),
+        y: number(),
+        color: color(),
+        isFilled: boolean()
+    },
+    // text may be replaced by runs, so the route checks that one of them is there
+    text: {
+        text: string(),
+        x: number(required),
+        y: number(required),
+        fontSize: number({ above: 0 }),
+        fontFamily: fontFamily(),
+        color: color(),
+        align: oneOf(TEXT_ALIGNS)
+    },
+    // A width or height of 0 means the size of the (cropped) bitmap
+    image: {
+        url: string(),
+        assetId: string(),
+        x: number(required),
+        y: number(required),
+        width: number({ min: 0 }),
+        height: number({ min: 0 })
+    },
+    group: {
+        x: number(required),
+        y: number(required),
+        name: string()
+    }
+};
+
+// Every /add route: the target layer, checked further by withElementOptions
+const ADD_FIELDS = { layerId: string() };
+
+// Uploads carry their image as a file and are placed at the top left unless told otherwise
+const IMAGE_UPLOAD = {
+    ...ADD_FIELDS,
+    x: number(),
+    y: number(),
+    width: ELEMENT_SCHEMAS.image.width,
+    height: ELEMENT_SCHEMAS.image.height
+};
+
+const elementIds = array(string(), { minLength: 1, ...required });
+
+const LAYER_FIELDS = {
+    name: check(isLayerName, LAYER_NAME_MESSAGE),
+    visible: boolean(),
+    locked: boolean()
+};
+
+// Query string of routes that draw a page: ?page=<pageId>&includeHidden=true
+const VIEW_QUERY = {
+    page: string(),
+    includeHidden: boolean()
+};
+
+const SCHEMAS = {
+    init: {
+        body: { width: dimension(required), height: dimension(required), background: any() }
+    },
+    add: Object.fromEntries(Object.entries(ELEMENT_SCHEMAS)
+        .filter(([type]) => type !== 'group')
+        .map(([type, schema]) => [type, { query: VIEW_QUERY, body: { ...ADD_FIELDS, ...schema } }])),
+    imageUpload: { query: VIEW_QUERY, body: IMAGE_UPLOAD },
+    group: { body: { elementIds, name: string() } },
+    ungroup: { body: { elementIds } },
+    batch: {
+        body: { operations: array(any(), { minLength: 1, maxLength: MAX_BATCH_OPERATIONS, ...required }) }
+    },
+    addLayer: { body: { ...LAYER_FIELDS, index: index() } },
+    updateLayer: { body: LAYER_FIELDS },
+    move: { body: { index: index(required) } },
+    addPage: { body: { width: dimension(), height: dimension(), background: any(), index: index() } },
+    background: { query: VIEW_QUERY, body: { background: any(required) } },
+    render: {
+        query: VIEW_QUERY,
+        body: {
+            records: array(object({}), { minLength: 1, maxLength: MAX_RENDER_RECORDS, ...required }),
+            format: oneOf(['pdf', 'png']),
+            mode: oneOf(PDF_MODES)
+        }
+    },
+    exportPdf: { query: { ...VIEW_QUERY, mode: oneOf(PDF_MODES) } },
+    view: { query: VIEW_QUERY },
+    font: { body: { family: fontFamily() } }
+};
+
+module.exports = { ELEMENT_SCHEMAS, SCHEMAS };
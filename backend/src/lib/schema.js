@@ -0,0 +1,176 @@
+// Declarative request validation
+//
+// A schema maps field names to rules. validate() checks a body or query string against one
+// and returns its values converted to the declared types:
+//
+//   number({ integer, min, max, above })   numeric strings (query strings, multipart fields)
+//                                          are converted; above is an exclusive minimum
+//   boolean()                              also 'true' / 'false'
+//   string({ minLength, maxLength })
+//   oneOf(values)                          one of a fixed list
+//   color()                                a CSS color (see lib/color.js)
+//   fontFamily()                           a family name safe to put in a CSS font (see lib/textLayout.js)
+//   array(item, { minLength, maxLength })  every entry checked against the item rule
+//   object(schema)                         a nested schema
+//   any()                                  anything - left to a validator that runs later
+//   check(test, message)                   values for which test(value) holds
+//   rule(convert)                          a custom rule; convert(value, field, errors) returns the
+//                                          converted value, or INVALID after pushing its errors
+// Every rule takes { required: true }; partial(schema) drops the requirements. Missing and null values skip their rule and are kept as
+// they are, so PATCH bodies can still clear a field with null. Fields without a rule pass through.
+const { isColor, COLOR_MESSAGE } = require('./color');
+const { isFontFamily, FONT_FAMILY_MESSAGE } = require('./textLayout');
+const { ValidationError } = require('./errors');
+
+const INVALID = Symbol('invalid');
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const rule = (convert, { required = false } = {}) => ({ convert, required });
+
+// Fails with message unless test(value) holds
+const check = (test, message, options) => rule((value, field, errors) => {
+    if (test(value)) return value;
+    errors.push({ field, message });
+    return INVALID;
+}, options);
+
+// e.g. 'must be an integer from 1 to 5000', 'must be a number greater than 0'
+const numberMessage = ({ integer, min, max, above }) => {
+    const kind = integer ? 'an integer' : 'a number';
+    if (min !== undefined && max !== undefined) return `must be ${kind} from ${min} to ${max}`;
+
+    const limits = [];
+    if (above !== undefined) limits.push(`greater than ${above}`);
+    if (min !== undefined) limits.push(`of at least ${min}`);
+    if (max !== undefined) limits.push(`${limits.length > 0 ? '' : 'of '}at most ${max}`);
+    return `must be ${kind}${limits.length > 0 ? ` ${limits.join(' and ')}` : ''}`;
+};
+
+const number = ({ integer = false, min, max, above, ...options } = {}) => rule((value, field, errors) => {
+    const converted = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    const valid = typeof converted === 'number' && Number.isFinite(converted) &&
+        (!integer || Number.isInteger(converted)) &&
+        (min === undefined || converted >= min) &&
+        (max === undefined || converted <= max) &&
+        (above === undefined || converted > above);
+    if (valid) return converted;
+
+    errors.push({ field, message: numberMessage({ integer, min, max, above }) });
+    return INVALID;
+}, options);
+
+const BOOLEAN_STRINGS = { true: true, false: false };
+
+const boolean = (options) => rule((value, field, errors) => {
+    if (typeof value === 'boolean') return value;
+    if (typeof value === 'string' && value in BOOLEAN_STRINGS) return BOOLEAN_STRINGS[value];
+
+    errors.push({ field, message: 'must be a boolean' });
+    return INVALID;
+}, options);
+
+const string = ({ minLength = 1, maxLength, ...options } = {}) => check(
+    value => typeof value === 'string' && value.length >= minLength &&
+        (maxLength === undefined || value.length <= maxLength),
+    maxLength === undefined
+        ? (minLength > 0 ? 'must be a non-empty string' : 'must be a string')
+        : `must be a string of ${minLength} to ${maxLength} characters`,
+    options
+);
+
+const oneOf = (values, options) => check(
+    value => values.includes(value),
+    `must be one of: ${values.join(', ')}`,
+    options
+);
+
+const color = (options) => check(isColor, COLOR_MESSAGE, options);
+
+const fontFamily = (options) => check(isFontFamily, FONT_FAMILY_MESSAGE, options);
+
+const any = (options) => rule(value => value, options);
+
+const array = (item, { minLength = 0, maxLength, ...options } = {}) => rule((value, field, errors) => {
+    if (!Array.isArray(value) || value.length < minLength || (maxLength !== undefined && value.length > maxLength)) {
+        const size = maxLength === undefined
+            ? (minLength > 0 ? ` of at least ${minLength} ${minLength === 1 ? 'entry' : 'entries'}` : '')
+            : ` of ${minLength} to ${maxLength} entries`;
+        errors.push({ field, message: `must be an array${size}` });
+        return INVALID;
+    }
+
+    const count = errors.length;
+    const converted = value.map((entry, index) => item.convert(entry, `${field}[${index}]`, errors));
+    return errors.length > count ? INVALID : converted;
+}, options);
+
+const object = (schema, options) => rule((value, field, errors) => {
+    if (!isObject(value)) {
+        errors.push({ field, message: 'must be an object' });
+        return INVALID;
+    }
+
+    const result = validate(schema, value, `${field}.`);
+    errors.push(...result.errors);
+    return result.errors.length > 0 ? INVALID : result.value;
+}, options);
+
+// The same rules with none of them required - e.g. for partial updates
+const partial = (schema) =>
+    Object.fromEntries(Object.entries(schema).map(([name, fieldRule]) => [name, { ...fieldRule, required: false }]));
+
+// Returns { value, errors } - value is input with every valid field converted;
+// errors is a list of { field, message } problems, prefix prepended to field names
+const validate = (schema, input, prefix = '') => {
+    if (!isObject(input)) {
+        return { value: input, errors: [{ field: prefix ? prefix.slice(0, -1) : '(root)', message: 'must be an object' }] };
+    }
+
+    const errors = [];
+    const value = { ...input };
+    for (const [name, { convert, required }] of Object.entries(schema)) {
+        const field = `${prefix}${name}`;
+        if (input[name] === undefined || input[name] === null) {
+            if (required) errors.push({ field, message: 'is required' });
+            continue;
+        }
+
+        const converted = convert(input[name], field, errors);
+        if (converted !== INVALID) value[name] = converted;
+    }
+    return { value, errors };
+};
+
+// Express middleware checking req.query and req.body against { query, body } schemas
+// The converted values replace the originals; problems are passed on as a ValidationError
+// for the error handler in index.js
+const validateRequest = (schemas) => (req, res, next) => {
+    const errors = [];
+    for (const part of ['query', 'body']) {
+        if (!schemas[part]) continue;
+
+        const { value, errors: partErrors } = validate(schemas[part], req[part] || {});
+        req[part] = value;
+        errors.push(...partErrors);
+    }
+    next(errors.length > 0 ? new ValidationError(errors) : undefined);
+};
+
+module.exports = {
+    INVALID,
+    rule,
+    check,
+    number,
+    boolean,
+    string,
+    oneOf,
+    color,
+    fontFamily,
+    any,
+    array,
+    object,
+    partial,
+    validate,
+    validateRequest
+};
@@ -0,0 +1,74 @@
+const { loadImage } = require('canvas');
+const { createCanvasRecord } = require('./record');
+const { loadAssetSource } = require('./assets');
+const { walkElements } = require('./groups');
+const { backgroundAssetId } = require('./background');
+
+// Plain JSON form of a canvas: its pages, layers and the image bytes their elements reference
+// Elements that use a shared asset keep only its assetId
+const serializeCanvas = (id, record) => {
+    const imageIds = new Set();
+    for (const page of record.pages) {
+        for (const element of walkElements(page.elements)) {
+            if (element.imageId) imageIds.add(element.imageId);
+        }
+    }
+
+    const images = {};
+    for (const imageId of imageIds) {
+        const source = record.images.get(imageId);
+        if (source) {
+            images[imageId] = source.buffer.toString('base64');
+        }
+    }
+
+    return {
+        id,
+        pages: record.pages.map(({ canvas, ...page }) => page),
+        layers: record.layers,
+        images,
+        revision: record.revision,
+        updatedAt: record.updatedAt.toISOString()
+    };
+};
+
+// Rebuild a live canvas record from its serialized form and re-render it
+const deserializeCanvas = async (data) => {
+    const images = new Map();
+
+    for (const [imageId, base64] of Object.entries(data.images || {})) {
+        const buffer = Buffer.from(base64, 'base64');
+        images.set(imageId, { buffer, image: await loadImage(buffer) });
+    }
+
+    // Canvases saved before multi-page support hold a single page inline
+    const pages = data.pages || [{
+        width: data.width,
+        height: data.height,
+        background: data.background,
+        elements: data.elements
+    }];
+
+    for (const page of pages) {
+        const assetIds = [...walkElements(page.elements)].map(element => element.assetId);
+        assetIds.push(backgroundAssetId(page.background));
+
+        for (const assetId of assetIds) {
+            if (!assetId || images.has(assetId)) continue;
+            // An asset missing from the asset directory leaves the element in place, drawn as nothing
+            const source = await loadAssetSource(assetId);
+            if (source) images.set(assetId, source);
+        }
+    }
+
+    return createCanvasRecord({
+        pages,
+        images,
+        layers: data.layers,
+        // Carried over so previews cached before a restart are not mistaken for current ones
+        revision: data.revision || 0,
+        updatedAt: data.updatedAt ? new Date(data.updatedAt) : undefined
+    });
+};
+
+module.exports = { serializeCanvas, deserializeCanvas };
@@ -0,0 +1,161 @@
+// Element styling shared by the canvas, PDF and SVG renderers
+//
+// fill / stroke: a color string, a gradient or null (none)
+//   { type: 'linear', x1, y1, x2, y2, stops: [{ offset, color }] }
+//   { type: 'radial', cx, cy, r, fx, fy, stops: [{ offset, color }] } - fx/fy default to cx/cy
+// Gradient coordinates are canvas units in the element's drawing space
+const { isColor, COLOR_MESSAGE } = require('./color');
+
+const STYLE_FIELDS = [
+    'fill',
+    'stroke',
+    'strokeWidth',
+    'dash',
+    'opacity',
+    'shadowColor',
+    'shadowBlur',
+    'shadowOffsetX',
+    'shadowOffsetY'
+];
+
+const DEFAULT_STROKE_WIDTH = 2;
+
+// Shapes that enclose an area - lines and arrows only have a stroke
+const CLOSED_SHAPES = ['rectangle', 'circle', 'ellipse', 'polygon', 'path'];
+
+// Effective paint settings for an element
+// Without explicit fill/stroke, the single `color` + `isFilled` pair decides as before
+const resolveStyle = (element) => {
+    const { type, color, isFilled } = element;
+    let fill = null;
+    let stroke = null;
+
+    if (CLOSED_SHAPES.includes(type)) {
+        fill = isFilled ? color : null;
+        stroke = isFilled ? null : color;
+    } else if (type === 'line' || type === 'arrow') {
+        stroke = color;
+    } else if (type === 'text') {
+        fill = color;
+    }
+
+    const {
+        strokeWidth = DEFAULT_STROKE_WIDTH,
+        opacity = 1,
+        dash,
+        shadowColor,
+        shadowBlur = 0,
+        shadowOffsetX = 0,
+        shadowOffsetY = 0
+    } = element;
+
+    if (element.fill !== undefined) fill = element.fill;
+    if (element.stroke !== undefined) stroke = element.stroke;
+
+    return {
+        fill,
+        // A zero-width stroke paints nothing
+        stroke: strokeWidth > 0 ? stroke : null,
+        strokeWidth,
+        dash: Array.isArray(dash) && dash.length > 0 ? dash : null,
+        opacity,
+        shadow: shadowColor ? { color: shadowColor, blur: shadowBlur, offsetX: shadowOffsetX, offsetY: shadowOffsetY } : null
+    };
+};
+
+// Style fields present in a request body
+const pickStyle = (body) => {
+    const style = {};
+    for (const field of STYLE_FIELDS) {
+        if (body[field] !== undefined) {
+            style[field] = body[field];
+        }
+    }
+    return style;
+};
+
+// ============================================
+// Validation
+// ============================================
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Required numeric fields per gradient type
+const GRADIENT_FIELDS = {
+    linear: ['x1', 'y1', 'x2', 'y2'],
+    radial: ['cx', 'cy', 'r']
+};
+
+const validatePaint = (paint, field, errors) => {
+    if (paint === null || isColor(paint)) return;
+
+    if (!paint || typeof paint !== 'object' || !GRADIENT_FIELDS[paint.type]) {
+        errors.push({ field, message: 'must be a CSS color, a linear or radial gradient, or null' });
+        return;
+    }
+
+    for (const key of GRADIENT_FIELDS[paint.type]) {
+        if (!isNumber(paint[key])) {
+            errors.push({ field: `${field}.${key}`, message: 'must be a number' });
+        }
+    }
+    if (paint.type === 'radial') {
+        if (isNumber(paint.r) && paint.r <= 0) {
+            errors.push({ field: `${field}.r`, message: 'must be a positive number' });
+        }
+        for (const key of ['fx', 'fy']) {
+            if (paint[key] !== undefined && !isNumber(paint[key])) {
+                errors.push({ field: `${field}.${key}`, message: 'must be a number' });
+            }
+        }
+    }
+
+    if (!Array.isArray(paint.stops) || paint.stops.length < 2) {
+        errors.push({ field: `${field}.stops`, message: 'must be an array of at least 2 { offset, color } stops' });
+        return;
+    }
+    paint.stops.forEach((stop, index) => {
+        if (!stop || !isNumber(stop.offset) || stop.offset < 0 || stop.offset > 1) {
+            errors.push({ field: `${field}.stops[${index}].offset`, message: 'must be a number between 0 and 1' });
+        }
+        if (!stop || !isColor(stop.color)) {
+            errors.push({ field: `${field}.stops[${index}].color`, message: COLOR_MESSAGE });
+        }
+    });
+};
+
+// Returns a list of { field, message } problems with the style fields of an element
+// prefix is prepended to field names (e.g. 'pages[0].elements[2].')
+const validateStyle = (element, prefix = '') => {
+    const errors = [];
+    const { fill, stroke, strokeWidth, dash, opacity, shadowColor } = element;
+
+    if (fill !== undefined) validatePaint(fill, `${prefix}fill`, errors);
+    if (stroke !== undefined) validatePaint(stroke, `${prefix}stroke`, errors);
+
+    if (strokeWidth !== undefined && (!isNumber(strokeWidth) || strokeWidth < 0)) {
+        errors.push({ field: `${prefix}strokeWidth`, message: 'must be a non-negative number' });
+    }
+    if (dash !== undefined && dash !== null &&
+        (!Array.isArray(dash) || !dash.every(length => isNumber(length) && length > 0))) {
+        errors.push({ field: `${prefix}dash`, message: 'must be an array of positive numbers' });
+    }
+    if (opacity !== undefined && (!isNumber(opacity) || opacity < 0 || opacity > 1)) {
+        errors.push({ field: `${prefix}opacity`, message: 'must be a number between 0 and 1' });
+    }
+    if (shadowColor !== undefined && shadowColor !== null && !isColor(shadowColor)) {
+        errors.push({ field: `${prefix}shadowColor`, message: COLOR_MESSAGE });
+    }
+    if (element.shadowBlur !== undefined && (!isNumber(element.shadowBlur) || element.shadowBlur < 0)) {
+        errors.push({ field: `${prefix}shadowBlur`, message: 'must be a non-negative number' });
+    }
+    for (const field of ['shadowOffsetX', 'shadowOffsetY']) {
+        if (element[field] !== undefined && !isNumber(element[field])) {
+            errors.push({ field: `${prefix}${field}`, message: 'must be a number' });
+        }
+    }
+
+    return errors;
+};
+
+module.exports = { STYLE_FIELDS, resolveStyle, pickStyle, validatePaint, validateStyle };
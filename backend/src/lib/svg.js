@@ -0,0 +1,314 @@
+const fs = require('fs');
+const { toDataUri } = require('./imageType');
+const { clampCornerRadius, arrowGeometry } = require('./geometry');
+const { resolveStyle } = require('./style');
+const { resolveTransform } = require('./transform');
+const { layoutText, textRuns, textDecorations } = require('./textLayout');
+const { findFont } = require('./fonts');
+const { imagePlacement, imageClip, imageOutline, prepareImage, imageBuffer, imageKey } = require('./imageOptions');
+const { inheritOpacity, groupsMatrix, invertMatrix } = require('./groups');
+const { backgroundPaint, backgroundImage } = require('./background');
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// Serialize an attribute map, skipping undefined values
+const attrs = (map) => Object.entries(map)
+    .filter(([, value]) => value !== undefined)
+    .map(([name, value]) => `${name}="${escapeXml(value)}"`)
+    .join(' ');
+
+// Gradients and shadow filters referenced by elements, emitted once in <defs>
+const createDefs = () => ({ items: [], nextId: 1, fonts: new Set() });
+
+const addDef = (defs, prefix, render) => {
+    const id = `${prefix}${defs.nextId++}`;
+    defs.items.push(render(id));
+    return id;
+};
+
+const stopList = (stops) => stops
+    .map(stop => `<stop ${attrs({ offset: stop.offset, 'stop-color': stop.color })}/>`)
+    .join('');
+
+// SVG paint value for a fill/stroke - gradients become url(#id) references
+const svgPaint = (paint, defs) => {
+    if (typeof paint === 'string') return paint;
+
+    const id = paint.type === 'radial'
+        ? addDef(defs, 'gradient-', gid => `<radialGradient ${attrs({
+            id: gid,
+            gradientUnits: 'userSpaceOnUse',
+            cx: paint.cx,
+            cy: paint.cy,
+            r: paint.r,
+            fx: paint.fx,
+            fy: paint.fy
+        })}>${stopList(paint.stops)}</radialGradient>`)
+        : addDef(defs, 'gradient-', gid => `<linearGradient ${attrs({
+            id: gid,
+            gradientUnits: 'userSpaceOnUse',
+            x1: paint.x1,
+            y1: paint.y1,
+            x2: paint.x2,
+            y2: paint.y2
+        })}>${stopList(paint.stops)}</linearGradient>`);
+
+    return `url(#${id})`;
+};
+
+// Canvas shadowBlur is roughly twice the Gaussian standard deviation
+const addShadow = ({ color, blur, offsetX, offsetY }, defs) => addDef(defs, 'shadow-', id =>
+    `<filter ${attrs({ id, x: '-100%', y: '-100%', width: '300%', height: '300%', filterUnits: 'userSpaceOnUse' })}>` +
+    `<feDropShadow ${attrs({ dx: offsetX, dy: offsetY, stdDeviation: blur / 2, 'flood-color': color })}/>` +
+    '</filter>');
+
+// Presentation attributes for a resolved style
+const paint = (style, defs) => ({
+    fill: style.fill ? svgPaint(style.fill, defs) : 'none',
+    stroke: style.stroke ? svgPaint(style.stroke, defs) : undefined,
+    'stroke-width': style.stroke ? style.strokeWidth : undefined,
+    'stroke-dasharray': style.stroke && style.dash ? style.dash.join(' ') : undefined
+});
+
+// Opacity and shadow apply to the element as a whole
+const effects = (style, defs) => ({
+    opacity: style.opacity < 1 ? style.opacity : undefined,
+    filter: style.shadow ? `url(#${addShadow(style.shadow, defs)})` : undefined
+});
+
+const drawRectangle = ({ x, y, width, height, cornerRadius }, style, defs) => {
+    const r = clampCornerRadius(cornerRadius, width, height);
+    return `<rect ${attrs({ x, y, width, height, rx: r || undefined, ry: r || undefined, ...paint(style, defs) })}/>`;
+};
+
+const drawCircle = ({ x, y, radius }, style, defs) =>
+    `<circle ${attrs({ cx: x, cy: y, r: radius, ...paint(style, defs) })}/>`;
+
+const drawEllipse = ({ x, y, radiusX, radiusY }, style, defs) =>
+    `<ellipse ${attrs({ cx: x, cy: y, rx: radiusX, ry: radiusY, ...paint(style, defs) })}/>`;
+
+const drawLine = ({ x1, y1, x2, y2 }, style, defs) =>
+    `<line ${attrs({ x1, y1, x2, y2, ...paint({ ...style, fill: null }, defs) })}/>`;
+
+const pointList = (points) => points.map(point => `${point.x},${point.y}`).join(' ');
+
+const drawPolygon = ({ points }, style, defs) =>
+    `<polygon ${attrs({ points: pointList(points), ...paint(style, defs) })}/>`;
+
+const drawPath = ({ d, x = 0, y = 0 }, style, defs) => `<path ${attrs({
+    d,
+    transform: x || y ? `translate(${x} ${y})` : undefined,
+    ...paint(style, defs)
+})}/>`;
+
+// The head is filled with the stroke paint and is never dashed
+const drawArrow = (element, style, defs) => {
+    const { x1, y1 } = element;
+    const { head, shaftEnd } = arrowGeometry(element);
+    return `<g>${drawLine({ x1, y1, x2: shaftEnd.x, y2: shaftEnd.y }, style, defs)}` +
+        `${drawPolygon({ points: head }, { ...style, fill: style.stroke, stroke: null }, defs)}</g>`;
+};
+
+// Embed an uploaded font once per document so the SVG renders without it installed
+const addFontFace = ({ fontFamily, fontWeight, fontStyle }, defs) => {
+    const face = findFont(fontFamily, { weight: fontWeight, style: fontStyle });
+    if (!face || defs.fonts.has(face.id)) return;
+    defs.fonts.add(face.id);
+
+    const data = fs.readFileSync(face.path).toString('base64');
+    defs.items.push(`<style>@font-face { font-family: "${escapeXml(face.family.replace(/["\\]/g, ''))}"; ` +
+        `font-weight: ${face.weight}; font-style: ${face.style}; ` +
+        `src: url(data:font/${face.format};base64,${data}); }</style>`);
+};
+
+// One <tspan> per run, positioned on its baseline by the shared layout
+// Runs only repeat the font settings that differ from the element's
+const drawText = (element, style, defs) => {
+    const layout = layoutText(element);
+    const runs = textRuns(layout);
+    const painted = paint(style, defs);
+    const base = {
+        fontSize: layout.fontSize,
+        fontFamily: element.fontFamily,
+        fontWeight: element.fontWeight || 'normal',
+        fontStyle: element.fontStyle || 'normal'
+    };
+
+    const attributes = attrs({
+        ...painted,
+        'font-size': base.fontSize,
+        'font-family': base.fontFamily,
+        'font-weight': base.fontWeight !== 'normal' ? base.fontWeight : undefined,
+        'font-style': base.fontStyle !== 'normal' ? base.fontStyle : undefined,
+        'letter-spacing': element.letterSpacing || undefined,
+        'xml:space': 'preserve'
+    });
+
+    const spans = runs.map(run => {
+        addFontFace(run, defs);
+        return `<tspan ${attrs({
+            x: run.x,
+            y: run.baseline,
+            'font-size': run.fontSize !== base.fontSize ? run.fontSize : undefined,
+            'font-family': run.fontFamily !== base.fontFamily ? run.fontFamily : undefined,
+            'font-weight': run.fontWeight !== base.fontWeight ? run.fontWeight : undefined,
+            'font-style': run.fontStyle !== base.fontStyle ? run.fontStyle : undefined,
+            fill: run.color || undefined
+        })}>${escapeXml(run.text)}</tspan>`;
+    }).join('');
+
+    // Underlines and strikethroughs are drawn as bars so they sit where the canvas puts them
+    const bars = runs.flatMap(run => textDecorations(run).map(bar =>
+        `<rect ${attrs({ ...bar, ...painted, fill: run.color || painted.fill })}/>`));
+
+    const text = `<text ${attributes}>${spans}</text>`;
+    return bars.length > 0 ? `<g>${text}${bars.join('')}</g>` : text;
+};
+
+// <rect> or <ellipse> for an image clip or outline shape
+const imageShape = (shape, extra = {}) => (shape.type === 'ellipse'
+    ? `<ellipse ${attrs({ cx: shape.cx, cy: shape.cy, rx: shape.rx, ry: shape.ry, ...extra })}/>`
+    : `<rect ${attrs({
+        x: shape.x,
+        y: shape.y,
+        width: shape.width,
+        height: shape.height,
+        rx: shape.radius || undefined,
+        ry: shape.radius || undefined,
+        ...extra
+    })}/>`);
+
+// The cropped and filtered bitmap is inlined; fit and clip match the canvas renderer
+const drawImage = (element, style, defs, source) => {
+    if (!source) return '';
+    const bitmap = prepareImage(element, source);
+    const clip = imageClip(element);
+
+    let image = `<image ${attrs({
+        ...imagePlacement(element, bitmap.width, bitmap.height),
+        // The placement already has the fitted size
+        preserveAspectRatio: 'none',
+        'xlink:href': toDataUri(imageBuffer(bitmap))
+    })}/>`;
+    if (clip) {
+        const id = addDef(defs, 'clip-', cid => `<clipPath id="${cid}">${imageShape(clip)}</clipPath>`);
+        image = `<g clip-path="url(#${id})">${image}</g>`;
+    }
+
+    if (!style.stroke) return image;
+    return image + imageShape(imageOutline(element), paint({ ...style, fill: null }, defs));
+};
+
+const drawShape = (element, style, defs, images) => {
+    switch (element.type) {
+        case 'rectangle':
+            return drawRectangle(element, style, defs);
+        case 'circle':
+            return drawCircle(element, style, defs);
+        case 'ellipse':
+            return drawEllipse(element, style, defs);
+        case 'line':
+            return drawLine(element, style, defs);
+        case 'polygon':
+            return drawPolygon(element, style, defs);
+        case 'path':
+            return drawPath(element, style, defs);
+        case 'arrow':
+            return drawArrow(element, style, defs);
+        case 'text':
+            return drawText(element, style, defs);
+        case 'image':
+            return drawImage(element, style, defs, images.get(imageKey(element)));
+        default:
+            return '';
+    }
+};
+
+// Same steps as the canvas renderer's applyTransform
+const transformAttribute = (transform) => {
+    if (!transform) return undefined;
+    const { originX, originY, rotation, skewX, skewY, scaleX, scaleY } = transform;
+
+    return [
+        `translate(${originX} ${originY})`,
+        rotation ? `rotate(${rotation})` : '',
+        skewX || skewY ? `matrix(1 ${skewY} ${skewX} 1 0 0)` : '',
+        scaleX !== 1 || scaleY !== 1 ? `scale(${scaleX} ${scaleY})` : '',
+        `translate(${-originX} ${-originY})`
+    ].filter(Boolean).join(' ');
+};
+
+// Children in the group's coordinates; the group's opacity is passed down to each child
+// as the canvas and PDF renderers do, rather than set on the <g>
+// groups: the groups this one sits in, outermost first
+const drawGroup = (group, images, defs, groups) => {
+    const children = group.children
+        .map(child => drawElement(inheritOpacity(child, group), images, defs, [...groups, group]))
+        .join('');
+    const transform = [transformAttribute(resolveTransform(group)), `translate(${group.x} ${group.y})`]
+        .filter(Boolean)
+        .join(' ');
+
+    return `<g ${attrs({ transform })}>${children}</g>`;
+};
+
+// Opacity and shadow go on an outer group so the shadow offset is not rotated with
+// the element, matching canvas shadows which ignore the current transform
+const drawElement = (element, images, defs, groups = []) => {
+    if (element.type === 'group') return drawGroup(element, images, defs, groups);
+
+    const style = resolveStyle(element);
+    if (style.shadow && groups.length > 0) {
+        // Inside groups the filter offset is in group coordinates - map it back to page axes
+        const [a, b, c, d] = invertMatrix(groupsMatrix(groups));
+        const { offsetX, offsetY } = style.shadow;
+        style.shadow = { ...style.shadow, offsetX: a * offsetX + c * offsetY, offsetY: b * offsetX + d * offsetY };
+    }
+    let shape = drawShape(element, style, defs, images);
+    if (!shape) return '';
+
+    const transform = transformAttribute(resolveTransform(element));
+    if (transform) {
+        shape = `<g ${attrs({ transform })}>${shape}</g>`;
+    }
+
+    const groupAttrs = attrs(effects(style, defs));
+    return groupAttrs ? `<g ${groupAttrs}>${shape}</g>` : shape;
+};
+
+// Translate a page's element list into a standalone SVG document
+const renderSvg = (page, images) => {
+    const { width, height, background, elements } = page;
+    const defs = createDefs();
+    const fill = backgroundPaint(background);
+    const image = backgroundImage(page);
+    const body = [
+        fill && `<rect ${attrs({ x: 0, y: 0, width, height, fill: svgPaint(fill, defs) })}/>`,
+        image && drawElement(image, images, defs),
+        // Tagged so the frontend editor can find each element in the drawing
+        ...elements.map(element =>
+            `<g ${attrs({ 'data-element-id': element.id })}>${drawElement(element, images, defs)}</g>`)
+    ].filter(Boolean);
+    if (defs.items.length > 0) {
+        body.unshift(`<defs>${defs.items.join('')}</defs>`);
+    }
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" ${attrs({
+            width,
+            height,
+            viewBox: `0 0 ${width} ${height}`
+        })}>`,
+        ...body.map(line => `  ${line}`),
+        '</svg>',
+        ''
+    ].join('\n');
+};
+
+module.exports = { renderSvg };
@@ -0,0 +1,45 @@
+const { walkElements, mapElements } = require('./groups');
+
+// {{ name }} or {{ nested.path }} inside text elements
+const PLACEHOLDER = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+// Only the data's own keys count, so {{constructor}} or {{__proto__}} are unknown, not built-ins
+const lookup = (data, path) => path.split('.').reduce(
+    (value, key) => (value !== null && value !== undefined && Object.hasOwn(value, key) ? value[key] : undefined),
+    data
+);
+
+// Replace placeholders with values from data; unknown placeholders become empty
+const fillTemplate = (text, data) => String(text).replace(PLACEHOLDER, (match, path) => {
+    const value = lookup(data, path);
+    return value === undefined || value === null ? '' : String(value);
+});
+
+// Placeholder names used anywhere on the given pages
+const listPlaceholders = (pages) => {
+    const names = new Set();
+    for (const page of pages) {
+        for (const element of walkElements(page.elements)) {
+            if (element.type !== 'text') continue;
+            for (const [, path] of String(element.text).matchAll(PLACEHOLDER)) {
+                names.add(path);
+            }
+        }
+    }
+    return [...names];
+};
+
+// Copy of a page with its text elements filled in from data, ready to render
+const applyTemplate = (page, data) => ({
+    ...page,
+    canvas: null,
+    elements: mapElements(page.elements, element => (element.type === 'text'
+        ? {
+            ...element,
+            text: fillTemplate(element.text, data),
+            ...(element.runs && { runs: element.runs.map(run => ({ ...run, text: fillTemplate(run.text, data) })) })
+        }
+        : element))
+});
+
+module.exports = { fillTemplate, listPlaceholders, applyTemplate };
@@ -0,0 +1,489 @@
+// Multi-line rich text layout shared by the canvas, PDF and SVG renderers
+//
+// Lines are measured once with node-canvas so every renderer breaks and places them
+// the same way. Text fields:
+//   width / height     - optional text box; with a width the text word-wraps
+//   lineHeight         - multiple of fontSize between baselines (default 1.2)
+//   letterSpacing      - extra px after each character
+//   align              - left | center | right | start | end | justify
+//   verticalAlign      - top | middle | bottom inside the box height
+//   overflow           - visible | ellipsis | shrink when taller than the box height
+//   fontWeight         - normal | bold | 100-900
+//   fontStyle          - normal | italic
+//   underline / strikethrough - booleans
+//   runs               - optional styled pieces of the text, laid out inline:
+//                        [{ text, fontSize, fontFamily, fontWeight, fontStyle, color, underline, strikethrough }]
+//                        Unset run fields come from the element; runs on a line share its baseline
+const { createCanvas } = require('canvas');
+const { isColor, COLOR_MESSAGE } = require('./color');
+
+const TEXT_ALIGNS = ['left', 'center', 'right', 'start', 'end', 'justify'];
+const VERTICAL_ALIGNS = ['top', 'middle', 'bottom'];
+const OVERFLOW_MODES = ['visible', 'ellipsis', 'shrink'];
+const FONT_WEIGHTS = ['normal', 'bold', 100, 200, 300, 400, 500, 600, 700, 800, 900];
+const FONT_STYLES = ['normal', 'italic'];
+const TEXT_LAYOUT_FIELDS = [
+    'width',
+    'height',
+    'lineHeight',
+    'letterSpacing',
+    'verticalAlign',
+    'overflow',
+    'fontWeight',
+    'fontStyle',
+    'underline',
+    'strikethrough',
+    'runs'
+];
+const RUN_FIELDS = ['text', 'fontSize', 'fontFamily', 'fontWeight', 'fontStyle', 'color', 'underline', 'strikethrough'];
+
+const DEFAULT_LINE_HEIGHT = 1.2;
+const MIN_FONT_SIZE = 4;
+const ELLIPSIS = '…';
+
+// CSS font shorthand; normal style and weight are left out
+const fontString = ({ fontSize, fontFamily, fontWeight = 'normal', fontStyle = 'normal' }) => [
+    fontStyle !== 'normal' && fontStyle,
+    fontWeight !== 'normal' && fontWeight,
+    `${fontSize}px ${fontFamily}`
+].filter(Boolean).join(' ');
+
+// Plain text of a list of runs
+const runsText = (runs) => runs.map(run => run.text).join('');
+
+// The element's runs with every style field filled in; plain text is a single run
+// scale multiplies all font sizes (overflow: shrink). Equal styles share one object,
+// so pieces can be merged by comparing styles with ===
+const resolveRuns = (element, scale = 1) => {
+    const {
+        fontSize,
+        fontFamily,
+        fontWeight = 'normal',
+        fontStyle = 'normal',
+        underline = false,
+        strikethrough = false
+    } = element;
+    const base = { fontSize, fontFamily, fontWeight, fontStyle, color: null, underline, strikethrough };
+    const styles = new Map();
+
+    return (element.runs || [{ text: element.text }]).map(run => {
+        const style = { ...base };
+        for (const field of RUN_FIELDS.slice(1)) {
+            if (run[field] !== undefined) style[field] = run[field];
+        }
+        style.fontSize *= scale;
+        style.font = fontString(style);
+
+        const key = JSON.stringify(style);
+        if (!styles.has(key)) styles.set(key, style);
+        return { text: String(run.text), style: styles.get(key) };
+    });
+};
+
+// Widths (including letter spacing) and ascents per font, cached for one layout
+const createMeasure = (letterSpacing) => {
+    // A fresh context per layout - node-canvas only picks up fonts registered before a canvas is created
+    const context = createCanvas(1, 1).getContext('2d');
+    const widths = new Map();
+    const ascents = new Map();
+
+    return {
+        width: (text, style) => {
+            const key = `${style.font}\n${text}`;
+            if (!widths.has(key)) {
+                context.font = style.font;
+                widths.set(key, context.measureText(text).width + letterSpacing * text.length);
+            }
+            return widths.get(key);
+        },
+        // Distance from the top of a line of this font (textBaseline 'top') to its baseline
+        ascent: (style) => {
+            if (!ascents.has(style.font)) {
+                context.font = style.font;
+                context.textBaseline = 'alphabetic';
+                const metrics = context.measureText('Hg');
+                ascents.set(style.font, metrics.fontBoundingBoxAscent ?? metrics.emHeightAscent ?? style.fontSize * 0.8);
+            }
+            return ascents.get(style.font);
+        }
+    };
+};
+
+// Words of each paragraph; one word can span several runs ("Total: " + "$42" + "!")
+// word.space is the style of the space before it
+const splitParagraphs = (runs) => {
+    const paragraphs = [{ words: [], style: runs[0].style }];
+    let word = null;
+    let space = null;
+
+    for (const { text, style } of runs) {
+        for (const token of text.split(/(\r?\n| +)/)) {
+            if (!token) continue;
+
+            if (token.endsWith('\n')) {
+                paragraphs.push({ words: [], style });
+                word = null;
+                space = null;
+            } else if (token.startsWith(' ')) {
+                word = null;
+                space = style;
+            } else {
+                if (!word) {
+                    word = { pieces: [], space };
+                    paragraphs[paragraphs.length - 1].words.push(word);
+                    space = null;
+                }
+                word.pieces.push({ text: token, style });
+            }
+        }
+    }
+    return paragraphs;
+};
+
+// Pieces of a line of words: single spaces between words, neighbours of one style merged
+const joinWords = (words) => {
+    const pieces = [];
+    const push = (text, style) => {
+        const last = pieces[pieces.length - 1];
+        if (last && last.style === style) {
+            last.text += text;
+        } else {
+            pieces.push({ text, style });
+        }
+    };
+
+    words.forEach((word, index) => {
+        if (index > 0) push(' ', word.space || word.pieces[0].style);
+        for (const piece of word.pieces) push(piece.text, piece.style);
+    });
+    return pieces;
+};
+
+const piecesWidth = (pieces, measure) => pieces.reduce((sum, piece) => sum + measure.width(piece.text, piece.style), 0);
+
+const wordsWidth = (words, measure) => piecesWidth(joinWords(words), measure);
+
+// Split a word wider than the box across lines, character by character
+const breakWord = (word, maxWidth, measure) => {
+    const fragments = [];
+    let current = { pieces: [], space: word.space };
+
+    for (const piece of word.pieces) {
+        for (const char of piece.text) {
+            const candidate = { ...current, pieces: [...current.pieces, { text: char, style: piece.style }] };
+            if (current.pieces.length > 0 && wordsWidth([candidate], measure) > maxWidth) {
+                fragments.push(current);
+                current = { pieces: [{ text: char, style: piece.style }], space: null };
+            } else {
+                current = candidate;
+            }
+        }
+    }
+    fragments.push(current);
+    return fragments;
+};
+
+// Greedy word wrap of one paragraph; the last line is flagged so justify leaves it ragged
+const wrapParagraph = ({ words, style }, maxWidth, measure) => {
+    const lines = [];
+    let current = [];
+
+    for (const word of words) {
+        const candidate = [...current, word];
+        if (wordsWidth(candidate, measure) <= maxWidth) {
+            current = candidate;
+            continue;
+        }
+
+        if (current.length > 0) lines.push(current);
+        const fragments = wordsWidth([word], measure) <= maxWidth ? [word] : breakWord(word, maxWidth, measure);
+        lines.push(...fragments.slice(0, -1).map(fragment => [fragment]));
+        current = [fragments[fragments.length - 1]];
+    }
+    lines.push(current);
+
+    return lines.map((lineWords, index) => ({
+        words: lineWords,
+        pieces: joinWords(lineWords),
+        // Empty lines take their height from the run they sit in
+        style,
+        paragraphEnd: index === lines.length - 1
+    }));
+};
+
+// Largest font size and ascent on a line
+const lineMetrics = (line, measure) => {
+    const styles = line.pieces.length > 0 ? line.pieces.map(piece => piece.style) : [line.style];
+    return {
+        size: Math.max(...styles.map(style => style.fontSize)),
+        ascent: Math.max(...styles.map(measure.ascent))
+    };
+};
+
+// Lines at a font scale, with their metrics
+const linesAt = (element, scale, measure) => {
+    const maxWidth = element.width === undefined ? Infinity : element.width;
+    return splitParagraphs(resolveRuns(element, scale))
+        .flatMap(paragraph => wrapParagraph(paragraph, maxWidth, measure))
+        .map(line => ({ ...line, ...lineMetrics(line, measure) }));
+};
+
+// Each line advances by its own largest font size times the line height
+const blockHeight = (lines, lineHeight) =>
+    lines.slice(0, -1).reduce((sum, line) => sum + line.size * lineHeight, 0) + lines[lines.length - 1].size;
+
+// Largest font size (down to MIN_FONT_SIZE) whose wrapped lines fit the box height
+const shrinkToFit = (element, lineHeight, measure) => {
+    const fits = (fontSize) =>
+        blockHeight(linesAt(element, fontSize / element.fontSize, measure), lineHeight) <= element.height;
+
+    let low = MIN_FONT_SIZE;
+    let high = element.fontSize;
+    for (let step = 0; step < 12; step++) {
+        const mid = (low + high) / 2;
+        if (fits(mid)) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+    return Math.floor(low * 10) / 10;
+};
+
+// Trim a line's pieces until they fit with a trailing ellipsis
+const ellipsize = (line, maxWidth, measure) => {
+    const trimmed = line.pieces.map(piece => ({ ...piece }));
+    const withEllipsis = (trimEnd) => {
+        const pieces = trimmed.map(piece => ({ ...piece }));
+        const last = pieces[pieces.length - 1];
+        if (!last) return [{ text: ELLIPSIS, style: line.style }];
+        last.text = `${trimEnd ? last.text.trimEnd() : last.text}${ELLIPSIS}`;
+        return pieces;
+    };
+
+    while (trimmed.length > 0 && piecesWidth(withEllipsis(false), measure) > maxWidth) {
+        const last = trimmed[trimmed.length - 1];
+        last.text = last.text.slice(0, -1);
+        if (!last.text) trimmed.pop();
+    }
+
+    const pieces = withEllipsis(true);
+    return { ...line, pieces, paragraphEnd: true, ...lineMetrics({ ...line, pieces }, measure) };
+};
+
+const normalizeAlign = (align) => {
+    if (align === 'start') return 'left';
+    if (align === 'end') return 'right';
+    return TEXT_ALIGNS.includes(align) ? align : 'left';
+};
+
+// Place every run of a text element
+// Returns { fontSize, lines: [{ x, y, width, height, baseline, runs }], bounds: { x, y, width, height } }
+// Run y values are the top of the run's font (textBaseline 'top'), placed so the runs of a
+// line share its baseline; fontSize is the element's size after any shrink-to-fit
+const layoutText = (element) => {
+    const { x, y, width, height, lineHeight = DEFAULT_LINE_HEIGHT, verticalAlign = 'top', overflow = 'visible' } = element;
+    const align = normalizeAlign(element.align);
+    const measure = createMeasure(element.letterSpacing || 0);
+
+    let { fontSize } = element;
+    let lines = linesAt(element, 1, measure);
+
+    const overflows = height !== undefined && blockHeight(lines, lineHeight) > height;
+
+    if (overflows && overflow === 'shrink') {
+        fontSize = shrinkToFit(element, lineHeight, measure);
+        lines = linesAt(element, fontSize / element.fontSize, measure);
+    } else if (overflows && overflow === 'ellipsis') {
+        let maxLines = 1;
+        while (maxLines < lines.length && blockHeight(lines.slice(0, maxLines + 1), lineHeight) <= height) {
+            maxLines++;
+        }
+        const last = ellipsize(lines[maxLines - 1], width === undefined ? Infinity : width, measure);
+        lines = [...lines.slice(0, maxLines - 1), last];
+    }
+
+    const textHeight = blockHeight(lines, lineHeight);
+
+    let top = y;
+    if (height !== undefined && verticalAlign === 'middle') top = y + (height - textHeight) / 2;
+    if (height !== undefined && verticalAlign === 'bottom') top = y + height - textHeight;
+
+    let lineTop = top;
+    const placed = lines.map(line => {
+        const lineWidth = piecesWidth(line.pieces, measure);
+        const baseline = lineTop + line.ascent;
+
+        // Runs for consecutive pieces starting at cursor
+        const placeRuns = (pieces, cursor) => pieces.map(piece => {
+            const runWidth = measure.width(piece.text, piece.style);
+            const run = {
+                ...piece.style,
+                text: piece.text,
+                x: cursor,
+                y: baseline - measure.ascent(piece.style),
+                baseline,
+                width: runWidth
+            };
+            cursor += runWidth;
+            return run;
+        });
+
+        // Without a box, x is the anchor the text aligns around
+        let left = x;
+        if (width === undefined) {
+            if (align === 'center') left = x - lineWidth / 2;
+            if (align === 'right') left = x - lineWidth;
+        } else {
+            if (align === 'center') left = x + (width - lineWidth) / 2;
+            if (align === 'right') left = x + width - lineWidth;
+        }
+
+        let placedLine;
+        if (align !== 'justify' || width === undefined || line.paragraphEnd || line.words.length < 2) {
+            placedLine = { x: left, width: lineWidth, runs: placeRuns(line.pieces, left) };
+        } else {
+            // Spread the words so the line fills the box width
+            const wordWidths = line.words.map(word => wordsWidth([word], measure));
+            const gap = (width - wordWidths.reduce((sum, w) => sum + w, 0)) / (line.words.length - 1);
+            let cursor = x;
+            const runs = line.words.flatMap((word, index) => {
+                const wordRuns = placeRuns(joinWords([word]), cursor);
+                cursor += wordWidths[index] + gap;
+                return wordRuns;
+            });
+            placedLine = { x, width, runs };
+        }
+
+        const result = { ...placedLine, y: lineTop, height: line.size, baseline };
+        lineTop += line.size * lineHeight;
+        return result;
+    });
+
+    const left = Math.min(...placed.map(line => line.x));
+    const right = Math.max(...placed.map(line => line.x + line.width));
+
+    return {
+        fontSize,
+        lines: placed,
+        bounds: { x: left, y: top, width: right - left, height: textHeight }
+    };
+};
+
+// Flatten a layout into drawable runs:
+// { text, x, y, baseline, width, font, fontSize, fontFamily, fontWeight, fontStyle, color, underline, strikethrough }
+const textRuns = (layout) => layout.lines.flatMap(line => line.runs.filter(run => run.text));
+
+// Underline and strikethrough bars of a run as { x, y, width, height } rectangles
+const textDecorations = (run) => {
+    const thickness = Math.max(1, run.fontSize / 15);
+    const bars = [];
+    if (run.underline) {
+        bars.push({ x: run.x, y: run.baseline + run.fontSize * 0.1, width: run.width, height: thickness });
+    }
+    if (run.strikethrough) {
+        bars.push({ x: run.x, y: run.baseline - run.fontSize * 0.3 - thickness / 2, width: run.width, height: thickness });
+    }
+    return bars;
+};
+
+// ============================================
+// Validation
+// ============================================
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isBoolean = (value) => typeof value === 'boolean';
+
+// Family names go into a CSS font shorthand (see fontString), so they are limited to plain names
+// (or comma-separated lists of them) starting with a letter - nothing that could read as a size,
+// a quote or the end of the shorthand
+const MAX_FONT_FAMILY_LENGTH = 100;
+const FONT_FAMILY = /^\p{L}[\p{L}\p{N} _.&+-]*(?:,\s*\p{L}[\p{L}\p{N} _.&+-]*)*$/u;
+const isFontFamily = (value) =>
+    typeof value === 'string' && value.length <= MAX_FONT_FAMILY_LENGTH && FONT_FAMILY.test(value.trim());
+const FONT_FAMILY_MESSAGE = 'must be a font family name, or a comma-separated list of them';
+
+const WEIGHT_MESSAGE = 'must be normal, bold or a multiple of 100 from 100 to 900';
+const STYLE_MESSAGE = `must be one of: ${FONT_STYLES.join(', ')}`;
+
+const validateRuns = (runs, field) => {
+    if (!Array.isArray(runs) || runs.length === 0) {
+        return [{ field, message: 'must be a non-empty array of runs' }];
+    }
+
+    const errors = [];
+    runs.forEach((run, index) => {
+        const path = `${field}[${index}]`;
+        if (!run || typeof run !== 'object' || Array.isArray(run)) {
+            errors.push({ field: path, message: 'must be an object' });
+            return;
+        }
+
+        for (const key of Object.keys(run)) {
+            if (!RUN_FIELDS.includes(key)) {
+                errors.push({ field: `${path}.${key}`, message: `is not a run field (${RUN_FIELDS.join(', ')})` });
+            }
+        }
+
+        const check = (key, test, message) => {
+            if (run[key] !== undefined && !test(run[key])) {
+                errors.push({ field: `${path}.${key}`, message });
+            }
+        };
+        if (typeof run.text !== 'string') {
+            errors.push({ field: `${path}.text`, message: 'must be a string' });
+        }
+        check('fontSize', v => isNumber(v) && v > 0, 'must be a positive number');
+        check('fontFamily', isFontFamily, FONT_FAMILY_MESSAGE);
+        check('fontWeight', v => FONT_WEIGHTS.includes(v), WEIGHT_MESSAGE);
+        check('fontStyle', v => FONT_STYLES.includes(v), STYLE_MESSAGE);
+        check('color', isColor, COLOR_MESSAGE);
+        check('underline', isBoolean, 'must be a boolean');
+        check('strikethrough', isBoolean, 'must be a boolean');
+    });
+
+    if (errors.length === 0 && !runsText(runs)) {
+        errors.push({ field, message: 'must contain some text' });
+    }
+    return errors;
+};
+
+// Returns a list of { field, message } problems; prefix is prepended to field names
+const validateTextLayout = (element, prefix = '') => {
+    const errors = [];
+    const check = (field, test, message) => {
+        if (element[field] !== undefined && !test(element[field])) {
+            errors.push({ field: `${prefix}${field}`, message });
+        }
+    };
+
+    check('align', v => TEXT_ALIGNS.includes(v), `must be one of: ${TEXT_ALIGNS.join(', ')}`);
+    check('width', v => isNumber(v) && v > 0, 'must be a positive number');
+    check('height', v => isNumber(v) && v > 0, 'must be a positive number');
+    check('lineHeight', v => isNumber(v) && v > 0, 'must be a positive number');
+    check('letterSpacing', isNumber, 'must be a number');
+    check('verticalAlign', v => VERTICAL_ALIGNS.includes(v), `must be one of: ${VERTICAL_ALIGNS.join(', ')}`);
+    check('overflow', v => OVERFLOW_MODES.includes(v), `must be one of: ${OVERFLOW_MODES.join(', ')}`);
+    check('fontWeight', v => FONT_WEIGHTS.includes(v), WEIGHT_MESSAGE);
+    check('fontStyle', v => FONT_STYLES.includes(v), STYLE_MESSAGE);
+    check('underline', isBoolean, 'must be a boolean');
+    check('strikethrough', isBoolean, 'must be a boolean');
+
+    if (element.runs !== undefined) {
+        errors.push(...validateRuns(element.runs, `${prefix}runs`));
+    }
+
+    return errors;
+};
+
+module.exports = {
+    TEXT_ALIGNS,
+    TEXT_LAYOUT_FIELDS,
+    runsText,
+    layoutText,
+    textRuns,
+    textDecorations,
+    isFontFamily,
+    FONT_FAMILY_MESSAGE,
+    validateTextLayout
+};
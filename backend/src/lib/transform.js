@@ -0,0 +1,97 @@
+// Element transforms shared by the canvas, PDF and SVG renderers
+//
+// transform: { rotation, originX, originY, scaleX, scaleY, skewX, skewY, flipX, flipY }
+// Angles are in degrees. The origin defaults to the centre of the element's bounding box
+// and stays fixed while the element is rotated, skewed, scaled and flipped around it.
+const { elementBounds } = require('./geometry');
+
+const TRANSFORM_FIELDS = ['rotation', 'originX', 'originY', 'scaleX', 'scaleY', 'skewX', 'skewY', 'flipX', 'flipY'];
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Concrete transform steps for an element, or null when it is drawn as-is
+// rotation stays in degrees, skews become tangents and flips fold into the scales
+// Steps apply in order: translate(origin), rotate, skew, scale (flips included), translate(-origin)
+const resolveTransform = (element) => {
+    const { transform } = element;
+    if (!transform) return null;
+
+    const {
+        rotation = 0,
+        scaleX = 1,
+        scaleY = 1,
+        skewX = 0,
+        skewY = 0,
+        flipX = false,
+        flipY = false
+    } = transform;
+
+    const steps = {
+        rotation,
+        skewX: Math.tan(toRadians(skewX)),
+        skewY: Math.tan(toRadians(skewY)),
+        scaleX: flipX ? -scaleX : scaleX,
+        scaleY: flipY ? -scaleY : scaleY
+    };
+    if (!steps.rotation && !steps.skewX && !steps.skewY && steps.scaleX === 1 && steps.scaleY === 1) {
+        return null;
+    }
+
+    let { originX, originY } = transform;
+    if (originX === undefined || originY === undefined) {
+        const bounds = elementBounds(element);
+        if (originX === undefined) originX = bounds.x + bounds.width / 2;
+        if (originY === undefined) originY = bounds.y + bounds.height / 2;
+    }
+
+    return { originX, originY, ...steps };
+};
+
+// ============================================
+// Validation
+// ============================================
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Returns a list of { field, message } problems; prefix is prepended to field names
+const validateTransform = (transform, prefix = '') => {
+    const field = `${prefix}transform`;
+
+    if (transform === undefined || transform === null) return [];
+    if (typeof transform !== 'object' || Array.isArray(transform)) {
+        return [{ field, message: 'must be an object' }];
+    }
+
+    const errors = [];
+    for (const key of Object.keys(transform)) {
+        if (!TRANSFORM_FIELDS.includes(key)) {
+            errors.push({ field: `${field}.${key}`, message: `is not a transform field (${TRANSFORM_FIELDS.join(', ')})` });
+        }
+    }
+
+    for (const key of ['rotation', 'originX', 'originY']) {
+        if (transform[key] !== undefined && !isNumber(transform[key])) {
+            errors.push({ field: `${field}.${key}`, message: 'must be a number' });
+        }
+    }
+    for (const key of ['scaleX', 'scaleY']) {
+        if (transform[key] !== undefined && (!isNumber(transform[key]) || transform[key] === 0)) {
+            errors.push({ field: `${field}.${key}`, message: 'must be a non-zero number' });
+        }
+    }
+    for (const key of ['skewX', 'skewY']) {
+        const value = transform[key];
+        if (value !== undefined && (!isNumber(value) || Math.abs(value) >= 90)) {
+            errors.push({ field: `${field}.${key}`, message: 'must be a number between -90 and 90 (exclusive)' });
+        }
+    }
+    for (const key of ['flipX', 'flipY']) {
+        if (transform[key] !== undefined && typeof transform[key] !== 'boolean') {
+            errors.push({ field: `${field}.${key}`, message: 'must be a boolean' });
+        }
+    }
+
+    return errors;
+};
+
+module.exports = { TRANSFORM_FIELDS, resolveTransform, validateTransform };
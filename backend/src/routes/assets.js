@@ -0,0 +1,81 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const { MAX_ASSET_BYTES, addAsset, getAsset, listAssets, describeAsset, assetPath } = require('../lib/assets');
+const { ApiError, sendError } = require('../lib/errors');
+
+const router = express.Router();
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_ASSET_BYTES }
+});
+
+// ============================================
+// GET /api/assets - List stored images
+// ============================================
+router.get('/', (req, res, next) => {
+    try {
+        res.json({ assets: listAssets() });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// POST /api/assets - Upload an image (multipart field "image")
+// Uploading bytes that are already stored returns the existing asset
+// ============================================
+router.post('/', (req, res, next) => {
+    upload.single('image')(req, res, async (uploadError) => {
+        try {
+            if (uploadError) {
+                if (uploadError.code === 'LIMIT_FILE_SIZE') {
+                    throw new ApiError(413, `Images cannot exceed ${MAX_ASSET_BYTES / (1024 * 1024)}MB`);
+                }
+                throw uploadError;
+            }
+
+            if (!req.file) {
+                return sendError(res, 400, 'Image file is required');
+            }
+
+            const { asset, created } = await addAsset(req.file.buffer, { filename: req.file.originalname });
+
+            res.status(created ? 201 : 200).json({
+                message: created ? 'Asset uploaded successfully' : 'Asset already exists',
+                duplicate: !created,
+                asset: describeAsset(asset)
+            });
+        } catch (error) {
+            next(error);
+        }
+    });
+});
+
+// ============================================
+// GET /api/assets/:assetId - Image bytes
+// ============================================
+router.get('/:assetId', (req, res, next) => {
+    try {
+        const asset = getAsset(req.params.assetId);
+        if (!asset) {
+            return sendError(res, 404, 'Asset not found');
+        }
+
+        // Asset bytes never change, so clients may cache them indefinitely.
+        // The sandbox keeps scripts in uploaded SVGs from running when opened directly
+        res.set({
+            'Content-Type': asset.mimeType,
+            'Content-Security-Policy': 'sandbox',
+            'X-Content-Type-Options': 'nosniff'
+        });
+        res.sendFile(path.resolve(assetPath(asset)), { maxAge: '1y', immutable: true }, (error) => {
+            if (error) next(error);
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
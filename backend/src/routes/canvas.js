@@ -1,152 +1,535 @@
 const express = require('express');
-const { createCanvas, loadImage } = require('canvas');
-const PDFDocument = require('pdfkit');
+const archiver = require('archiver');
 const { v4: uuidv4 } = require('uuid');
 const multer = require('multer');
+const { createPdfDocument, addPdfPages } = require('../lib/pdf');
+const { renderSvg } = require('../lib/svg');
+const { renderCanvas, renderPage, pageBitmap, renderPageRegion } = require('../lib/renderer');
+const history = require('../lib/history');
+const { serializeCanvas, deserializeCanvas } = require('../lib/serialize');
+const { createCanvasRecord, createPage, findElement, markChanged } = require('../lib/record');
+const {
+    toDocument,
+    parseDocument,
+    validateNewElement,
+    withElementDefaults
+} = require('../lib/document');
+const { applyTemplate, listPlaceholders } = require('../lib/template');
+const { STYLE_FIELDS, pickStyle, validateStyle } = require('../lib/style');
+const { validateTransform } = require('../lib/transform');
+const { TEXT_LAYOUT_FIELDS, layoutText, runsText, validateTextLayout } = require('../lib/textLayout');
+const { IMAGE_FIELDS, pickImageOptions, imageKey, withImageSize, validateImageOptions } = require('../lib/imageOptions');
+const { addAsset, loadAssetSource } = require('../lib/assets');
+const { FetchError } = require('../lib/fetcher');
+const { elementBounds } = require('../lib/geometry');
+const { findInTree, walkElements, mapElements, translateElement, releaseChild } = require('../lib/groups');
+const { LAYER_FIELDS, createLayer, findLayer, layerOf, layerView } = require('../lib/layers');
+const { DEFAULT_BACKGROUND, backgroundAssetId, validateBackground } = require('../lib/background');
+const { parsePreviewOptions, isPlainPreview, encodePreview, previewTag } = require('../lib/preview');
+const { fontsVersion } = require('../lib/fonts');
+const { errorBody, sendError, statusCode } = require('../lib/errors');
+const { validate, partial, string, validateRequest } = require('../lib/schema');
+const { ELEMENT_SCHEMAS, SCHEMAS } = require('../lib/requestSchemas');
 
 const router = express.Router();
 
-// In-memory canvas storage
+// Live canvases, rehydrated from the configured store on first access
 const canvases = {};
 
 // Multer setup for file uploads
 const storage = multer.memoryStorage();
 const upload = multer({ storage: storage });
 
+// Download and decode a remote image through the fetcher configured in index.js, keeping
+// the bytes so they can be embedded again on export; throws FetchError
+const fetchImageSource = async (req, url) => {
+    const { buffer, image } = await req.app.get('imageFetcher').fetch(url);
+    return { buffer, image };
+};
+
+// Fields every element of a given type must keep after an update
+const REQUIRED_FIELDS = {
+    rectangle: ['x', 'y', 'width', 'height'],
+    circle: ['x', 'y', 'radius'],
+    ellipse: ['x', 'y', 'radiusX', 'radiusY'],
+    line: ['x1', 'y1', 'x2', 'y2'],
+    arrow: ['x1', 'y1', 'x2', 'y2'],
+    polygon: ['points'],
+    path: ['d'],
+    text: ['text', 'x', 'y'],
+    image: ['x', 'y', 'width', 'height'],
+    group: ['x', 'y']
+};
+
+// Fields an update may change besides the type's ELEMENT_SCHEMAS fields; the style, transform,
+// text layout and image option validators check their values. Anything else is refused
+const UPDATE_FIELDS = {
+    any: ['layerId', 'transform', ...STYLE_FIELDS],
+    text: TEXT_LAYOUT_FIELDS,
+    image: IMAGE_FIELDS
+};
+
+// Target index for each z-order move, given the current index and list length
+const Z_ORDER_MOVES = {
+    'bring-forward': (index, length) => Math.min(index + 1, length - 1),
+    'send-backward': (index) => Math.max(index - 1, 0),
+    'bring-to-front': (index, length) => length - 1,
+    'send-to-back': () => 0
+};
+
+// Page named by ?page=<pageId>, defaulting to the first page
+const resolvePage = (record, req) => {
+    const { page } = req.query;
+    if (!page) return record.pages[0];
+    return record.pages.find(candidate => candidate.id === page) || null;
+};
+
+// Summary of a page without its elements or bitmap
+const describePage = (page, index) => ({
+    id: page.id,
+    index,
+    width: page.width,
+    height: page.height,
+    background: page.background,
+    elementCount: page.elements.length
+});
+
+// Element as reported by /info, with its untransformed bounds - text elements include
+// their measured layout, groups their described children
+const describeElement = (element) => {
+    const bounds = elementBounds(element);
+    if (element.type === 'group') {
+        return { ...element, bounds, children: element.children.map(describeElement) };
+    }
+    if (element.type !== 'text') return { ...element, bounds };
+
+    const { fontSize, lines } = layoutText(element);
+    return { ...element, bounds, measured: { ...bounds, lineCount: lines.length, fontSize } };
+};
+
+// Layer with its position and the number of top-level elements on it across all pages
+const describeLayer = (record, layer) => ({
+    ...layer,
+    index: record.layers.indexOf(layer),
+    elementCount: record.pages.reduce((count, page) =>
+        count + page.elements.filter(element => layerOf(record.layers, element) === layer).length, 0)
+});
+
+// Layer of an element found with findElement - group children are on their top-level group's layer
+const elementLayer = (record, { page, element, parent }) => {
+    const root = parent
+        ? page.elements.find(top => top.type === 'group' && findInTree(top.children, element.id))
+        : element;
+    return layerOf(record.layers, root);
+};
+
+const lockedMessage = (layer) => `Layer "${layer.name}" is locked`;
+
+// ?includeHidden=true draws elements on hidden layers too
+const includeHidden = (req) => req.query.includeHidden === true;
+
+// Validate a page background and load the asset an image background draws
+// Returns { error, status, fields } or { source } - null unless the background is an image
+const loadBackground = async (background) => {
+    const fields = validateBackground(background);
+    if (fields.length > 0) {
+        return { error: 'Invalid background', status: 400, fields };
+    }
+
+    const assetId = backgroundAssetId(background);
+    if (!assetId) return { source: null };
+
+    const source = await loadAssetSource(assetId);
+    if (!source) {
+        return { error: 'Asset not found', status: 404 };
+    }
+    return { source };
+};
+
+// Copy of the listed fields set in a request body - missing and null fields are left out
+const pickFields = (body, fields) => {
+    const picked = {};
+    for (const field of fields) {
+        if (body[field] !== undefined && body[field] !== null) picked[field] = body[field];
+    }
+    return picked;
+};
+
+// Position beyond the end of a list; the schemas have already checked it is a whole number
+const sendIndexError = (res, max) => sendError(res, 400, `index must be an integer between 0 and ${max}`, {
+    fields: [{ field: 'index', message: `must be an integer from 0 to ${max}` }]
+});
+
+// Write the canvas through to the store configured in index.js
+// Every change is saved, so this is also where the canvas revision moves on and where
+// its event streams hear about it; event is { type, ...details } (see lib/events.js)
+const saveCanvas = async (req, id, event = null) => {
+    markChanged(canvases[id]);
+    await req.app.get('canvasStore').save(id, serializeCanvas(id, canvases[id]));
+    if (event) {
+        req.app.get('canvasEvents').publish(id, { ...event, revision: canvases[id].revision });
+    }
+};
+
+// Append a new element to a page, recording history and persisting the canvas
+// source: decoded image bytes for image elements
+const addElement = async (req, page, element, source = null) => {
+    const { id } = req.params;
+
+    history.recordChange(canvases[id], 'add', { pageId: page.id, elementId: element.id });
+    if (source) {
+        canvases[id].images.set(imageKey(element), source);
+    }
+    page.elements.push(element);
+    renderPage(page, canvases[id].images, canvases[id].layers);
+    await saveCanvas(req, id, { type: 'element.added', pageId: page.id, element: describeElement(element) });
+};
+
+// Validate the optional style fields and transform of an /add request
+// and expose them as req.elementOptions
+const withElementOptions = (req, res, next) => {
+    const options = pickStyle(req.body);
+    const styleErrors = validateStyle(options);
+    if (styleErrors.length > 0) {
+        return sendError(res, 400, 'Invalid style', { fields: styleErrors });
+    }
+
+    const { transform } = req.body;
+    const transformErrors = validateTransform(transform);
+    if (transformErrors.length > 0) {
+        return sendError(res, 400, 'Invalid transform', { fields: transformErrors });
+    }
+    if (transform) {
+        options.transform = transform;
+    }
+
+    // New elements go on the given layer, or the top one; a missing canvas is left to the route
+    const record = canvases[req.params.id];
+    if (record) {
+        const { layerId } = req.body;
+        const layer = layerId === undefined
+            ? record.layers[record.layers.length - 1]
+            : findLayer(record.layers, layerId);
+        if (!layer) {
+            return sendError(res, 404, 'Layer not found');
+        }
+        if (layer.locked) {
+            return sendError(res, 409, lockedMessage(layer));
+        }
+        options.layerId = layer.id;
+    }
+
+    req.elementOptions = options;
+    next();
+};
+
+// Multipart fields arrive as strings; decode the option fields that hold JSON
+// (numbers, objects) so /add/image-upload accepts the same options as /add/image.
+// Values that are not JSON, such as "#ff0000", stay strings
+const decodeMultipartOptions = (req, res, next) => {
+    for (const field of [...STYLE_FIELDS, ...IMAGE_FIELDS, 'transform']) {
+        const value = req.body[field];
+        if (typeof value !== 'string') continue;
+        try {
+            req.body[field] = JSON.parse(value);
+        } catch (error) {
+            // Plain string
+        }
+    }
+    next();
+};
+
+// Load canvases that are not in memory yet (e.g. after a restart)
+router.param('id', async (req, res, next, id) => {
+    if (canvases[id]) return next();
+
+    try {
+        const data = await req.app.get('canvasStore').load(id);
+        if (data && !canvases[id]) {
+            canvases[id] = await deserializeCanvas(data);
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
 // ============================================
 // POST /api/canvas/init - Initialize Canvas
+// Body: { width, height, background } - background defaults to white (see lib/background.js)
 // ============================================
-router.post('/init', (req, res) => {
+router.post('/init', validateRequest(SCHEMAS.init), async (req, res, next) => {
     try {
-        const { width, height } = req.body;
+        const { width, height, background = DEFAULT_BACKGROUND } = req.body;
 
-        // Validate dimensions
-        if (!width || !height) {
-            return res.status(400).json({ error: 'Width and height are required' });
+        const { source, error, status, fields } = await loadBackground(background);
+        if (error) {
+            return sendError(res, status, error, { fields });
         }
 
-        const w = parseInt(width);
-        const h = parseInt(height);
+        const id = uuidv4();
+        const images = new Map(source ? [[background.assetId, source]] : []);
 
-        if (w <= 0 || h <= 0) {
-            return res.status(400).json({ error: 'Dimensions must be positive numbers' });
-        }
+        canvases[id] = createCanvasRecord({ pages: [{ width, height, background }], images });
+        await saveCanvas(req, id);
 
-        if (w > 5000 || h > 5000) {
-            return res.status(400).json({ error: 'Dimensions cannot exceed 5000px' });
-        }
+        res.json({
+            id,
+            message: 'Canvas initialized successfully',
+            pageId: canvases[id].pages[0].id,
+            width,
+            height,
+            background
+        });
+    } catch (error) {
+        next(error);
+    }
+});
 
+// ============================================
+// POST /api/canvas/import - Create a canvas from a JSON document
+// ============================================
+router.post('/import', async (req, res, next) => {
+    try {
+        const options = await parseDocument(req.body);
         const id = uuidv4();
-        const canvas = createCanvas(w, h);
-        const ctx = canvas.getContext('2d');
-
-        // Fill with white background
-        ctx.fillStyle = '#ffffff';
-        ctx.fillRect(0, 0, w, h);
-
-        canvases[id] = {
-            canvas,
-            width: w,
-            height: h,
-            elements: []
-        };
+
+        canvases[id] = createCanvasRecord(options);
+        await saveCanvas(req, id);
 
         res.json({
             id,
-            message: 'Canvas initialized successfully',
-            width: w,
-            height: h
+            message: 'Canvas imported successfully',
+            pages: canvases[id].pages.map(describePage)
         });
     } catch (error) {
-        console.error('Error initializing canvas:', error);
-        res.status(500).json({ error: 'Failed to initialize canvas' });
+        next(error);
     }
 });
 
 // ============================================
 // POST /api/canvas/:id/add/rectangle
 // ============================================
-router.post('/:id/add/rectangle', (req, res) => {
+router.post('/:id/add/rectangle', validateRequest(SCHEMAS.add.rectangle), withElementOptions, async (req, res, next) => {
     try {
         const { id } = req.params;
-        const { x, y, width, height, color = '#000000', isFilled = true } = req.body;
+        const { x, y, width, height, cornerRadius = 0, color = '#000000', isFilled = true } = req.body;
 
         if (!canvases[id]) {
-            return res.status(404).json({ error: 'Canvas not found' });
-        }
-
-        if (x === undefined || y === undefined || !width || !height) {
-            return res.status(400).json({ error: 'x, y, width, and height are required' });
+            return sendError(res, 404, 'Canvas not found');
         }
 
-        const ctx = canvases[id].canvas.getContext('2d');
-        ctx.fillStyle = color;
-        ctx.strokeStyle = color;
-        ctx.lineWidth = 2;
-
-        if (isFilled) {
-            ctx.fillRect(x, y, width, height);
-        } else {
-            ctx.strokeRect(x, y, width, height);
+        const page = resolvePage(canvases[id], req);
+        if (!page) {
+            return sendError(res, 404, 'Page not found');
         }
 
-        canvases[id].elements.push({
+        const element = {
+            id: uuidv4(),
             type: 'rectangle',
-            x, y, width, height, color, isFilled
-        });
+            x, y, width, height, cornerRadius, color, isFilled,
+            ...req.elementOptions
+        };
+        await addElement(req, page, element);
 
-        res.json({ message: 'Rectangle added successfully' });
+        res.json({ message: 'Rectangle added successfully', elementId: element.id });
     } catch (error) {
-        console.error('Error adding rectangle:', error);
-        res.status(500).json({ error: 'Failed to add rectangle' });
+        next(error);
     }
 });
 
 // ============================================
 // POST /api/canvas/:id/add/circle
 // ============================================
-router.post('/:id/add/circle', (req, res) => {
+router.post('/:id/add/circle', validateRequest(SCHEMAS.add.circle), withElementOptions, async (req, res, next) => {
     try {
         const { id } = req.params;
         const { x, y, radius, color = '#000000', isFilled = true } = req.body;
 
         if (!canvases[id]) {
-            return res.status(404).json({ error: 'Canvas not found' });
+            return sendError(res, 404, 'Canvas not found');
         }
 
-        if (x === undefined || y === undefined || !radius) {
-            return res.status(400).json({ error: 'x, y, and radius are required' });
+        const page = resolvePage(canvases[id], req);
+        if (!page) {
+            return sendError(res, 404, 'Page not found');
         }
 
-        const ctx = canvases[id].canvas.getContext('2d');
-        ctx.beginPath();
-        ctx.arc(x, y, radius, 0, 2 * Math.PI);
-        ctx.fillStyle = color;
-        ctx.strokeStyle = color;
-        ctx.lineWidth = 2;
+        const element = {
+            id: uuidv4(),
+            type: 'circle',
+            x, y, radius, color, isFilled,
+            ...req.elementOptions
+        };
+        await addElement(req, page, element);
 
-        if (isFilled) {
-            ctx.fill();
-        } else {
-            ctx.stroke();
+        res.json({ message: 'Circle added successfully', elementId: element.id });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// POST /api/canvas/:id/add/ellipse
+// ============================================
+router.post('/:id/add/ellipse', validateRequest(SCHEMAS.add.ellipse), withElementOptions, async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { x, y, radiusX, radiusY, color = '#000000', isFilled = true } = req.body;
+
+        if (!canvases[id]) {
+            return sendError(res, 404, 'Canvas not found');
         }
 
-        canvases[id].elements.push({
-            type: 'circle',
-            x, y, radius, color, isFilled
-        });
+        const page = resolvePage(canvases[id], req);
+        if (!page) {
+            return sendError(res, 404, 'Page not found');
+        }
+
+        const element = {
+            id: uuidv4(),
+            type: 'ellipse',
+            x, y, radiusX, radiusY, color, isFilled,
+            ...req.elementOptions
+        };
+        await addElement(req, page, element);
+
+        res.json({ message: 'Ellipse added successfully', elementId: element.id });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// POST /api/canvas/:id/add/line
+// ============================================
+router.post('/:id/add/line', validateRequest(SCHEMAS.add.line), withElementOptions, async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { x1, y1, x2, y2, color = '#000000' } = req.body;
+
+        if (!canvases[id]) {
+            return sendError(res, 404, 'Canvas not found');
+        }
+
+        const page = resolvePage(canvases[id], req);
+        if (!page) {
+            return sendError(res, 404, 'Page not found');
+        }
+
+        const element = {
+            id: uuidv4(),
+            type: 'line',
+            x1, y1, x2, y2, color,
+            ...req.elementOptions
+        };
+        await addElement(req, page, element);
+
+        res.json({ message: 'Line added successfully', elementId: element.id });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// POST /api/canvas/:id/add/arrow
+// ============================================
+router.post('/:id/add/arrow', validateRequest(SCHEMAS.add.arrow), withElementOptions, async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { x1, y1, x2, y2, headSize = 12, color = '#000000' } = req.body;
+
+        if (!canvases[id]) {
+            return sendError(res, 404, 'Canvas not found');
+        }
+
+        const page = resolvePage(canvases[id], req);
+        if (!page) {
+            return sendError(res, 404, 'Page not found');
+        }
+
+        const element = {
+            id: uuidv4(),
+            type: 'arrow',
+            x1, y1, x2, y2, headSize, color,
+            ...req.elementOptions
+        };
+        await addElement(req, page, element);
+
+        res.json({ message: 'Arrow added successfully', elementId: element.id });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// POST /api/canvas/:id/add/polygon
+// Body: { points: [{ x, y }, ...] } - at least 3 points, closed automatically
+// ============================================
+router.post('/:id/add/polygon', validateRequest(SCHEMAS.add.polygon), withElementOptions, async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { points, color = '#000000', isFilled = true } = req.body;
+
+        if (!canvases[id]) {
+            return sendError(res, 404, 'Canvas not found');
+        }
+
+        const page = resolvePage(canvases[id], req);
+        if (!page) {
+            return sendError(res, 404, 'Page not found');
+        }
+
+        const element = {
+            id: uuidv4(),
+            type: 'polygon',
+            points, color, isFilled,
+            ...req.elementOptions
+        };
+        await addElement(req, page, element);
+
+        res.json({ message: 'Polygon added successfully', elementId: element.id });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// POST /api/canvas/:id/add/path
+// Body: { d: 'M 10 10 C ...', x, y } - SVG path data, offset by x/y
+// ============================================
+router.post('/:id/add/path', validateRequest(SCHEMAS.add.path), withElementOptions, async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { d, x = 0, y = 0, color = '#000000', isFilled = false } = req.body;
+
+        if (!canvases[id]) {
+            return sendError(res, 404, 'Canvas not found');
+        }
+
+        const page = resolvePage(canvases[id], req);
+        if (!page) {
+            return sendError(res, 404, 'Page not found');
+        }
 
-        res.json({ message: 'Circle added successfully' });
+        const element = {
+            id: uuidv4(),
+            type: 'path',
+            d, x, y, color, isFilled,
+            ...req.elementOptions
+        };
+        await addElement(req, page, element);
+
+        res.json({ message: 'Path added successfully', elementId: element.id });
     } catch (error) {
-        console.error('Error adding circle:', error);
-        res.status(500).json({ error: 'Failed to add circle' });
+        next(error);
     }
 });
 
 // ============================================
 // POST /api/canvas/:id/add/text
 // ============================================
-router.post('/:id/add/text', (req, res) => {
+router.post('/:id/add/text', validateRequest(SCHEMAS.add.text), withElementOptions, async (req, res, next) => {
     try {
         const { id } = req.params;
         const {
@@ -160,226 +543,1383 @@ router.post('/:id/add/text', (req, res) => {
         } = req.body;
 
         if (!canvases[id]) {
-            return res.status(404).json({ error: 'Canvas not found' });
+            return sendError(res, 404, 'Canvas not found');
         }
 
-        if (!text || x === undefined || y === undefined) {
-            return res.status(400).json({ error: 'text, x, and y are required' });
+        const page = resolvePage(canvases[id], req);
+        if (!page) {
+            return sendError(res, 404, 'Page not found');
         }
 
-        const ctx = canvases[id].canvas.getContext('2d');
-        ctx.font = `${fontSize}px ${fontFamily}`;
-        ctx.fillStyle = color;
-        ctx.textAlign = align;
-        ctx.textBaseline = 'top';
-        ctx.fillText(text, x, y);
+        if (!text && !req.body.runs) {
+            return sendError(res, 400, 'text (or runs) is required', {
+                fields: [{ field: 'text', message: 'is required unless runs are given' }]
+            });
+        }
 
-        canvases[id].elements.push({
+        const element = {
+            id: uuidv4(),
             type: 'text',
-            text, x, y, fontSize, fontFamily, color, align
-        });
+            text, x, y, fontSize, fontFamily, color, align,
+            ...req.elementOptions
+        };
+        for (const field of TEXT_LAYOUT_FIELDS) {
+            if (req.body[field] !== undefined) {
+                element[field] = req.body[field];
+            }
+        }
+
+        const layoutErrors = validateTextLayout(element);
+        if (layoutErrors.length > 0) {
+            return sendError(res, 400, 'Invalid text layout', { fields: layoutErrors });
+        }
+        // With runs, text is their plain-text concatenation
+        if (element.runs) {
+            element.text = runsText(element.runs);
+        }
+        await addElement(req, page, element);
 
-        res.json({ message: 'Text added successfully' });
+        res.json({ message: 'Text added successfully', elementId: element.id });
     } catch (error) {
-        console.error('Error adding text:', error);
-        res.status(500).json({ error: 'Failed to add text' });
+        next(error);
     }
 });
 
 // ============================================
 // POST /api/canvas/:id/add/image (URL-based)
+// Send assetId instead of url to place an image from the asset library
 // ============================================
-router.post('/:id/add/image', async (req, res) => {
+router.post('/:id/add/image', validateRequest(SCHEMAS.add.image), withElementOptions, async (req, res, next) => {
     try {
         const { id } = req.params;
-        const { url, x, y, width, height } = req.body;
+        const { url, assetId, x, y, width, height } = req.body;
 
         if (!canvases[id]) {
-            return res.status(404).json({ error: 'Canvas not found' });
+            return sendError(res, 404, 'Canvas not found');
         }
 
-        if (!url || x === undefined || y === undefined) {
-            return res.status(400).json({ error: 'url, x, and y are required' });
+        const page = resolvePage(canvases[id], req);
+        if (!page) {
+            return sendError(res, 404, 'Page not found');
         }
 
-        const img = await loadImage(url);
-        const ctx = canvases[id].canvas.getContext('2d');
+        if (!url && !assetId) {
+            return sendError(res, 400, 'url (or assetId) is required', {
+                fields: [{ field: 'url', message: 'is required unless assetId is given' }]
+            });
+        }
 
-        const drawWidth = width || img.width;
-        const drawHeight = height || img.height;
+        const imageOptions = pickImageOptions(req.body);
+        const imageErrors = validateImageOptions(imageOptions);
+        if (imageErrors.length > 0) {
+            return sendError(res, 400, 'Invalid image options', { fields: imageErrors });
+        }
 
-        ctx.drawImage(img, x, y, drawWidth, drawHeight);
+        let source;
+        let reference;
+        if (assetId) {
+            source = await loadAssetSource(assetId);
+            if (!source) {
+                return sendError(res, 404, 'Asset not found');
+            }
+            reference = { assetId };
+        } else {
+            source = await fetchImageSource(req, url);
+            reference = { imageId: uuidv4(), url };
+        }
 
-        canvases[id].elements.push({
+        // Without a size, the image is drawn at the size of its (cropped) bitmap
+        const element = withImageSize({
+            id: uuidv4(),
             type: 'image',
-            url, x, y,
-            width: drawWidth,
-            height: drawHeight
-        });
+            ...reference,
+            x, y,
+            width,
+            height,
+            ...imageOptions,
+            ...req.elementOptions
+        }, source.image);
+        await addElement(req, page, element, source);
 
-        res.json({ message: 'Image added successfully' });
+        res.json({ message: 'Image added successfully', elementId: element.id });
     } catch (error) {
-        console.error('Error adding image:', error);
-        res.status(500).json({ error: 'Failed to load or add image' });
+        next(error);
     }
 });
 
 // ============================================
 // POST /api/canvas/:id/add/image-upload (File upload)
+// The file is stored in the asset library and the element references it
 // ============================================
-router.post('/:id/add/image-upload', upload.single('image'), async (req, res) => {
+router.post('/:id/add/image-upload', upload.single('image'), decodeMultipartOptions, validateRequest(SCHEMAS.imageUpload), withElementOptions, async (req, res, next) => {
     try {
         const { id } = req.params;
         const { x = 0, y = 0, width, height } = req.body;
 
         if (!canvases[id]) {
-            return res.status(404).json({ error: 'Canvas not found' });
+            return sendError(res, 404, 'Canvas not found');
         }
 
-        if (!req.file) {
-            return res.status(400).json({ error: 'Image file is required' });
+        const page = resolvePage(canvases[id], req);
+        if (!page) {
+            return sendError(res, 404, 'Page not found');
         }
 
-        const img = await loadImage(req.file.buffer);
-        const ctx = canvases[id].canvas.getContext('2d');
+        if (!req.file) {
+            return sendError(res, 400, 'Image file is required');
+        }
 
-        const drawWidth = width ? parseInt(width) : img.width;
-        const drawHeight = height ? parseInt(height) : img.height;
+        const imageOptions = pickImageOptions(req.body);
+        const imageErrors = validateImageOptions(imageOptions);
+        if (imageErrors.length > 0) {
+            return sendError(res, 400, 'Invalid image options', { fields: imageErrors });
+        }
 
-        ctx.drawImage(img, parseInt(x), parseInt(y), drawWidth, drawHeight);
+        const { asset } = await addAsset(req.file.buffer, { filename: req.file.originalname });
+        const source = await loadAssetSource(asset.id);
 
-        canvases[id].elements.push({
+        const element = withImageSize({
+            id: uuidv4(),
             type: 'image',
-            x: parseInt(x),
-            y: parseInt(y),
-            width: drawWidth,
-            height: drawHeight
-        });
+            assetId: asset.id,
+            x, y,
+            width,
+            height,
+            ...imageOptions,
+            ...req.elementOptions
+        }, source.image);
+        await addElement(req, page, element, source);
 
-        res.json({ message: 'Image uploaded and added successfully' });
+        res.json({ message: 'Image uploaded and added successfully', elementId: element.id, assetId: asset.id });
     } catch (error) {
-        console.error('Error uploading image:', error);
-        res.status(500).json({ error: 'Failed to upload or add image' });
+        next(error);
     }
 });
 
+// Validate changes to an element found with findElement and build its updated version
+// Returns { error, status, fields } or { updated, source } - source holds new image bytes, or null
+// Throws FetchError when a new image URL cannot be downloaded
+const prepareUpdate = async (req, record, found, body) => {
+    const { element } = found;
+    const { id: newId, type, imageId, ...requested } = body;
+
+    if ((newId !== undefined && newId !== element.id) ||
+        (type !== undefined && type !== element.type) ||
+        (imageId !== undefined && imageId !== element.imageId)) {
+        return { error: 'Element id, type and imageId cannot be changed', status: 400 };
+    }
+
+    if (element.type === 'group' && requested.children !== undefined) {
+        return { error: 'Group children cannot be changed directly; use group and ungroup', status: 400 };
+    }
+
+    // Changed fields follow the same rules as when the element is added
+    const schema = { ...partial(ELEMENT_SCHEMAS[element.type]), layerId: string() };
+    const known = [...Object.keys(schema), ...UPDATE_FIELDS.any, ...(UPDATE_FIELDS[element.type] || [])];
+    const unknown = Object.keys(requested).filter(field => !known.includes(field));
+    const { value: changes, errors } = validate(schema, requested);
+    errors.push(...unknown.map(field => ({ field, message: `is not a field of ${element.type} elements` })));
+    if (errors.length > 0) {
+        return { error: 'Invalid changes', status: 400, fields: errors };
+    }
+
+    const layer = elementLayer(record, found);
+    if (layer.locked) {
+        return { error: lockedMessage(layer), status: 409 };
+    }
+
+    // Moving to another layer
+    if (changes.layerId !== undefined && changes.layerId !== layer.id) {
+        if (found.parent) {
+            return { error: 'Elements inside a group are on the group\'s layer', status: 400 };
+        }
+        const target = findLayer(record.layers, changes.layerId);
+        if (!target) {
+            return { error: 'Layer not found', status: 404 };
+        }
+        if (target.locked) {
+            return { error: lockedMessage(target), status: 409 };
+        }
+    }
+
+    const updated = { ...element, ...changes };
+
+    // Transform changes merge into the current transform; null removes it
+    if (changes.transform === null) {
+        delete updated.transform;
+    } else if (changes.transform !== undefined) {
+        const transformErrors = validateTransform(changes.transform);
+        if (transformErrors.length > 0) {
+            return { error: 'Invalid transform', status: 400, fields: transformErrors };
+        }
+        updated.transform = { ...element.transform, ...changes.transform };
+    }
+    const missing = REQUIRED_FIELDS[element.type].filter(field =>
+        updated[field] === undefined || updated[field] === null || updated[field] === ''
+    );
+    if (missing.length > 0) {
+        return { error: `${missing.join(', ')} cannot be removed`, status: 400 };
+    }
+
+    if (updated.type === 'text') {
+        // New runs replace the text; new plain text (or runs: null) drops the runs
+        if (changes.runs === null || (changes.text !== undefined && changes.runs === undefined)) {
+            delete updated.runs;
+        }
+
+        const layoutErrors = validateTextLayout(updated);
+        if (layoutErrors.length > 0) {
+            return { error: 'Invalid text layout', status: 400, fields: layoutErrors };
+        }
+        if (updated.runs) {
+            updated.text = runsText(updated.runs);
+        }
+    }
+
+    if (updated.type === 'image') {
+        // null removes the crop or filters
+        for (const field of ['crop', 'filters']) {
+            if (changes[field] === null) delete updated[field];
+        }
+
+        const imageErrors = validateImageOptions(updated);
+        if (imageErrors.length > 0) {
+            return { error: 'Invalid image options', status: 400, fields: imageErrors };
+        }
+    }
+
+    const styleErrors = validateStyle(updated);
+    if (styleErrors.length > 0) {
+        return { error: 'Invalid style', status: 400, fields: styleErrors };
+    }
+
+    // A new URL or asset means new image bytes; the old ones stay available to undo
+    let source = null;
+    if (element.type === 'image' && changes.assetId !== undefined && changes.assetId !== element.assetId) {
+        source = await loadAssetSource(changes.assetId);
+        if (!source) {
+            return { error: 'Asset not found', status: 404 };
+        }
+        delete updated.imageId;
+        delete updated.url;
+    } else if (element.type === 'image' && changes.url && changes.url !== element.url) {
+        source = await fetchImageSource(req, changes.url);
+        updated.imageId = uuidv4();
+        delete updated.assetId;
+    }
+
+    // As when adding, a width or height of 0 means the size of the (cropped) bitmap
+    if (updated.type === 'image' && (updated.width === 0 || updated.height === 0)) {
+        const bitmap = source || record.images.get(imageKey(updated)) ||
+            (updated.assetId && await loadAssetSource(updated.assetId));
+        return { updated: withImageSize(updated, bitmap.image), source };
+    }
+
+    return { updated, source };
+};
+
 // ============================================
-// GET /api/canvas/:id/export/pdf
+// PATCH /api/canvas/:id/elements/:elementId - Update element
 // ============================================
-router.get('/:id/export/pdf', (req, res) => {
+router.patch('/:id/elements/:elementId', async (req, res, next) => {
     try {
-        const { id } = req.params;
+        const { id, elementId } = req.params;
 
         if (!canvases[id]) {
-            return res.status(404).json({ error: 'Canvas not found' });
+            return sendError(res, 404, 'Canvas not found');
         }
 
-        const { canvas, width, height } = canvases[id];
+        const record = canvases[id];
+        const found = findElement(record, elementId);
+        if (!found) {
+            return sendError(res, 404, 'Element not found');
+        }
 
-        // Get canvas as PNG buffer
-        const buffer = canvas.toBuffer('image/png');
+        const { revision } = record;
+        const { error, status, fields, updated, source } = await prepareUpdate(req, record, found, req.body);
+        if (error) {
+            return sendError(res, status, error, { fields });
+        }
 
-        // Create PDF with compression enabled
-        const doc = new PDFDocument({
-            size: [width, height],
-            compress: true,
-            info: {
-                Title: 'Canvas Export',
-                Author: 'Canvas Builder API',
-                Creator: 'Canvas Builder API'
-            }
-        });
+        // Fetching or loading an image awaits; a change made meanwhile may have moved or
+        // deleted the element, so writing it back by index could replace another one
+        if (canvases[id] !== record || record.revision !== revision) {
+            return sendError(res, 409, 'Canvas changed while the element was being updated; send it again');
+        }
 
-        // Set response headers
-        res.setHeader('Content-Type', 'application/pdf');
-        res.setHeader('Content-Disposition', `attachment; filename=canvas-${id}.pdf`);
+        const { page, siblings, index } = found;
+        history.recordChange(record, 'update', { pageId: page.id, elementId });
+        if (source) {
+            record.images.set(imageKey(updated), source);
+        }
+        siblings[index] = updated;
+        renderPage(page, record.images, record.layers);
+        await saveCanvas(req, id, { type: 'element.updated', pageId: page.id, element: describeElement(updated) });
 
-        // Pipe PDF to response
-        doc.pipe(res);
+        res.json({ message: 'Element updated successfully', element: updated });
+    } catch (error) {
+        next(error);
+    }
+});
 
-        // Add the canvas image to PDF
-        doc.image(buffer, 0, 0, {
-            width: width,
-            height: height
-        });
+// ============================================
+// DELETE /api/canvas/:id/elements/:elementId - Delete element
+// ============================================
+router.delete('/:id/elements/:elementId', async (req, res, next) => {
+    try {
+        const { id, elementId } = req.params;
 
-        // Finalize PDF
-        doc.end();
+        if (!canvases[id]) {
+            return sendError(res, 404, 'Canvas not found');
+        }
+
+        const found = findElement(canvases[id], elementId);
+        if (!found) {
+            return sendError(res, 404, 'Element not found');
+        }
+
+        const layer = elementLayer(canvases[id], found);
+        if (layer.locked) {
+            return sendError(res, 409, lockedMessage(layer));
+        }
+
+        const { page, siblings, index } = found;
+        history.recordChange(canvases[id], 'delete', { pageId: page.id, elementId });
+        siblings.splice(index, 1);
+        renderPage(page, canvases[id].images, canvases[id].layers);
+        await saveCanvas(req, id, { type: 'element.deleted', pageId: page.id, elementId });
 
+        res.json({ message: 'Element deleted successfully' });
     } catch (error) {
-        console.error('Error exporting PDF:', error);
-        res.status(500).json({ error: 'Failed to export PDF' });
+        next(error);
     }
 });
 
 // ============================================
-// GET /api/canvas/:id/preview - Get canvas as PNG
+// POST /api/canvas/:id/elements/:elementId/:move - Change z-order
+// move: bring-forward | send-backward | bring-to-front | send-to-back
 // ============================================
-router.get('/:id/preview', (req, res) => {
+router.post('/:id/elements/:elementId/:move', async (req, res, next) => {
     try {
-        const { id } = req.params;
+        const { id, elementId, move } = req.params;
 
         if (!canvases[id]) {
-            return res.status(404).json({ error: 'Canvas not found' });
+            return sendError(res, 404, 'Canvas not found');
         }
 
-        const { canvas } = canvases[id];
-        const buffer = canvas.toBuffer('image/png');
+        if (!Z_ORDER_MOVES[move]) {
+            return sendError(res, 400, `move must be one of: ${Object.keys(Z_ORDER_MOVES).join(', ')}`);
+        }
 
-        res.setHeader('Content-Type', 'image/png');
-        res.send(buffer);
+        const found = findElement(canvases[id], elementId);
+        if (!found) {
+            return sendError(res, 404, 'Element not found');
+        }
 
+        const layer = elementLayer(canvases[id], found);
+        if (layer.locked) {
+            return sendError(res, 409, lockedMessage(layer));
+        }
+
+        // Elements inside a group move among their siblings
+        const { page, siblings: elements, index } = found;
+        const target = Z_ORDER_MOVES[move](index, elements.length);
+        history.recordChange(canvases[id], move, { pageId: page.id, elementId });
+        const [element] = elements.splice(index, 1);
+        elements.splice(target, 0, element);
+        renderPage(page, canvases[id].images, canvases[id].layers);
+        await saveCanvas(req, id, { type: 'element.moved', pageId: page.id, elementId, move, index: target });
+
+        res.json({ message: 'Element moved successfully', index: target });
     } catch (error) {
-        console.error('Error getting preview:', error);
-        res.status(500).json({ error: 'Failed to get preview' });
+        next(error);
     }
 });
 
+// Look up a list of element ids for group/ungroup
+// Returns { error, status } or the found entries in request order
+const findElements = (record, elementIds) => {
+    const found = [];
+    for (const elementId of new Set(elementIds)) {
+        const entry = findElement(record, elementId);
+        if (!entry) {
+            return { error: `Element not found: ${elementId}`, status: 404 };
+        }
+        found.push(entry);
+    }
+    return { found };
+};
+
 // ============================================
-// GET /api/canvas/:id/info - Get canvas info
+// POST /api/canvas/:id/group - Group elements
+// Body: { elementIds, name } - the elements must be siblings (same page, same parent group)
+// The group takes the stacking position of its topmost element
 // ============================================
-router.get('/:id/info', (req, res) => {
+router.post('/:id/group', validateRequest(SCHEMAS.group), async (req, res, next) => {
     try {
         const { id } = req.params;
+        const { elementIds, name } = req.body;
 
         if (!canvases[id]) {
-            return res.status(404).json({ error: 'Canvas not found' });
+            return sendError(res, 404, 'Canvas not found');
+        }
+
+        if (name !== undefined && typeof name !== 'string') {
+            return sendError(res, 400, 'name must be a string');
+        }
+
+        const { found, error, status } = findElements(canvases[id], elementIds);
+        if (error) {
+            return sendError(res, status, error);
+        }
+
+        const { page, siblings, parent } = found[0];
+        if (found.some(entry => entry.siblings !== siblings)) {
+            return sendError(res, 400, 'Elements must be on the same page and in the same group');
+        }
+
+        const layer = elementLayer(canvases[id], found[0]);
+        if (found.some(entry => elementLayer(canvases[id], entry) !== layer)) {
+            return sendError(res, 400, 'Elements must be on the same layer');
+        }
+        if (layer.locked) {
+            return sendError(res, 409, lockedMessage(layer));
+        }
+
+        // Children keep their stacking order and are moved into group coordinates
+        const indexes = found.map(entry => entry.index).sort((a, b) => a - b);
+        const members = indexes.map(index => siblings[index]);
+        const bounds = members.map(elementBounds);
+        const x = Math.min(...bounds.map(box => box.x));
+        const y = Math.min(...bounds.map(box => box.y));
+
+        const group = {
+            id: uuidv4(),
+            type: 'group',
+            x, y,
+            // Children go with the group's layer
+            children: members.map(({ layerId, ...member }) => translateElement(member, -x, -y)),
+            ...(name && { name }),
+            ...(!parent && { layerId: layer.id })
+        };
+
+        history.recordChange(canvases[id], 'group', { pageId: page.id, elementId: group.id });
+        for (const index of [...indexes].reverse()) {
+            siblings.splice(index, 1);
+        }
+        siblings.splice(indexes[indexes.length - 1] - indexes.length + 1, 0, group);
+        renderPage(page, canvases[id].images, canvases[id].layers);
+        await saveCanvas(req, id, { type: 'elements.grouped', pageId: page.id, element: describeElement(group) });
+
+        res.json({ message: 'Elements grouped successfully', elementId: group.id });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// POST /api/canvas/:id/ungroup - Dissolve groups
+// Body: { elementIds } - group ids; each group's children take its place in its parent,
+// keeping their on-page position, transform and opacity
+// ============================================
+router.post('/:id/ungroup', validateRequest(SCHEMAS.ungroup), async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { elementIds } = req.body;
+
+        if (!canvases[id]) {
+            return sendError(res, 404, 'Canvas not found');
+        }
+
+        const { found, error, status } = findElements(canvases[id], elementIds);
+        if (error) {
+            return sendError(res, status, error);
+        }
+
+        const notGroup = found.find(entry => entry.element.type !== 'group');
+        if (notGroup) {
+            return sendError(res, 400, `Element is not a group: ${notGroup.element.id}`);
+        }
+
+        const locked = found.map(entry => elementLayer(canvases[id], entry)).find(layer => layer.locked);
+        if (locked) {
+            return sendError(res, 409, lockedMessage(locked));
+        }
+
+        history.recordChange(canvases[id], 'ungroup', {
+            pageId: found[0].page.id,
+            elementId: found[0].element.id
+        });
+
+        // Looked up again one at a time - a group may sit inside another being dissolved
+        const released = new Set();
+        const pages = new Set();
+        for (const { element: { id: groupId } } of found) {
+            const { page, siblings, index, element: group, parent } = findElement(canvases[id], groupId);
+            // Released to the top level, children take over the group's layer
+            const children = group.children.map(child => ({
+                ...releaseChild(child, group),
+                ...(!parent && group.layerId && { layerId: group.layerId })
+            }));
+            siblings.splice(index, 1, ...children);
+            released.delete(groupId);
+            children.forEach(child => released.add(child.id));
+            pages.add(page);
+        }
+
+        for (const page of pages) {
+            renderPage(page, canvases[id].images, canvases[id].layers);
+        }
+        await saveCanvas(req, id, {
+            type: 'elements.ungrouped',
+            pageIds: [...pages].map(page => page.id),
+            groupIds: elementIds,
+            elementIds: [...released]
+        });
+
+        res.json({ message: 'Elements ungrouped successfully', elementIds: [...released] });
+    } catch (error) {
+        next(error);
+    }
+});
+
+const BATCH_OPERATIONS = ['add', 'update', 'delete'];
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Problems with a /batch operation list that show before any operation runs
+// New elements are checked in full here, including their ids against those already in use
+const validateOperations = (record, operations) => {
+    const errors = [];
+    const seenIds = new Set();
+    for (const page of record.pages) {
+        for (const element of walkElements(page.elements)) seenIds.add(element.id);
+    }
+
+    operations.forEach((operation, index) => {
+        const path = `operations[${index}]`;
+        if (!isObject(operation)) {
+            errors.push({ field: path, message: 'must be an object' });
+            return;
+        }
+        if (!BATCH_OPERATIONS.includes(operation.op)) {
+            errors.push({ field: `${path}.op`, message: `must be one of: ${BATCH_OPERATIONS.join(', ')}` });
+            return;
+        }
+
+        if (operation.op === 'add') {
+            if (operation.pageId !== undefined && typeof operation.pageId !== 'string') {
+                errors.push({ field: `${path}.pageId`, message: 'must be a page id' });
+            }
+            errors.push(...validateNewElement(operation.element, `${path}.element`, seenIds));
+            return;
+        }
+
+        if (typeof operation.elementId !== 'string' || operation.elementId === '') {
+            errors.push({ field: `${path}.elementId`, message: 'must be an element id' });
+        }
+        if (operation.op === 'update' && !isObject(operation.changes)) {
+            errors.push({ field: `${path}.changes`, message: 'must be an object' });
+        }
+    });
+    return errors;
+};
+
+// Copy of a canvas's pages for a batch to work on; page bitmaps are shared rather than copied
+const draftPages = (pages) => pages.map(({ canvas, ...page }) => ({ ...structuredClone(page), canvas }));
+
+// Run one batch operation against a draft { pages, layers, images }
+// New image bytes go into sources, keyed like record.images
+// Returns { error, status, fields, code } or { pageId, elementId }
+const applyOperation = async (req, draft, operation, sources) => {
+    if (operation.op === 'add') {
+        const page = operation.pageId === undefined
+            ? draft.pages[0]
+            : draft.pages.find(candidate => candidate.id === operation.pageId);
+        if (!page) {
+            return { error: 'Page not found', status: 404 };
+        }
+
+        // New elements go on the given layer, or the top one
+        const { layerId } = operation.element;
+        const layer = layerId === undefined
+            ? draft.layers[draft.layers.length - 1]
+            : findLayer(draft.layers, layerId);
+        if (!layer) {
+            return { error: 'Layer not found', status: 404 };
+        }
+        if (layer.locked) {
+            return { error: lockedMessage(layer), status: 409 };
+        }
+
+        const added = { ...withElementDefaults(operation.element), layerId: layer.id };
+        for (const image of walkElements([added])) {
+            if (image.type !== 'image' || draft.images.has(image.assetId) || sources.has(image.assetId)) continue;
+
+            const source = await loadAssetSource(image.assetId);
+            if (!source) {
+                return { error: 'Asset not found', status: 404 };
+            }
+            sources.set(image.assetId, source);
+        }
+
+        // As on /add/image, a width or height of 0 means the size of the (cropped) bitmap
+        const [element] = mapElements([added], child => (child.type === 'image'
+            ? withImageSize(child, (sources.get(child.assetId) || draft.images.get(child.assetId)).image)
+            : child));
+        page.elements.push(element);
+        return { pageId: page.id, elementId: element.id };
+    }
+
+    const found = findElement(draft, operation.elementId);
+    if (!found) {
+        return { error: 'Element not found', status: 404 };
+    }
+    const { page, siblings, index } = found;
+
+    if (operation.op === 'delete') {
+        const layer = elementLayer(draft, found);
+        if (layer.locked) {
+            return { error: lockedMessage(layer), status: 409 };
+        }
+        siblings.splice(index, 1);
+        return { pageId: page.id, elementId: operation.elementId };
+    }
+
+    let prepared;
+    try {
+        prepared = await prepareUpdate(req, draft, found, operation.changes);
+    } catch (error) {
+        if (error instanceof FetchError) {
+            return { error: error.message, status: error.status, code: error.code };
+        }
+        throw error;
+    }
+    const { error, status, fields, updated, source } = prepared;
+    if (error) {
+        return { error, status, fields };
+    }
+    if (source) {
+        sources.set(imageKey(updated), source);
+    }
+    siblings[index] = updated;
+    return { pageId: page.id, elementId: updated.id };
+};
+
+// ============================================
+// POST /api/canvas/:id/batch - Apply several element changes at once
+// Body: { operations: [...] }, run in order, each one of
+//   { op: 'add', pageId, element }       - element as in a JSON document, but images name an
+//                                           asset with assetId; pageId defaults to the first page
+//   { op: 'update', elementId, changes } - changes as for PATCH /elements/:elementId
+//   { op: 'delete', elementId }
+// All or nothing: the operations run against a copy of the pages, which replaces the canvas
+// only once every one has succeeded. The batch is a single undo step
+// ============================================
+router.post('/:id/batch', validateRequest(SCHEMAS.batch), async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { operations } = req.body;
+
+        if (!canvases[id]) {
+            return sendError(res, 404, 'Canvas not found');
+        }
+
+        const record = canvases[id];
+        const fields = validateOperations(record, operations);
+        if (fields.length > 0) {
+            return sendError(res, 400, 'Invalid batch', { fields });
+        }
+
+        const { revision } = record;
+        const draft = { pages: draftPages(record.pages), layers: record.layers, images: record.images };
+        const sources = new Map();
+        const results = [];
+
+        for (const [index, operation] of operations.entries()) {
+            const { error, status, fields = [], code, ...result } = await applyOperation(req, draft, operation, sources);
+            if (!error) {
+                results.push({ index, op: operation.op, status: 'applied', ...result });
+                continue;
+            }
+
+            // The draft is dropped, so nothing before the failure takes effect either
+            const failure = errorBody(code || (fields.length > 0 ? 'validation_failed' : statusCode(status)), error, fields);
+            return res.status(status).json({
+                error: { ...failure.error, message: `Operation ${index} failed: ${error}` },
+                index,
+                results: [
+                    ...results.map(applied => ({ ...applied, status: 'rolledBack' })),
+                    { index, op: operation.op, status: 'failed', ...failure },
+                    ...operations.slice(index + 1).map((skipped, offset) => ({
+                        index: index + 1 + offset,
+                        op: skipped.op,
+                        status: 'skipped'
+                    }))
+                ]
+            });
+        }
+
+        // Loading assets awaits; a change made meanwhile would be overwritten by the draft
+        if (record.revision !== revision) {
+            return sendError(res, 409, 'Canvas changed while the batch was running; send it again');
+        }
+
+        const pageIds = [...new Set(results.map(result => result.pageId))];
+        history.recordChange(record, 'batch', { pageId: pageIds.length === 1 ? pageIds[0] : null });
+        for (const [key, source] of sources) {
+            record.images.set(key, source);
+        }
+        record.pages = draft.pages;
+        for (const page of record.pages.filter(candidate => pageIds.includes(candidate.id))) {
+            renderPage(page, record.images, record.layers);
+        }
+        await saveCanvas(req, id, { type: 'batch.applied', pageIds, results });
+
+        res.json({ message: 'Batch applied successfully', results });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// GET /api/canvas/:id/layers - List layers, bottom first
+// ============================================
+router.get('/:id/layers', (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        if (!canvases[id]) {
+            return sendError(res, 404, 'Canvas not found');
+        }
+
+        res.json({ layers: canvases[id].layers.map(layer => describeLayer(canvases[id], layer)) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// POST /api/canvas/:id/layers - Add a layer
+// Body: { name, visible, locked, index } - index defaults to the top
+// ============================================
+router.post('/:id/layers', validateRequest(SCHEMAS.addLayer), async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        if (!canvases[id]) {
+            return sendError(res, 404, 'Canvas not found');
+        }
+
+        const { layers } = canvases[id];
+        const { index = layers.length } = req.body;
+        const fields = pickFields(req.body, LAYER_FIELDS);
+
+        if (index > layers.length) {
+            return sendIndexError(res, layers.length);
+        }
+
+        const layer = createLayer({ name: `Layer ${layers.length + 1}`, ...fields });
+        history.recordChange(canvases[id], 'add-layer');
+        layers.splice(index, 0, layer);
+        await saveCanvas(req, id, { type: 'layer.added', layer: describeLayer(canvases[id], layer) });
+
+        res.json({ message: 'Layer added successfully', layer: describeLayer(canvases[id], layer) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// PATCH /api/canvas/:id/layers/:layerId - Rename, hide/show, lock/unlock
+// Body: { name, visible, locked }
+// ============================================
+router.patch('/:id/layers/:layerId', validateRequest(SCHEMAS.updateLayer), async (req, res, next) => {
+    try {
+        const { id, layerId } = req.params;
+
+        if (!canvases[id]) {
+            return sendError(res, 404, 'Canvas not found');
+        }
+
+        const layer = findLayer(canvases[id].layers, layerId);
+        if (!layer) {
+            return sendError(res, 404, 'Layer not found');
+        }
+
+        const changes = pickFields(req.body, LAYER_FIELDS);
+
+        history.recordChange(canvases[id], 'update-layer');
+        const wasVisible = layer.visible;
+        Object.assign(layer, changes);
+        if (layer.visible !== wasVisible) {
+            renderCanvas(canvases[id]);
+        }
+        await saveCanvas(req, id, { type: 'layer.updated', layer: describeLayer(canvases[id], layer) });
+
+        res.json({ message: 'Layer updated successfully', layer: describeLayer(canvases[id], layer) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// POST /api/canvas/:id/layers/:layerId/move - Reorder a layer
+// Body: { index } - the layer's new position, 0 being the bottom
+// ============================================
+router.post('/:id/layers/:layerId/move', validateRequest(SCHEMAS.move), async (req, res, next) => {
+    try {
+        const { id, layerId } = req.params;
+        const { index } = req.body;
+
+        if (!canvases[id]) {
+            return sendError(res, 404, 'Canvas not found');
+        }
+
+        const { layers } = canvases[id];
+        const current = layers.findIndex(layer => layer.id === layerId);
+        if (current === -1) {
+            return sendError(res, 404, 'Layer not found');
+        }
+
+        if (index >= layers.length) {
+            return sendIndexError(res, layers.length - 1);
+        }
+
+        history.recordChange(canvases[id], 'move-layer');
+        const [layer] = layers.splice(current, 1);
+        layers.splice(index, 0, layer);
+        renderCanvas(canvases[id]);
+        await saveCanvas(req, id, { type: 'layer.moved', layerId, index });
+
+        res.json({
+            message: 'Layer moved successfully',
+            layers: layers.map(other => describeLayer(canvases[id], other))
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// GET /api/canvas/:id/pages - List pages in order
+// ============================================
+router.get('/:id/pages', (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        if (!canvases[id]) {
+            return sendError(res, 404, 'Canvas not found');
+        }
+
+        res.json({ pages: canvases[id].pages.map(describePage) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// POST /api/canvas/:id/pages - Add a page
+// Body: { width, height, background, index } - size defaults to the last page
+// ============================================
+router.post('/:id/pages', validateRequest(SCHEMAS.addPage), async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        if (!canvases[id]) {
+            return sendError(res, 404, 'Canvas not found');
+        }
+
+        const { pages } = canvases[id];
+        const last = pages[pages.length - 1];
+        const { width = last.width, height = last.height, background = DEFAULT_BACKGROUND, index = pages.length } = req.body;
+
+        if (index > pages.length) {
+            return sendIndexError(res, pages.length);
+        }
+
+        const { source, error, status, fields } = await loadBackground(background);
+        if (error) {
+            return sendError(res, status, error, { fields });
+        }
+
+        const page = createPage({ width, height, background });
+        history.recordChange(canvases[id], 'add-page', { pageId: page.id });
+        if (source) {
+            canvases[id].images.set(background.assetId, source);
+        }
+        pages.splice(index, 0, page);
+        renderPage(page, canvases[id].images, canvases[id].layers);
+        await saveCanvas(req, id, { type: 'page.added', page: describePage(page, index) });
+
+        res.json({ message: 'Page added successfully', page: describePage(page, index) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// DELETE /api/canvas/:id/pages/:pageId - Remove a page
+// ============================================
+router.delete('/:id/pages/:pageId', async (req, res, next) => {
+    try {
+        const { id, pageId } = req.params;
+
+        if (!canvases[id]) {
+            return sendError(res, 404, 'Canvas not found');
+        }
+
+        const { pages } = canvases[id];
+        const index = pages.findIndex(page => page.id === pageId);
+        if (index === -1) {
+            return sendError(res, 404, 'Page not found');
+        }
+
+        if (pages.length === 1) {
+            return sendError(res, 400, 'A canvas must keep at least one page');
+        }
+
+        history.recordChange(canvases[id], 'delete-page', { pageId });
+        pages.splice(index, 1);
+        await saveCanvas(req, id, { type: 'page.deleted', pageId });
+
+        res.json({ message: 'Page deleted successfully', pages: pages.map(describePage) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// POST /api/canvas/:id/pages/:pageId/move - Reorder a page
+// Body: { index } - the page's new position
+// ============================================
+router.post('/:id/pages/:pageId/move', validateRequest(SCHEMAS.move), async (req, res, next) => {
+    try {
+        const { id, pageId } = req.params;
+        const { index } = req.body;
+
+        if (!canvases[id]) {
+            return sendError(res, 404, 'Canvas not found');
+        }
+
+        const { pages } = canvases[id];
+        const current = pages.findIndex(page => page.id === pageId);
+        if (current === -1) {
+            return sendError(res, 404, 'Page not found');
+        }
+
+        if (index >= pages.length) {
+            return sendIndexError(res, pages.length - 1);
+        }
+
+        history.recordChange(canvases[id], 'move-page', { pageId });
+        const [page] = pages.splice(current, 1);
+        pages.splice(index, 0, page);
+        await saveCanvas(req, id, { type: 'page.moved', pageId, index });
+
+        res.json({ message: 'Page moved successfully', pages: pages.map(describePage) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// PATCH /api/canvas/:id/background?page=<pageId> - Change the background
+// Body: { background } - every page, or only the page given by ?page
+// ============================================
+router.patch('/:id/background', validateRequest(SCHEMAS.background), async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { background } = req.body;
+
+        if (!canvases[id]) {
+            return sendError(res, 404, 'Canvas not found');
+        }
+
+        let pages = canvases[id].pages;
+        if (req.query.page) {
+            const page = resolvePage(canvases[id], req);
+            if (!page) {
+                return sendError(res, 404, 'Page not found');
+            }
+            pages = [page];
+        }
+
+        const { source, error, status, fields } = await loadBackground(background);
+        if (error) {
+            return sendError(res, status, error, { fields });
+        }
+
+        history.recordChange(canvases[id], 'background', { pageId: req.query.page ? pages[0].id : null });
+        if (source) {
+            canvases[id].images.set(background.assetId, source);
+        }
+        for (const page of pages) {
+            page.background = background;
+            renderPage(page, canvases[id].images, canvases[id].layers);
+        }
+        await saveCanvas(req, id, { type: 'background.updated', pageIds: pages.map(page => page.id), background });
+
+        res.json({
+            message: 'Background updated successfully',
+            pages: canvases[id].pages.map(describePage)
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// POST /api/canvas/:id/undo - Revert the last change
+// ============================================
+router.post('/:id/undo', async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        if (!canvases[id]) {
+            return sendError(res, 404, 'Canvas not found');
+        }
+
+        const entry = history.undo(canvases[id]);
+        if (!entry) {
+            return sendError(res, 400, 'Nothing to undo');
+        }
+        renderCanvas(canvases[id]);
+        await saveCanvas(req, id, { type: 'history.undone', change: history.describe(entry) });
+
+        res.json({
+            message: 'Change undone successfully',
+            undone: history.describe(entry),
+            ...history.summarize(canvases[id])
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// POST /api/canvas/:id/redo - Re-apply the last undone change
+// ============================================
+router.post('/:id/redo', async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        if (!canvases[id]) {
+            return sendError(res, 404, 'Canvas not found');
+        }
+
+        const entry = history.redo(canvases[id]);
+        if (!entry) {
+            return sendError(res, 400, 'Nothing to redo');
+        }
+        renderCanvas(canvases[id]);
+        await saveCanvas(req, id, { type: 'history.redone', change: history.describe(entry) });
+
+        res.json({
+            message: 'Change redone successfully',
+            redone: history.describe(entry),
+            ...history.summarize(canvases[id])
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// GET /api/canvas/:id/history - List undo/redo entries (newest first)
+// ============================================
+router.get('/:id/history', (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        if (!canvases[id]) {
+            return sendError(res, 404, 'Canvas not found');
+        }
+
+        res.json(history.summarize(canvases[id]));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// POST /api/canvas/:id/render - Batch render a template
+// Body: { records: [{...}], format: 'pdf' | 'png', mode: 'vector' | 'raster' }
+// {{placeholder}} tokens in text elements are filled from each record;
+// pdf returns one multi-page PDF, png a ZIP with one PNG per record and page
+// Hidden layers are left out unless ?includeHidden=true
+// ============================================
+router.post('/:id/render', validateRequest(SCHEMAS.render), async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { records, format = 'pdf', mode = 'vector' } = req.body;
+
+        if (!canvases[id]) {
+            return sendError(res, 404, 'Canvas not found');
+        }
+
+        const { pages, images, layers } = canvases[id];
+        const views = pages.map(page => layerView(page, layers, { includeHidden: includeHidden(req) }));
+        const filled = records.map(record => views.map(page => applyTemplate(page, record)));
+
+        if (format === 'pdf') {
+            const doc = createPdfDocument();
+
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `attachment; filename=canvas-${id}-render.pdf`);
+            doc.pipe(res);
+
+            for (const recordPages of filled) {
+                addPdfPages(doc, recordPages, images, mode);
+            }
+            doc.end();
+            return;
+        }
+
+        const archive = archiver('zip');
+        archive.on('error', (error) => {
+            console.error('Error writing render archive:', error);
+            res.destroy(error);
+        });
+
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename=canvas-${id}-render.zip`);
+        archive.pipe(res);
+
+        const digits = String(records.length).length;
+        filled.forEach((recordPages, recordIndex) => {
+            const name = `record-${String(recordIndex + 1).padStart(digits, '0')}`;
+            recordPages.forEach((page, pageIndex) => {
+                const suffix = recordPages.length > 1 ? `-page-${pageIndex + 1}` : '';
+                archive.append(renderPage(page, images).toBuffer('image/png'), { name: `${name}${suffix}.png` });
+            });
+        });
+        await archive.finalize();
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// GET /api/canvas/:id/export/pdf
+// One PDF page per canvas page
+// ?mode=vector (default) replays elements, ?mode=raster embeds a PNG
+// Hidden layers are left out unless ?includeHidden=true
+// ============================================
+router.get('/:id/export/pdf', validateRequest(SCHEMAS.exportPdf), (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { mode = 'vector' } = req.query;
+
+        if (!canvases[id]) {
+            return sendError(res, 404, 'Canvas not found');
+        }
+
+        const { pages, images, layers } = canvases[id];
+        const views = pages.map(page => layerView(page, layers, { includeHidden: includeHidden(req) }));
+
+        // Create PDF with compression enabled
+        const doc = createPdfDocument();
+
+        // Set response headers
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename=canvas-${id}.pdf`);
+
+        // Pipe PDF to response
+        doc.pipe(res);
+
+        // One page per canvas page, as selectable vector content or a bitmap
+        addPdfPages(doc, views, images, mode);
+
+        // Finalize PDF
+        doc.end();
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// GET /api/canvas/:id/export/svg?page=<pageId>&includeHidden=true
+// ============================================
+router.get('/:id/export/svg', validateRequest(SCHEMAS.view), (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        if (!canvases[id]) {
+            return sendError(res, 404, 'Canvas not found');
+        }
+
+        const page = resolvePage(canvases[id], req);
+        if (!page) {
+            return sendError(res, 404, 'Page not found');
+        }
+
+        res.setHeader('Content-Type', 'image/svg+xml');
+        res.setHeader('Content-Disposition', `attachment; filename=canvas-${id}.svg`);
+        const { images, layers } = canvases[id];
+        res.send(renderSvg(layerView(page, layers, { includeHidden: includeHidden(req) }), images));
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// GET /api/canvas/:id/export/json - Versioned canvas document
+// ============================================
+router.get('/:id/export/json', (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        if (!canvases[id]) {
+            return sendError(res, 404, 'Canvas not found');
+        }
+
+        res.setHeader('Content-Type', 'application/json');
+        res.setHeader('Content-Disposition', `attachment; filename=canvas-${id}.json`);
+        res.send(JSON.stringify(toDocument(canvases[id]), null, 2));
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// GET /api/canvas/:id/preview?page=<pageId>&includeHidden=true - Get page as an image
+// ?format=png|jpeg|webp&quality=1-100, ?scale= or ?dpi=, ?maxWidth=&maxHeight=,
+// ?region=x,y,width,height - see lib/preview.js
+// Tagged with the canvas revision; a matching If-None-Match or If-Modified-Since gets 304
+// ============================================
+router.get('/:id/preview', validateRequest(SCHEMAS.view), (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        if (!canvases[id]) {
+            return sendError(res, 404, 'Canvas not found');
+        }
+
+        const page = resolvePage(canvases[id], req);
+        if (!page) {
+            return sendError(res, 404, 'Page not found');
+        }
+
+        const { options, errors } = parsePreviewOptions(req.query, page);
+        if (errors.length > 0) {
+            return sendError(res, 400, 'Invalid preview options', { fields: errors });
+        }
+
+        const { images, layers, revision, updatedAt } = canvases[id];
+        const hidden = includeHidden(req);
+        const fonts = fontsVersion();
+
+        // Browsers may keep previews but must check back; unchanged ones are not re-encoded
+        // Registering a font can change how text draws, so it counts as a change too
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('ETag', previewTag(revision, fonts.version, page, options, hidden));
+        res.setHeader('Last-Modified', new Date(Math.max(updatedAt, fonts.changedAt)).toUTCString());
+        if (req.fresh) {
+            return res.status(304).end();
+        }
+
+        let canvas = pageBitmap(page, images, layers);
+        if (!isPlainPreview(options)) {
+            canvas = renderPageRegion(layerView(page, layers, { includeHidden: hidden }), images, options);
+        } else if (hidden) {
+            canvas = renderPage(layerView(page, layers, { includeHidden: true }), images);
+        }
+        const { buffer, contentType } = encodePreview(canvas, options);
+
+        res.setHeader('Content-Type', contentType);
+        res.send(buffer);
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// GET /api/canvas/:id/events - Server-sent event stream of changes to the canvas
+// Opens with { type: 'canvas.sync', revision }, then one event per saved change:
+// element.added/updated/deleted/moved, elements.grouped/ungrouped, layer.added/updated/moved,
+// page.added/deleted/moved, background.updated, history.undone/redone and canvas.deleted
+// ============================================
+router.get('/:id/events', (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        if (!canvases[id]) {
+            return sendError(res, 404, 'Canvas not found');
+        }
+
+        req.app.get('canvasEvents').subscribe(id, req, res, {
+            type: 'canvas.sync',
+            revision: canvases[id].revision
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// GET /api/canvas/:id/info?page=<pageId> - Get canvas info
+// width/height/elements describe the selected page (default: first)
+// ============================================
+router.get('/:id/info', validateRequest(SCHEMAS.view), (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        if (!canvases[id]) {
+            return sendError(res, 404, 'Canvas not found');
+        }
+
+        const page = resolvePage(canvases[id], req);
+        if (!page) {
+            return sendError(res, 404, 'Page not found');
         }
 
-        const { width, height, elements } = canvases[id];
+        const { width, height, elements } = page;
 
         res.json({
             id,
+            pageId: page.id,
+            revision: canvases[id].revision,
             width,
             height,
             elementCount: elements.length,
-            elements
+            elements: elements.map(describeElement),
+            pages: canvases[id].pages.map(describePage),
+            layers: canvases[id].layers.map(layer => describeLayer(canvases[id], layer)),
+            placeholders: listPlaceholders(canvases[id].pages)
         });
 
     } catch (error) {
-        console.error('Error getting canvas info:', error);
-        res.status(500).json({ error: 'Failed to get canvas info' });
+        next(error);
     }
 });
 
 // ============================================
 // DELETE /api/canvas/:id - Delete canvas
 // ============================================
-router.delete('/:id', (req, res) => {
+router.delete('/:id', async (req, res, next) => {
     try {
         const { id } = req.params;
 
         if (!canvases[id]) {
-            return res.status(404).json({ error: 'Canvas not found' });
+            return sendError(res, 404, 'Canvas not found');
         }
 
+        const { revision } = canvases[id];
         delete canvases[id];
+        await req.app.get('canvasStore').remove(id);
+        req.app.get('canvasEvents').close(id, { type: 'canvas.deleted', revision });
 
         res.json({ message: 'Canvas deleted successfully' });
 
     } catch (error) {
-        console.error('Error deleting canvas:', error);
-        res.status(500).json({ error: 'Failed to delete canvas' });
+        next(error);
     }
 });
 
@@ -0,0 +1,62 @@
+const express = require('express');
+const multer = require('multer');
+const { addFont, listFonts, describeFont } = require('../lib/fonts');
+const { ApiError, sendError } = require('../lib/errors');
+const { validate } = require('../lib/schema');
+const { SCHEMAS } = require('../lib/requestSchemas');
+
+const router = express.Router();
+
+// Largest accepted font file
+const MAX_FONT_BYTES = 10 * 1024 * 1024;
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_FONT_BYTES }
+});
+
+// ============================================
+// GET /api/fonts - List uploaded fonts
+// ============================================
+router.get('/', (req, res, next) => {
+    try {
+        res.json({ fonts: listFonts() });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// POST /api/fonts - Upload a TTF/OTF font (multipart field "font")
+// Optional fields: family, weight, style - read from the font file when omitted
+// ============================================
+router.post('/', (req, res, next) => {
+    upload.single('font')(req, res, async (uploadError) => {
+        try {
+            if (uploadError) {
+                if (uploadError.code === 'LIMIT_FILE_SIZE') {
+                    throw new ApiError(413, `Font files cannot exceed ${MAX_FONT_BYTES / (1024 * 1024)}MB`);
+                }
+                throw uploadError;
+            }
+
+            if (!req.file) {
+                return sendError(res, 400, 'Font file is required');
+            }
+
+            const { errors } = validate(SCHEMAS.font.body, req.body);
+            if (errors.length > 0) {
+                return sendError(res, 400, 'Invalid font', { fields: errors });
+            }
+
+            const { family, weight, style } = req.body;
+            const font = await addFont(req.file.buffer, { family, weight, style });
+
+            res.json({ message: 'Font uploaded successfully', font: describeFont(font) });
+        } catch (error) {
+            next(error);
+        }
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,53 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { writeFileAtomic } = require('../lib/atomicWrite');
+
+// Canvas ids are UUIDs - anything else must never reach the file system
+const VALID_ID = /^[A-Za-z0-9-]+$/;
+
+// Writes one JSON file per canvas into dir
+const createFileStore = (dir) => {
+    const filePath = (id) => {
+        if (!VALID_ID.test(id)) return null;
+        return path.join(dir, `${id}.json`);
+    };
+
+    return {
+        name: 'file',
+        load: async (id) => {
+            const file = filePath(id);
+            if (!file) return null;
+
+            try {
+                return JSON.parse(await fs.readFile(file, 'utf8'));
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+        save: async (id, data) => {
+            const file = filePath(id);
+            if (!file) throw new Error(`Invalid canvas id: ${id}`);
+
+            // Concurrent saves of one canvas each write their own temporary file
+            await fs.mkdir(dir, { recursive: true });
+            await writeFileAtomic(file, JSON.stringify(data));
+        },
+        remove: async (id) => {
+            const file = filePath(id);
+            if (!file) return;
+            await fs.rm(file, { force: true });
+        },
+        list: async () => {
+            try {
+                const files = await fs.readdir(dir);
+                return files.filter(file => file.endsWith('.json')).map(file => path.basename(file, '.json'));
+            } catch (error) {
+                if (error.code === 'ENOENT') return [];
+                throw error;
+            }
+        }
+    };
+};
+
+module.exports = { createFileStore };
@@ -0,0 +1,17 @@
+const path = require('path');
+const { createMemoryStore } = require('./memoryStore');
+const { createFileStore } = require('./fileStore');
+
+// Every store implements: load(id), save(id, data), remove(id), list()
+const createStore = (type = 'memory', options = {}) => {
+    switch (type) {
+        case 'memory':
+            return createMemoryStore();
+        case 'file':
+            return createFileStore(options.dir || path.join(process.cwd(), 'data'));
+        default:
+            throw new Error(`Unknown canvas store "${type}" (expected "memory" or "file")`);
+    }
+};
+
+module.exports = { createStore };
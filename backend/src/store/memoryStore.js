@@ -0,0 +1,18 @@
+// Keeps serialized canvases for the lifetime of the process
+const createMemoryStore = () => {
+    const canvases = new Map();
+
+    return {
+        name: 'memory',
+        load: async (id) => canvases.get(id) || null,
+        save: async (id, data) => {
+            canvases.set(id, data);
+        },
+        remove: async (id) => {
+            canvases.delete(id);
+        },
+        list: async () => [...canvases.keys()]
+    };
+};
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,92 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { createCanvas } = require('canvas');
+const canvasRoutes = require('../src/routes/canvas');
+const { createStore } = require('../src/store');
+const { loadAssets, addAsset } = require('../src/lib/assets');
+const { createImageFetcher } = require('../src/lib/fetcher');
+const { createEventHub } = require('../src/lib/events');
+const { errorBody, toApiError } = require('../src/lib/errors');
+
+// POST /api/canvas/:id/batch against the canvas routes, wired up as in src/index.js
+
+let server;
+let baseUrl;
+let assetsDir;
+let assetId;
+
+const request = async (method, route, body) => {
+    const res = await fetch(`${baseUrl}/api/canvas${route}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+};
+
+before(async () => {
+    assetsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'canvas-assets-'));
+    loadAssets(assetsDir);
+
+    // A 30x20 bitmap, so sizes taken from it are easy to tell apart
+    const bitmap = createCanvas(30, 20);
+    ({ asset: { id: assetId } } = await addAsset(bitmap.toBuffer('image/png')));
+
+    const app = express();
+    app.set('canvasStore', createStore('memory'));
+    app.set('imageFetcher', createImageFetcher({}));
+    app.set('canvasEvents', createEventHub());
+    app.use(express.json());
+    app.use('/api/canvas', canvasRoutes);
+    app.use((err, req, res, next) => {
+        const error = toApiError(err);
+        res.status(error.status).json(errorBody(error.code, error.message, error.fields));
+    });
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(assetsDir, { recursive: true, force: true });
+});
+
+test('batch add resolves an image width or height of 0 to the bitmap size', async () => {
+    const { body: { id } } = await request('POST', '/init', { width: 200, height: 100 });
+
+    const image = (fields) => ({ op: 'add', element: { type: 'image', assetId, x: 0, y: 0, ...fields } });
+    const batch = await request('POST', `/${id}/batch`, {
+        operations: [
+            image({ id: 'whole', width: 0, height: 0 }),
+            image({ id: 'cropped', width: 0, height: 7, crop: { x: 0, y: 0, width: 12, height: 8 } }),
+            {
+                op: 'add',
+                element: { type: 'group', id: 'group', x: 0, y: 0, children: [image({ id: 'child', width: 5, height: 0 }).element] }
+            }
+        ]
+    });
+    assert.strictEqual(batch.status, 200, JSON.stringify(batch.body));
+
+    const { body: { elements } } = await request('GET', `/${id}/info`);
+    const sizes = Object.fromEntries(elements.flatMap(element => (element.type === 'group' ? element.children : [element]))
+        .map(element => [element.id, [element.width, element.height]]));
+    assert.deepStrictEqual(sizes, { whole: [30, 20], cropped: [12, 7], child: [5, 20] });
+});
+
+test('batch add refuses a negative image size', async () => {
+    const { body: { id } } = await request('POST', '/init', { width: 200, height: 100 });
+
+    const batch = await request('POST', `/${id}/batch`, {
+        operations: [{ op: 'add', element: { type: 'image', assetId, x: 0, y: 0, width: -1, height: 0 } }]
+    });
+    assert.strictEqual(batch.status, 400);
+    assert.deepStrictEqual(batch.body.error.fields, [
+        { field: 'operations[0].element.width', message: 'must be a non-negative number' }
+    ]);
+});
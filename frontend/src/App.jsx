@@ -1,16 +1,89 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import axios from 'axios';
+import Stage from './Stage.jsx';
 
 // API URL: Uses environment variable or falls back to localhost for development
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api/canvas';
+const FONTS_URL = API_URL.replace(/\/canvas\/?$/, '/fonts');
+const ASSETS_URL = API_URL.replace(/\/canvas\/?$/, '/assets');
+
+// System fonts offered before any uploaded families
+const BUILTIN_FONTS = ['Arial', 'Helvetica', 'Times New Roman', 'Courier', 'Georgia'];
+
+// Status bar text for the live update stream
+const LIVE_LABELS = { connecting: 'Connecting…', live: 'Live', offline: 'Offline' };
+
+// Dash options in the Style card -> stroke dash arrays
+const DASH_PATTERNS = { solid: null, dashed: [8, 4], dotted: [2, 4] };
+
+// Identity transform - the Transform card starts here
+const TRANSFORM_DEFAULTS = {
+    rotation: 0, scaleX: 1, scaleY: 1, skewX: 0, skewY: 0, flipX: false, flipY: false
+};
+
+// Markup toggles in the text form -> run style fields
+const EMPHASIS_MARKERS = {
+    '**': { fontWeight: 'bold' },
+    '*': { fontStyle: 'italic' },
+    '__': { underline: true },
+    '~~': { strikethrough: true }
+};
+
+// Turn **bold**, *italic*, __underline__ and ~~strikethrough~~ markup into text runs
+const parseEmphasis = (text) => {
+    const runs = [];
+    const active = new Set();
+    for (const part of text.split(/(\*\*|\*|__|~~)/)) {
+        if (EMPHASIS_MARKERS[part]) {
+            if (active.has(part)) active.delete(part);
+            else active.add(part);
+        } else if (part) {
+            runs.push(Object.assign({ text: part }, ...[...active].map(marker => EMPHASIS_MARKERS[marker])));
+        }
+    }
+    return runs;
+};
+
+// Toast text for a failed API call - the server's message and its first field problem
+// (see the error format in the README), or fallback when there is no response body
+const apiErrorMessage = (error, fallback) => {
+    const body = error.response?.data?.error;
+    if (!body?.message) return fallback;
+
+    const [field] = body.fields || [];
+    return field ? `${body.message}: ${field.field} ${field.message}` : body.message;
+};
 
 function App() {
     // Canvas state
     const [canvasId, setCanvasId] = useState(null);
     const [dimensions, setDimensions] = useState({ width: 800, height: 600 });
+
+    // Page background: kind is color | transparent | gradient | image
+    const [backgroundForm, setBackgroundForm] = useState({
+        kind: 'color', color: '#ffffff', color2: '#6366f1', assetId: '', fit: 'cover'
+    });
     const [elements, setElements] = useState([]);
-    const [previewUrl, setPreviewUrl] = useState(null);
+    // The current page's SVG export, drawn by the editing stage
+    const [stageSvg, setStageSvg] = useState(null);
     const [loading, setLoading] = useState(false);
+    const [historyState, setHistoryState] = useState({ canUndo: false, canRedo: false });
+
+    // Pages - null currentPageId means the first page
+    const [pages, setPages] = useState([]);
+    const [currentPageId, setCurrentPageId] = useState(null);
+    const [revision, setRevision] = useState(0);
+
+    // Live updates from GET /:id/events - liveStatus is connecting | live | offline
+    const [liveStatus, setLiveStatus] = useState('offline');
+    const [openCanvasId, setOpenCanvasId] = useState('');
+    const revisionRef = useRef(0);
+    const refreshRef = useRef(null);
+    const eventsRef = useRef(null);
+    const activePageId = currentPageId || pages[0]?.id;
+    const activePageIndex = pages.findIndex(p => p.id === activePageId);
+    const activePage = pages[activePageIndex];
+    const pageQuery = currentPageId ? `?page=${currentPageId}` : '';
 
     // Toast notifications
     const [toasts, setToasts] = useState([]);
@@ -20,21 +93,71 @@ function App() {
 
     // Form states
     const [rectForm, setRectForm] = useState({
-        x: 50, y: 50, width: 100, height: 80, color: '#6366f1', isFilled: true
+        x: 50, y: 50, width: 100, height: 80, cornerRadius: 0, color: '#6366f1', isFilled: true
     });
 
     const [circleForm, setCircleForm] = useState({
         x: 200, y: 200, radius: 50, color: '#10b981', isFilled: true
     });
 
+    const [ellipseForm, setEllipseForm] = useState({
+        x: 300, y: 200, radiusX: 80, radiusY: 40, color: '#0ea5e9', isFilled: true
+    });
+
+    const [lineForm, setLineForm] = useState({
+        x1: 50, y1: 300, x2: 250, y2: 350, color: '#334155'
+    });
+
+    const [arrowForm, setArrowForm] = useState({
+        x1: 50, y1: 400, x2: 250, y2: 400, headSize: 12, color: '#f97316'
+    });
+
+    // Points are edited as "x,y x,y x,y" and sent as [{ x, y }]
+    const [polygonForm, setPolygonForm] = useState({
+        points: '400,50 460,150 340,150', color: '#8b5cf6', isFilled: true
+    });
+
+    const [pathForm, setPathForm] = useState({
+        d: 'M 0 40 C 40 0, 80 80, 120 40', x: 400, y: 300, color: '#ec4899', isFilled: false
+    });
+
     const [textForm, setTextForm] = useState({
-        text: 'Hello Canvas!', x: 100, y: 100, fontSize: 24, fontFamily: 'Arial', color: '#e11d48', align: 'left'
+        text: 'Hello Canvas!', x: 100, y: 100, fontSize: 24, fontFamily: 'Arial', color: '#e11d48', align: 'left',
+        width: 0, height: 0, lineHeight: 1.2, letterSpacing: 0, verticalAlign: 'top', overflow: 'visible',
+        fontWeight: 'normal', fontStyle: 'normal', underline: false, strikethrough: false, markup: false
     });
 
     const [imageForm, setImageForm] = useState({
-        url: 'https://via.placeholder.com/150', x: 300, y: 100, width: 150, height: 150
+        url: 'https://via.placeholder.com/150', x: 300, y: 100, width: 150, height: 150,
+        fit: 'fill', clip: 'none', cornerRadius: 0,
+        useCrop: false, cropX: 0, cropY: 0, cropWidth: 100, cropHeight: 100,
+        grayscale: 0, brightness: 1, contrast: 1, blur: 0
+    });
+
+    // Style options applied to every new element
+    const [styleForm, setStyleForm] = useState({
+        useStroke: false, stroke: '#0f172a', strokeWidth: 2, dash: 'solid', opacity: 1,
+        useShadow: false, shadowColor: '#00000080', shadowBlur: 8, shadowOffsetX: 4, shadowOffsetY: 4
     });
 
+    // Transform applied to every new element (rotation/skew in degrees)
+    const [transformForm, setTransformForm] = useState(TRANSFORM_DEFAULTS);
+
+    // Uploaded fonts from the server registry
+    const [fonts, setFonts] = useState([]);
+
+    // Images in the server's shared asset library
+    const [assets, setAssets] = useState([]);
+
+    // Elements ticked in the element tree, and groups shown collapsed
+    const [selectedIds, setSelectedIds] = useState([]);
+    const [collapsedGroups, setCollapsedGroups] = useState({});
+
+    // Canvas layers (bottom first), the layer new elements go on, and the new layer's name
+    const [layers, setLayers] = useState([]);
+    const [activeLayerId, setActiveLayerId] = useState(null);
+    const [newLayerName, setNewLayerName] = useState('');
+
     // Toast helper
     const showToast = useCallback((message, type = 'info') => {
         const id = Date.now();
@@ -47,39 +170,143 @@ function App() {
     // Refresh preview
     const refreshPreview = useCallback(async () => {
         if (!canvasId) return;
+        const query = currentPageId ? `?page=${currentPageId}` : '';
         try {
-            // Add timestamp to prevent caching
-            setPreviewUrl(`${API_URL}/${canvasId}/preview?t=${Date.now()}`);
+            // Fetch elements info, undo/redo availability and the page drawing
+            const [infoRes, historyRes, svgRes] = await Promise.all([
+                axios.get(`${API_URL}/${canvasId}/info${query}`),
+                axios.get(`${API_URL}/${canvasId}/history`),
+                axios.get(`${API_URL}/${canvasId}/export/svg${query}`, { responseType: 'text' })
+            ]);
+            setElements(infoRes.data.elements || []);
+            setPages(infoRes.data.pages || []);
+            setLayers(infoRes.data.layers || []);
+            setHistoryState(historyRes.data);
+            setStageSvg(svgRes.data);
 
-            // Fetch elements info
-            const res = await axios.get(`${API_URL}/${canvasId}/info`);
-            setElements(res.data.elements || []);
+            // The revision this state was read at: thumbnail URLs carry it, and change
+            // events up to it are already shown
+            const { revision: current } = infoRes.data;
+            setRevision(current);
+            revisionRef.current = current;
         } catch (error) {
+            // The page may be gone (deleted, or removed by undo) - fall back to the first page
+            if (error.response?.status === 404 && currentPageId) {
+                setCurrentPageId(null);
+                return;
+            }
             console.error('Error refreshing preview:', error);
         }
-    }, [canvasId]);
+    }, [canvasId, currentPageId]);
+
+    // Reload whenever the canvas or the selected page changes
+    useEffect(() => {
+        refreshPreview();
+        refreshRef.current = refreshPreview;
+    }, [refreshPreview]);
+
+    const fetchFonts = useCallback(async () => {
+        try {
+            const res = await axios.get(FONTS_URL);
+            setFonts(res.data.fonts);
+        } catch (error) {
+            console.error('Error loading fonts:', error);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchFonts();
+    }, [fetchFonts]);
+
+    const fetchAssets = useCallback(async () => {
+        try {
+            const res = await axios.get(ASSETS_URL);
+            setAssets(res.data.assets);
+        } catch (error) {
+            console.error('Error loading assets:', error);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchAssets();
+    }, [fetchAssets]);
+
+    // One entry per family - uploaded weights and styles share a name
+    const fontFamilies = [...new Set([...BUILTIN_FONTS, ...fonts.map(font => font.family)])];
+
+    // Only non-default transform fields are sent
+    const transform = Object.fromEntries(Object.entries(transformForm)
+        .filter(([key, value]) => value !== TRANSFORM_DEFAULTS[key]));
+
+    // Style and transform fields sent with each /add request
+    const elementOptions = {
+        ...(activeLayerId && { layerId: activeLayerId }),
+        ...(Object.keys(transform).length > 0 && { transform }),
+        strokeWidth: styleForm.strokeWidth,
+        opacity: styleForm.opacity,
+        ...(styleForm.useStroke && { stroke: styleForm.stroke }),
+        ...(DASH_PATTERNS[styleForm.dash] && { dash: DASH_PATTERNS[styleForm.dash] }),
+        ...(styleForm.useShadow && {
+            shadowColor: styleForm.shadowColor,
+            shadowBlur: styleForm.shadowBlur,
+            shadowOffsetX: styleForm.shadowOffsetX,
+            shadowOffsetY: styleForm.shadowOffsetY
+        })
+    };
+
+    // Background spec for /init and PATCH /background; gradients run corner to corner of the page
+    const buildBackground = ({ width, height }) => {
+        const { kind, color, color2, assetId, fit } = backgroundForm;
+        switch (kind) {
+            case 'transparent':
+                return 'transparent';
+            case 'gradient':
+                return {
+                    type: 'linear', x1: 0, y1: 0, x2: width, y2: height,
+                    stops: [{ offset: 0, color }, { offset: 1, color: color2 }]
+                };
+            case 'image':
+                return { type: 'image', assetId, fit, color };
+            default:
+                return color;
+        }
+    };
 
     // Initialize canvas
     const initCanvas = async () => {
         setLoading(true);
         try {
-            const res = await axios.post(`${API_URL}/init`, dimensions);
+            const res = await axios.post(`${API_URL}/init`, { ...dimensions, background: buildBackground(dimensions) });
             setCanvasId(res.data.id);
+            setCurrentPageId(null);
             setElements([]);
+            setHistoryState({ canUndo: false, canRedo: false });
             showToast('Canvas initialized successfully!', 'success');
-
-            // Set preview after a brief delay
-            setTimeout(() => {
-                setPreviewUrl(`${API_URL}/${res.data.id}/preview?t=${Date.now()}`);
-            }, 100);
         } catch (error) {
-            showToast('Failed to initialize canvas', 'error');
+            showToast(apiErrorMessage(error, 'Failed to initialize canvas'), 'error');
             console.error(error);
         } finally {
             setLoading(false);
         }
     };
 
+    // Apply the background form to every page
+    const applyBackground = async () => {
+        if (!canvasId) return;
+        setLoading(true);
+        try {
+            await axios.patch(`${API_URL}/${canvasId}/background`, {
+                background: buildBackground(activePage || dimensions)
+            });
+            await refreshPreview();
+            showToast('Background updated!', 'success');
+        } catch (error) {
+            showToast(apiErrorMessage(error, 'Failed to update background'), 'error');
+        } finally {
+            setLoading(false);
+        }
+    };
+
     // Add rectangle
     const addRectangle = async () => {
         if (!canvasId) {
@@ -88,11 +315,11 @@ function App() {
         }
         setLoading(true);
         try {
-            await axios.post(`${API_URL}/${canvasId}/add/rectangle`, rectForm);
+            await axios.post(`${API_URL}/${canvasId}/add/rectangle${pageQuery}`, { ...rectForm, ...elementOptions });
             showToast('Rectangle added!', 'success');
             await refreshPreview();
         } catch (error) {
-            showToast('Failed to add rectangle', 'error');
+            showToast(apiErrorMessage(error, 'Failed to add rectangle'), 'error');
         } finally {
             setLoading(false);
         }
@@ -106,247 +333,1254 @@ function App() {
         }
         setLoading(true);
         try {
-            await axios.post(`${API_URL}/${canvasId}/add/circle`, circleForm);
+            await axios.post(`${API_URL}/${canvasId}/add/circle${pageQuery}`, { ...circleForm, ...elementOptions });
             showToast('Circle added!', 'success');
             await refreshPreview();
         } catch (error) {
-            showToast('Failed to add circle', 'error');
+            showToast(apiErrorMessage(error, 'Failed to add circle'), 'error');
         } finally {
             setLoading(false);
         }
     };
 
-    // Add text
-    const addText = async () => {
+    // Add ellipse
+    const addEllipse = async () => {
         if (!canvasId) {
             showToast('Please initialize canvas first', 'error');
             return;
         }
         setLoading(true);
         try {
-            await axios.post(`${API_URL}/${canvasId}/add/text`, textForm);
-            showToast('Text added!', 'success');
+            await axios.post(`${API_URL}/${canvasId}/add/ellipse${pageQuery}`, { ...ellipseForm, ...elementOptions });
+            showToast('Ellipse added!', 'success');
             await refreshPreview();
         } catch (error) {
-            showToast('Failed to add text', 'error');
+            showToast(apiErrorMessage(error, 'Failed to add ellipse'), 'error');
         } finally {
             setLoading(false);
         }
     };
 
-    // Add image
-    const addImage = async () => {
+    // Add line
+    const addLine = async () => {
         if (!canvasId) {
             showToast('Please initialize canvas first', 'error');
             return;
         }
         setLoading(true);
         try {
-            await axios.post(`${API_URL}/${canvasId}/add/image`, imageForm);
-            showToast('Image added!', 'success');
+            await axios.post(`${API_URL}/${canvasId}/add/line${pageQuery}`, { ...lineForm, ...elementOptions });
+            showToast('Line added!', 'success');
             await refreshPreview();
         } catch (error) {
-            showToast('Failed to add image', 'error');
+            showToast(apiErrorMessage(error, 'Failed to add line'), 'error');
         } finally {
             setLoading(false);
         }
     };
 
-    // Export PDF - same-origin request via Vite proxy
-    const exportPdf = async () => {
+    // Add arrow
+    const addArrow = async () => {
         if (!canvasId) {
             showToast('Please initialize canvas first', 'error');
             return;
         }
         setLoading(true);
-        showToast('Generating PDF...', 'info');
-
         try {
-            const response = await fetch(`${API_URL}/${canvasId}/export/pdf`);
+            await axios.post(`${API_URL}/${canvasId}/add/arrow${pageQuery}`, { ...arrowForm, ...elementOptions });
+            showToast('Arrow added!', 'success');
+            await refreshPreview();
+        } catch (error) {
+            showToast(apiErrorMessage(error, 'Failed to add arrow'), 'error');
+        } finally {
+            setLoading(false);
+        }
+    };
 
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
+    // Parse "x,y x,y ..." into [{ x, y }]
+    const parsePolygonPoints = (text) => text.trim().split(/\s+/).map(pair => {
+        const [x, y] = pair.split(',').map(Number);
+        return { x, y };
+    });
 
-            const blob = await response.blob();
-            const url = URL.createObjectURL(blob);
-            const filename = `canvas-${canvasId.substring(0, 8)}.pdf`;
+    // Add polygon
+    const addPolygon = async () => {
+        if (!canvasId) {
+            showToast('Please initialize canvas first', 'error');
+            return;
+        }
+        setLoading(true);
+        try {
+            await axios.post(`${API_URL}/${canvasId}/add/polygon${pageQuery}`, {
+                ...polygonForm,
+                ...elementOptions,
+                points: parsePolygonPoints(polygonForm.points)
+            });
+            showToast('Polygon added!', 'success');
+            await refreshPreview();
+        } catch (error) {
+            showToast(apiErrorMessage(error, 'Failed to add polygon'), 'error');
+        } finally {
+            setLoading(false);
+        }
+    };
 
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = filename;
-            a.click();
+    // Add path
+    const addPath = async () => {
+        if (!canvasId) {
+            showToast('Please initialize canvas first', 'error');
+            return;
+        }
+        setLoading(true);
+        try {
+            await axios.post(`${API_URL}/${canvasId}/add/path${pageQuery}`, { ...pathForm, ...elementOptions });
+            showToast('Path added!', 'success');
+            await refreshPreview();
+        } catch (error) {
+            showToast(apiErrorMessage(error, 'Failed to add path'), 'error');
+        } finally {
+            setLoading(false);
+        }
+    };
 
-            setTimeout(() => URL.revokeObjectURL(url), 1000);
-            showToast('PDF downloaded successfully!', 'success');
+    // Add text
+    const addText = async () => {
+        if (!canvasId) {
+            showToast('Please initialize canvas first', 'error');
+            return;
+        }
+        setLoading(true);
+        try {
+            // A box width/height of 0 means no box; markup is sent as styled runs
+            const { width, height, markup, text, ...textFields } = textForm;
+            await axios.post(`${API_URL}/${canvasId}/add/text${pageQuery}`, {
+                ...textFields,
+                ...(markup ? { runs: parseEmphasis(text) } : { text }),
+                ...(width > 0 && { width }),
+                ...(height > 0 && { height }),
+                ...elementOptions
+            });
+            showToast('Text added!', 'success');
+            await refreshPreview();
         } catch (error) {
-            console.error('PDF export error:', error);
-            showToast('Failed to export PDF', 'error');
+            showToast(apiErrorMessage(error, 'Failed to add text'), 'error');
         } finally {
             setLoading(false);
         }
     };
 
-    // Reset canvas
-    const resetCanvas = async () => {
-        if (canvasId) {
-            try {
-                await axios.delete(`${API_URL}/${canvasId}`);
-            } catch (error) {
-                console.error('Error deleting canvas:', error);
+    // Add image - source is { url } or { assetId } from the library
+    const addImage = async (source) => {
+        if (!canvasId) {
+            showToast('Please initialize canvas first', 'error');
+            return;
+        }
+        setLoading(true);
+        try {
+            const { x, y, width, height, fit, clip, cornerRadius, useCrop, grayscale, brightness, contrast, blur } = imageForm;
+            const payload = { ...source, x, y, width, height, ...elementOptions };
+
+            // Only send options that change the default rendering
+            if (fit !== 'fill') payload.fit = fit;
+            if (clip !== 'none') payload.clip = clip;
+            if (cornerRadius > 0) payload.cornerRadius = cornerRadius;
+            if (useCrop) {
+                payload.crop = {
+                    x: imageForm.cropX, y: imageForm.cropY, width: imageForm.cropWidth, height: imageForm.cropHeight
+                };
             }
+            const filters = {};
+            if (grayscale > 0) filters.grayscale = grayscale;
+            if (brightness !== 1) filters.brightness = brightness;
+            if (contrast !== 1) filters.contrast = contrast;
+            if (blur > 0) filters.blur = blur;
+            if (Object.keys(filters).length > 0) payload.filters = filters;
+
+            await axios.post(`${API_URL}/${canvasId}/add/image${pageQuery}`, payload);
+            showToast('Image added!', 'success');
+            await refreshPreview();
+        } catch (error) {
+            showToast(apiErrorMessage(error, 'Failed to add image'), 'error');
+        } finally {
+            setLoading(false);
         }
-        setCanvasId(null);
-        setPreviewUrl(null);
-        setElements([]);
-        showToast('Canvas reset', 'info');
     };
 
-    return (
-        <div className="app">
-            {/* Header */}
-            <header className="app-header">
-                <h1>🎨 Canvas Builder</h1>
-                <p>Create shapes, text, and images, then export as PDF</p>
-            </header>
+    // Store an image in the asset library so any canvas can reuse it
+    const uploadAsset = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
 
-            {/* Main Content */}
-            <main className="main-content">
-                {/* Controls Panel */}
-                <aside className="controls-panel">
-                    {/* Canvas Initialization */}
-                    <div className="card">
-                        <div className="card-header">
-                            <div className="card-icon">📐</div>
-                            <h2 className="card-title">Canvas Settings</h2>
-                        </div>
+        setLoading(true);
+        try {
+            const formData = new FormData();
+            formData.append('image', file);
+            const res = await axios.post(ASSETS_URL, formData);
 
-                        <div className="form-row">
-                            <div className="form-group">
-                                <label className="form-label">Width (px)</label>
-                                <input
-                                    type="number"
-                                    className="form-input"
-                                    value={dimensions.width}
-                                    onChange={e => setDimensions({ ...dimensions, width: parseInt(e.target.value) || 0 })}
-                                    min="100"
-                                    max="5000"
-                                />
-                            </div>
-                            <div className="form-group">
-                                <label className="form-label">Height (px)</label>
-                                <input
-                                    type="number"
-                                    className="form-input"
-                                    value={dimensions.height}
-                                    onChange={e => setDimensions({ ...dimensions, height: parseInt(e.target.value) || 0 })}
-                                    min="100"
-                                    max="5000"
-                                />
-                            </div>
-                        </div>
+            await fetchAssets();
+            showToast(res.data.duplicate ? 'Image is already in the library' : 'Image added to the library!', 'success');
+        } catch (error) {
+            showToast(apiErrorMessage(error, 'Failed to upload image'), 'error');
+            console.error(error);
+        } finally {
+            setLoading(false);
+        }
+    };
 
-                        <button
-                            className="btn btn-primary btn-block"
-                            onClick={initCanvas}
-                            disabled={loading}
-                        >
-                            {loading ? <span className="spinner"></span> : '✨'}
-                            {canvasId ? 'Reinitialize Canvas' : 'Initialize Canvas'}
-                        </button>
-                    </div>
+    // Short position summary for the elements list
+    const describeElement = (el) => {
+        switch (el.type) {
+            case 'text':
+                return `"${el.text}"`;
+            case 'image':
+                return el.assetId ? 'Library image' : 'External image';
+            case 'line':
+            case 'arrow':
+                return `(${el.x1}, ${el.y1}) → (${el.x2}, ${el.y2})`;
+            case 'polygon':
+                return `${el.points.length} points`;
+            case 'group':
+                return `${el.name ? `${el.name} · ` : ''}${el.children.length} elements`;
+            default:
+                return `(${el.x}, ${el.y})`;
+        }
+    };
 
-                    {/* Element Addition Cards */}
-                    <div className="card">
-                        <div className="card-header">
-                            <div className="card-icon">🔷</div>
-                            <h2 className="card-title">Add Elements</h2>
-                        </div>
+    // Drop ticks on elements that are gone (deleted, undone, or switched page)
+    useEffect(() => {
+        const ids = new Set();
+        const collect = (list) => list.forEach(el => {
+            ids.add(el.id);
+            if (el.type === 'group') collect(el.children);
+        });
+        collect(elements);
+        setSelectedIds(prev => (prev.every(id => ids.has(id)) ? prev : prev.filter(id => ids.has(id))));
+    }, [elements]);
 
-                        {/* Tabs */}
-                        <div className="tabs">
-                            <button
-                                className={`tab ${activeTab === 'rectangle' ? 'active' : ''}`}
-                                onClick={() => setActiveTab('rectangle')}
-                            >
-                                Rectangle
-                            </button>
-                            <button
-                                className={`tab ${activeTab === 'circle' ? 'active' : ''}`}
-                                onClick={() => setActiveTab('circle')}
-                            >
-                                Circle
-                            </button>
-                            <button
-                                className={`tab ${activeTab === 'text' ? 'active' : ''}`}
-                                onClick={() => setActiveTab('text')}
-                            >
-                                Text
-                            </button>
-                            <button
-                                className={`tab ${activeTab === 'image' ? 'active' : ''}`}
-                                onClick={() => setActiveTab('image')}
-                            >
-                                Image
-                            </button>
-                        </div>
+    // Forget the active layer once it is gone (e.g. another canvas was imported)
+    useEffect(() => {
+        if (activeLayerId && !layers.some(layer => layer.id === activeLayerId)) {
+            setActiveLayerId(null);
+        }
+    }, [layers, activeLayerId]);
 
-                        {/* Rectangle Form */}
-                        {activeTab === 'rectangle' && (
-                            <div>
-                                <div className="form-row">
-                                    <div className="form-group">
-                                        <label className="form-label">X Position</label>
-                                        <input
-                                            type="number"
-                                            className="form-input"
-                                            value={rectForm.x}
-                                            onChange={e => setRectForm({ ...rectForm, x: parseInt(e.target.value) || 0 })}
-                                        />
-                                    </div>
-                                    <div className="form-group">
-                                        <label className="form-label">Y Position</label>
-                                        <input
-                                            type="number"
-                                            className="form-input"
-                                            value={rectForm.y}
-                                            onChange={e => setRectForm({ ...rectForm, y: parseInt(e.target.value) || 0 })}
-                                        />
+    const addLayer = async () => {
+        if (!canvasId) return;
+        setLoading(true);
+        try {
+            const res = await axios.post(`${API_URL}/${canvasId}/layers`, newLayerName.trim() ? { name: newLayerName.trim() } : {});
+            setActiveLayerId(res.data.layer.id);
+            setNewLayerName('');
+            await refreshPreview();
+        } catch (error) {
+            showToast(apiErrorMessage(error, 'Failed to add layer'), 'error');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // Rename, show/hide or lock/unlock a layer
+    const updateLayer = async (layerId, changes) => {
+        if (!canvasId) return;
+        setLoading(true);
+        try {
+            await axios.patch(`${API_URL}/${canvasId}/layers/${layerId}`, changes);
+            await refreshPreview();
+        } catch (error) {
+            showToast(apiErrorMessage(error, 'Failed to update layer'), 'error');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const moveLayer = async (layerId, index) => {
+        if (!canvasId) return;
+        setLoading(true);
+        try {
+            await axios.post(`${API_URL}/${canvasId}/layers/${layerId}/move`, { index });
+            await refreshPreview();
+        } catch (error) {
+            showToast(apiErrorMessage(error, 'Failed to move layer'), 'error');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // Prompted rename - empty or unchanged names are ignored
+    const renameLayer = (layer) => {
+        const name = window.prompt('Layer name', layer.name);
+        if (name && name.trim() && name.trim() !== layer.name) {
+            updateLayer(layer.id, { name: name.trim() });
+        }
+    };
+
+    // Top-level elements without a layerId are on the bottom layer
+    const layerName = (el) => (layers.find(layer => layer.id === el.layerId) || layers[0])?.name;
+
+    const toggleSelected = (id) => {
+        setSelectedIds(prev => (prev.includes(id) ? prev.filter(other => other !== id) : [...prev, id]));
+    };
+
+    const toggleCollapsed = (id) => {
+        setCollapsedGroups(prev => ({ ...prev, [id]: !prev[id] }));
+    };
+
+    // Send the element updates of one stage gesture as a single batch, so a multi-element move
+    // applies and undoes as a whole
+    const commitStageChanges = async (updates) => {
+        try {
+            await axios.post(`${API_URL}/${canvasId}/batch`, {
+                operations: updates.map(({ id, changes }) => ({ op: 'update', elementId: id, changes }))
+            });
+        } catch (error) {
+            showToast(apiErrorMessage(error, 'Failed to update element'), 'error');
+        } finally {
+            await refreshPreview();
+        }
+    };
+
+    // Group the ticked elements - they must share a parent
+    const groupSelected = async () => {
+        if (!canvasId || selectedIds.length === 0) return;
+        setLoading(true);
+        try {
+            await axios.post(`${API_URL}/${canvasId}/group`, { elementIds: selectedIds });
+            setSelectedIds([]);
+            await refreshPreview();
+            showToast('Elements grouped!', 'success');
+        } catch (error) {
+            showToast(apiErrorMessage(error, 'Failed to group elements'), 'error');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // Dissolve the ticked groups, selecting what they held
+    const ungroupSelected = async () => {
+        if (!canvasId || selectedIds.length === 0) return;
+        setLoading(true);
+        try {
+            const res = await axios.post(`${API_URL}/${canvasId}/ungroup`, { elementIds: selectedIds });
+            setSelectedIds(res.data.elementIds);
+            await refreshPreview();
+            showToast('Elements ungrouped!', 'success');
+        } catch (error) {
+            showToast(apiErrorMessage(error, 'Failed to ungroup elements'), 'error');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // One row per element; group children are nested below their group
+    const renderElementTree = (list, nested = false) => list.map((el) => {
+        // Layers are only worth labelling once there is more than one
+        const showLayer = !nested && layers.length > 1;
+        return (
+            <div key={el.id}>
+                <div className="element-item">
+                    <input
+                        type="checkbox"
+                        checked={selectedIds.includes(el.id)}
+                        onChange={() => toggleSelected(el.id)}
+                    />
+                    {el.type === 'group' && (
+                        <button className="tree-toggle" onClick={() => toggleCollapsed(el.id)}>
+                            {collapsedGroups[el.id] ? '▸' : '▾'}
+                        </button>
+                    )}
+                    <span className={`element-badge ${el.type}`}>{el.type}</span>
+                    <span style={{ color: 'var(--text-secondary)', fontSize: '0.85rem' }}>
+                        {describeElement(el)}
+                    </span>
+                    {showLayer && <span className="element-layer">{layerName(el)}</span>}
+                    {el.type !== 'group' && (
+                        <span
+                            style={{
+                                marginLeft: showLayer ? 0 : 'auto',
+                                width: 16,
+                                height: 16,
+                                borderRadius: 4,
+                                background: el.color || '#ccc',
+                                border: '1px solid var(--border-color)'
+                            }}
+                        />
+                    )}
+                </div>
+                {el.type === 'group' && !collapsedGroups[el.id] && (
+                    <div className="element-children">{renderElementTree(el.children, true)}</div>
+                )}
+            </div>
+        );
+    });
+
+    // Add a page after the current one and switch to it
+    const addPage = async () => {
+        if (!canvasId) return;
+        setLoading(true);
+        try {
+            const res = await axios.post(`${API_URL}/${canvasId}/pages`, { index: activePageIndex + 1 });
+            setCurrentPageId(res.data.page.id);
+            showToast('Page added!', 'success');
+        } catch (error) {
+            showToast(apiErrorMessage(error, 'Failed to add page'), 'error');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // Remove the current page
+    const deletePage = async () => {
+        if (!canvasId || !activePageId) return;
+        setLoading(true);
+        try {
+            await axios.delete(`${API_URL}/${canvasId}/pages/${activePageId}`);
+            const next = pages[activePageIndex + 1] || pages[activePageIndex - 1];
+            setCurrentPageId(next ? next.id : null);
+            showToast('Page deleted', 'info');
+        } catch (error) {
+            showToast(apiErrorMessage(error, 'Failed to delete page'), 'error');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // Move the current page one step left (-1) or right (+1)
+    const movePage = async (offset) => {
+        if (!canvasId || !activePageId) return;
+        setLoading(true);
+        try {
+            await axios.post(`${API_URL}/${canvasId}/pages/${activePageId}/move`, { index: activePageIndex + offset });
+            await refreshPreview();
+        } catch (error) {
+            showToast(apiErrorMessage(error, 'Failed to move page'), 'error');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // Undo / redo the last change
+    const changeHistory = useCallback(async (direction) => {
+        if (!canvasId) return;
+        setLoading(true);
+        try {
+            const res = await axios.post(`${API_URL}/${canvasId}/${direction}`);
+            const entry = res.data.undone || res.data.redone;
+            showToast(`${direction === 'undo' ? 'Undid' : 'Redid'} ${entry.action}`, 'info');
+            await refreshPreview();
+        } catch (error) {
+            showToast(apiErrorMessage(error, `Failed to ${direction}`), 'error');
+        } finally {
+            setLoading(false);
+        }
+    }, [canvasId, refreshPreview, showToast]);
+
+    // Keyboard shortcuts: Ctrl+Z to undo, Ctrl+Shift+Z to redo
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+
+            // Leave native undo alone while typing in a form field
+            const tag = e.target.tagName;
+            if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
+
+            e.preventDefault();
+            changeHistory(e.shiftKey ? 'redo' : 'undo');
+        };
+
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [changeHistory]);
+
+    // Download an export (pdf / svg / json) - same-origin request via Vite proxy
+    const downloadExport = async (format) => {
+        if (!canvasId) {
+            showToast('Please initialize canvas first', 'error');
+            return;
+        }
+        setLoading(true);
+        showToast(`Generating ${format.toUpperCase()}...`, 'info');
+
+        try {
+            const response = await fetch(`${API_URL}/${canvasId}/export/${format}`);
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const blob = await response.blob();
+            const url = URL.createObjectURL(blob);
+            const filename = `canvas-${canvasId.substring(0, 8)}.${format}`;
+
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = filename;
+            a.click();
+
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+            showToast(`${format.toUpperCase()} downloaded successfully!`, 'success');
+        } catch (error) {
+            console.error(`${format.toUpperCase()} export error:`, error);
+            showToast(`Failed to export ${format.toUpperCase()}`, 'error');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // Import a canvas from an exported JSON document
+    const importCanvas = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        setLoading(true);
+        try {
+            const doc = JSON.parse(await file.text());
+            const res = await axios.post(`${API_URL}/import`, doc);
+
+            setCanvasId(res.data.id);
+            setCurrentPageId(null);
+            setHistoryState({ canUndo: false, canRedo: false });
+            showToast('Canvas imported successfully!', 'success');
+        } catch (error) {
+            showToast(apiErrorMessage(error, 'Failed to import canvas'), 'error');
+            console.error(error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // Upload a TTF/OTF font and select it for new text
+    const uploadFont = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        setLoading(true);
+        try {
+            const formData = new FormData();
+            formData.append('font', file);
+            const res = await axios.post(FONTS_URL, formData);
+
+            await fetchFonts();
+            setTextForm(form => ({ ...form, fontFamily: res.data.font.family }));
+            showToast(`Font "${res.data.font.family}" uploaded!`, 'success');
+        } catch (error) {
+            showToast(apiErrorMessage(error, 'Failed to upload font'), 'error');
+            console.error(error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // Forget the current canvas
+    const clearCanvas = useCallback(() => {
+        setCanvasId(null);
+        setStageSvg(null);
+        setElements([]);
+        setSelectedIds([]);
+        setLayers([]);
+        setPages([]);
+        setCurrentPageId(null);
+        setHistoryState({ canUndo: false, canRedo: false });
+    }, []);
+
+    // Reset canvas
+    const resetCanvas = async () => {
+        if (canvasId) {
+            // Our own delete shouldn't come back as a "deleted elsewhere" event
+            eventsRef.current?.close();
+            try {
+                await axios.delete(`${API_URL}/${canvasId}`);
+            } catch (error) {
+                console.error('Error deleting canvas:', error);
+            }
+        }
+        clearCanvas();
+        showToast('Canvas reset', 'info');
+    };
+
+    // Open an existing canvas by ID, e.g. one a teammate is editing
+    const openCanvas = async () => {
+        const id = openCanvasId.trim();
+        if (!id) return;
+
+        setLoading(true);
+        try {
+            await axios.get(`${API_URL}/${id}/info`);
+            setCanvasId(id);
+            setCurrentPageId(null);
+            setSelectedIds([]);
+            setOpenCanvasId('');
+            showToast('Canvas opened', 'success');
+        } catch (error) {
+            showToast(apiErrorMessage(error, 'Failed to open canvas'), 'error');
+            console.error(error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // Follow changes made by anyone editing this canvas; our own changes already refreshed
+    // the preview, so only events for a newer revision trigger a reload
+    useEffect(() => {
+        if (!canvasId) return undefined;
+
+        const source = new EventSource(`${API_URL}/${canvasId}/events`);
+        eventsRef.current = source;
+        setLiveStatus('connecting');
+
+        source.onopen = () => setLiveStatus('live');
+        // EventSource reconnects by itself unless the server refused the stream
+        source.onerror = () => setLiveStatus(source.readyState === EventSource.CLOSED ? 'offline' : 'connecting');
+        source.onmessage = (message) => {
+            const event = JSON.parse(message.data);
+            if (event.type === 'canvas.deleted') {
+                source.close();
+                setLiveStatus('offline');
+                clearCanvas();
+                showToast('This canvas was deleted', 'error');
+                return;
+            }
+            if (event.revision > revisionRef.current) {
+                refreshRef.current?.();
+            }
+        };
+
+        return () => {
+            source.close();
+            setLiveStatus('offline');
+        };
+    }, [canvasId, clearCanvas, showToast]);
+
+    return (
+        <div className="app">
+            {/* Header */}
+            <header className="app-header">
+                <h1>🎨 Canvas Builder</h1>
+                <p>Create shapes, text, and images, then export as PDF</p>
+            </header>
+
+            {/* Main Content */}
+            <main className="main-content">
+                {/* Controls Panel */}
+                <aside className="controls-panel">
+                    {/* Canvas Initialization */}
+                    <div className="card">
+                        <div className="card-header">
+                            <div className="card-icon">📐</div>
+                            <h2 className="card-title">Canvas Settings</h2>
+                        </div>
+
+                        <div className="form-row">
+                            <div className="form-group">
+                                <label className="form-label">Width (px)</label>
+                                <input
+                                    type="number"
+                                    className="form-input"
+                                    value={dimensions.width}
+                                    onChange={e => setDimensions({ ...dimensions, width: parseInt(e.target.value) || 0 })}
+                                    min="100"
+                                    max="5000"
+                                />
+                            </div>
+                            <div className="form-group">
+                                <label className="form-label">Height (px)</label>
+                                <input
+                                    type="number"
+                                    className="form-input"
+                                    value={dimensions.height}
+                                    onChange={e => setDimensions({ ...dimensions, height: parseInt(e.target.value) || 0 })}
+                                    min="100"
+                                    max="5000"
+                                />
+                            </div>
+                        </div>
+
+                        <div className="form-row">
+                            <div className="form-group">
+                                <label className="form-label">Background</label>
+                                <select
+                                    className="form-input"
+                                    value={backgroundForm.kind}
+                                    onChange={e => setBackgroundForm({ ...backgroundForm, kind: e.target.value })}
+                                >
+                                    <option value="color">Solid color</option>
+                                    <option value="gradient">Gradient</option>
+                                    <option value="image">Library image</option>
+                                    <option value="transparent">Transparent</option>
+                                </select>
+                            </div>
+                            {backgroundForm.kind !== 'transparent' && (
+                                <div className="form-group">
+                                    <label className="form-label">{backgroundForm.kind === 'gradient' ? 'Colors' : 'Color'}</label>
+                                    <div className="color-picker-wrapper">
+                                        <input
+                                            type="color"
+                                            value={backgroundForm.color}
+                                            onChange={e => setBackgroundForm({ ...backgroundForm, color: e.target.value })}
+                                        />
+                                        {backgroundForm.kind === 'gradient' && (
+                                            <input
+                                                type="color"
+                                                value={backgroundForm.color2}
+                                                onChange={e => setBackgroundForm({ ...backgroundForm, color2: e.target.value })}
+                                            />
+                                        )}
+                                    </div>
+                                </div>
+                            )}
+                        </div>
+
+                        {backgroundForm.kind === 'image' && (
+                            <div className="form-row">
+                                <div className="form-group">
+                                    <label className="form-label">Image</label>
+                                    <select
+                                        className="form-input"
+                                        value={backgroundForm.assetId}
+                                        onChange={e => setBackgroundForm({ ...backgroundForm, assetId: e.target.value })}
+                                    >
+                                        <option value="">Choose from library…</option>
+                                        {assets.map(asset => (
+                                            <option key={asset.id} value={asset.id}>{asset.filename || asset.id}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                                <div className="form-group">
+                                    <label className="form-label">Fit</label>
+                                    <select
+                                        className="form-input"
+                                        value={backgroundForm.fit}
+                                        onChange={e => setBackgroundForm({ ...backgroundForm, fit: e.target.value })}
+                                    >
+                                        <option value="cover">Cover</option>
+                                        <option value="contain">Contain</option>
+                                        <option value="fill">Stretch</option>
+                                        <option value="none">Original size</option>
+                                    </select>
+                                </div>
+                            </div>
+                        )}
+
+                        {canvasId && (
+                            <button
+                                className="btn btn-secondary btn-block"
+                                onClick={applyBackground}
+                                disabled={loading}
+                                style={{ marginBottom: '0.75rem' }}
+                            >
+                                🖌 Apply Background
+                            </button>
+                        )}
+
+                        <button
+                            className="btn btn-primary btn-block"
+                            onClick={initCanvas}
+                            disabled={loading}
+                        >
+                            {loading ? <span className="spinner"></span> : '✨'}
+                            {canvasId ? 'Reinitialize Canvas' : 'Initialize Canvas'}
+                        </button>
+
+                        <div className="form-row" style={{ marginTop: '0.75rem' }}>
+                            <input
+                                type="text"
+                                className="form-input"
+                                placeholder="Canvas ID to open"
+                                value={openCanvasId}
+                                onChange={(e) => setOpenCanvasId(e.target.value)}
+                            />
+                            <button className="btn btn-secondary" onClick={openCanvas} disabled={loading || !openCanvasId.trim()}>
+                                🔗 Open
+                            </button>
+                        </div>
+                        {canvasId && (
+                            <p className="canvas-id">
+                                ID: <code>{canvasId}</code> - share it to edit together
+                            </p>
+                        )}
+                    </div>
+
+                    {/* Element Addition Cards */}
+                    <div className="card">
+                        <div className="card-header">
+                            <div className="card-icon">🔷</div>
+                            <h2 className="card-title">Add Elements</h2>
+                        </div>
+
+                        {/* Tabs */}
+                        <div className="tabs">
+                            <button
+                                className={`tab ${activeTab === 'rectangle' ? 'active' : ''}`}
+                                onClick={() => setActiveTab('rectangle')}
+                            >
+                                Rectangle
+                            </button>
+                            <button
+                                className={`tab ${activeTab === 'circle' ? 'active' : ''}`}
+                                onClick={() => setActiveTab('circle')}
+                            >
+                                Circle
+                            </button>
+                            <button
+                                className={`tab ${activeTab === 'ellipse' ? 'active' : ''}`}
+                                onClick={() => setActiveTab('ellipse')}
+                            >
+                                Ellipse
+                            </button>
+                            <button
+                                className={`tab ${activeTab === 'line' ? 'active' : ''}`}
+                                onClick={() => setActiveTab('line')}
+                            >
+                                Line
+                            </button>
+                            <button
+                                className={`tab ${activeTab === 'arrow' ? 'active' : ''}`}
+                                onClick={() => setActiveTab('arrow')}
+                            >
+                                Arrow
+                            </button>
+                            <button
+                                className={`tab ${activeTab === 'polygon' ? 'active' : ''}`}
+                                onClick={() => setActiveTab('polygon')}
+                            >
+                                Polygon
+                            </button>
+                            <button
+                                className={`tab ${activeTab === 'path' ? 'active' : ''}`}
+                                onClick={() => setActiveTab('path')}
+                            >
+                                Path
+                            </button>
+                            <button
+                                className={`tab ${activeTab === 'text' ? 'active' : ''}`}
+                                onClick={() => setActiveTab('text')}
+                            >
+                                Text
+                            </button>
+                            <button
+                                className={`tab ${activeTab === 'image' ? 'active' : ''}`}
+                                onClick={() => setActiveTab('image')}
+                            >
+                                Image
+                            </button>
+                        </div>
+
+                        {/* Rectangle Form */}
+                        {activeTab === 'rectangle' && (
+                            <div>
+                                <div className="form-row">
+                                    <div className="form-group">
+                                        <label className="form-label">X Position</label>
+                                        <input
+                                            type="number"
+                                            className="form-input"
+                                            value={rectForm.x}
+                                            onChange={e => setRectForm({ ...rectForm, x: parseInt(e.target.value) || 0 })}
+                                        />
+                                    </div>
+                                    <div className="form-group">
+                                        <label className="form-label">Y Position</label>
+                                        <input
+                                            type="number"
+                                            className="form-input"
+                                            value={rectForm.y}
+                                            onChange={e => setRectForm({ ...rectForm, y: parseInt(e.target.value) || 0 })}
+                                        />
+                                    </div>
+                                </div>
+                                <div className="form-row">
+                                    <div className="form-group">
+                                        <label className="form-label">Width</label>
+                                        <input
+                                            type="number"
+                                            className="form-input"
+                                            value={rectForm.width}
+                                            onChange={e => setRectForm({ ...rectForm, width: parseInt(e.target.value) || 0 })}
+                                        />
+                                    </div>
+                                    <div className="form-group">
+                                        <label className="form-label">Height</label>
+                                        <input
+                                            type="number"
+                                            className="form-input"
+                                            value={rectForm.height}
+                                            onChange={e => setRectForm({ ...rectForm, height: parseInt(e.target.value) || 0 })}
+                                        />
+                                    </div>
+                                </div>
+                                <div className="form-group">
+                                    <label className="form-label">Corner Radius</label>
+                                    <input
+                                        type="number"
+                                        className="form-input"
+                                        min="0"
+                                        value={rectForm.cornerRadius}
+                                        onChange={e => setRectForm({ ...rectForm, cornerRadius: parseInt(e.target.value) || 0 })}
+                                    />
+                                </div>
+                                <div className="form-group">
+                                    <label className="form-label">Color</label>
+                                    <div className="color-picker-wrapper">
+                                        <input
+                                            type="color"
+                                            value={rectForm.color}
+                                            onChange={e => setRectForm({ ...rectForm, color: e.target.value })}
+                                        />
+                                        <input
+                                            type="text"
+                                            className="form-input"
+                                            value={rectForm.color}
+                                            onChange={e => setRectForm({ ...rectForm, color: e.target.value })}
+                                            style={{ flex: 1 }}
+                                        />
+                                    </div>
+                                </div>
+                                <div className="form-group">
+                                    <label className="form-checkbox">
+                                        <input
+                                            type="checkbox"
+                                            checked={rectForm.isFilled}
+                                            onChange={e => setRectForm({ ...rectForm, isFilled: e.target.checked })}
+                                        />
+                                        <span>Fill shape</span>
+                                    </label>
+                                </div>
+                                <button
+                                    className="btn btn-success btn-block"
+                                    onClick={addRectangle}
+                                    disabled={loading || !canvasId}
+                                >
+                                    Add Rectangle
+                                </button>
+                            </div>
+                        )}
+
+                        {/* Circle Form */}
+                        {activeTab === 'circle' && (
+                            <div>
+                                <div className="form-row">
+                                    <div className="form-group">
+                                        <label className="form-label">X Position (Center)</label>
+                                        <input
+                                            type="number"
+                                            className="form-input"
+                                            value={circleForm.x}
+                                            onChange={e => setCircleForm({ ...circleForm, x: parseInt(e.target.value) || 0 })}
+                                        />
+                                    </div>
+                                    <div className="form-group">
+                                        <label className="form-label">Y Position (Center)</label>
+                                        <input
+                                            type="number"
+                                            className="form-input"
+                                            value={circleForm.y}
+                                            onChange={e => setCircleForm({ ...circleForm, y: parseInt(e.target.value) || 0 })}
+                                        />
+                                    </div>
+                                </div>
+                                <div className="form-group">
+                                    <label className="form-label">Radius</label>
+                                    <input
+                                        type="number"
+                                        className="form-input"
+                                        value={circleForm.radius}
+                                        onChange={e => setCircleForm({ ...circleForm, radius: parseInt(e.target.value) || 0 })}
+                                    />
+                                </div>
+                                <div className="form-group">
+                                    <label className="form-label">Color</label>
+                                    <div className="color-picker-wrapper">
+                                        <input
+                                            type="color"
+                                            value={circleForm.color}
+                                            onChange={e => setCircleForm({ ...circleForm, color: e.target.value })}
+                                        />
+                                        <input
+                                            type="text"
+                                            className="form-input"
+                                            value={circleForm.color}
+                                            onChange={e => setCircleForm({ ...circleForm, color: e.target.value })}
+                                            style={{ flex: 1 }}
+                                        />
+                                    </div>
+                                </div>
+                                <div className="form-group">
+                                    <label className="form-checkbox">
+                                        <input
+                                            type="checkbox"
+                                            checked={circleForm.isFilled}
+                                            onChange={e => setCircleForm({ ...circleForm, isFilled: e.target.checked })}
+                                        />
+                                        <span>Fill shape</span>
+                                    </label>
+                                </div>
+                                <button
+                                    className="btn btn-success btn-block"
+                                    onClick={addCircle}
+                                    disabled={loading || !canvasId}
+                                >
+                                    Add Circle
+                                </button>
+                            </div>
+                        )}
+
+                        {/* Ellipse Form */}
+                        {activeTab === 'ellipse' && (
+                            <div>
+                                <div className="form-row">
+                                    <div className="form-group">
+                                        <label className="form-label">X Position (Center)</label>
+                                        <input
+                                            type="number"
+                                            className="form-input"
+                                            value={ellipseForm.x}
+                                            onChange={e => setEllipseForm({ ...ellipseForm, x: parseInt(e.target.value) || 0 })}
+                                        />
+                                    </div>
+                                    <div className="form-group">
+                                        <label className="form-label">Y Position (Center)</label>
+                                        <input
+                                            type="number"
+                                            className="form-input"
+                                            value={ellipseForm.y}
+                                            onChange={e => setEllipseForm({ ...ellipseForm, y: parseInt(e.target.value) || 0 })}
+                                        />
+                                    </div>
+                                </div>
+                                <div className="form-row">
+                                    <div className="form-group">
+                                        <label className="form-label">Radius X</label>
+                                        <input
+                                            type="number"
+                                            className="form-input"
+                                            value={ellipseForm.radiusX}
+                                            onChange={e => setEllipseForm({ ...ellipseForm, radiusX: parseInt(e.target.value) || 0 })}
+                                        />
+                                    </div>
+                                    <div className="form-group">
+                                        <label className="form-label">Radius Y</label>
+                                        <input
+                                            type="number"
+                                            className="form-input"
+                                            value={ellipseForm.radiusY}
+                                            onChange={e => setEllipseForm({ ...ellipseForm, radiusY: parseInt(e.target.value) || 0 })}
+                                        />
+                                    </div>
+                                </div>
+                                <div className="form-group">
+                                    <label className="form-label">Color</label>
+                                    <div className="color-picker-wrapper">
+                                        <input
+                                            type="color"
+                                            value={ellipseForm.color}
+                                            onChange={e => setEllipseForm({ ...ellipseForm, color: e.target.value })}
+                                        />
+                                        <input
+                                            type="text"
+                                            className="form-input"
+                                            value={ellipseForm.color}
+                                            onChange={e => setEllipseForm({ ...ellipseForm, color: e.target.value })}
+                                            style={{ flex: 1 }}
+                                        />
+                                    </div>
+                                </div>
+                                <div className="form-group">
+                                    <label className="form-checkbox">
+                                        <input
+                                            type="checkbox"
+                                            checked={ellipseForm.isFilled}
+                                            onChange={e => setEllipseForm({ ...ellipseForm, isFilled: e.target.checked })}
+                                        />
+                                        <span>Fill shape</span>
+                                    </label>
+                                </div>
+                                <button
+                                    className="btn btn-success btn-block"
+                                    onClick={addEllipse}
+                                    disabled={loading || !canvasId}
+                                >
+                                    Add Ellipse
+                                </button>
+                            </div>
+                        )}
+
+                        {/* Line Form */}
+                        {activeTab === 'line' && (
+                            <div>
+                                <div className="form-row">
+                                    <div className="form-group">
+                                        <label className="form-label">Start X</label>
+                                        <input
+                                            type="number"
+                                            className="form-input"
+                                            value={lineForm.x1}
+                                            onChange={e => setLineForm({ ...lineForm, x1: parseInt(e.target.value) || 0 })}
+                                        />
+                                    </div>
+                                    <div className="form-group">
+                                        <label className="form-label">Start Y</label>
+                                        <input
+                                            type="number"
+                                            className="form-input"
+                                            value={lineForm.y1}
+                                            onChange={e => setLineForm({ ...lineForm, y1: parseInt(e.target.value) || 0 })}
+                                        />
+                                    </div>
+                                </div>
+                                <div className="form-row">
+                                    <div className="form-group">
+                                        <label className="form-label">End X</label>
+                                        <input
+                                            type="number"
+                                            className="form-input"
+                                            value={lineForm.x2}
+                                            onChange={e => setLineForm({ ...lineForm, x2: parseInt(e.target.value) || 0 })}
+                                        />
+                                    </div>
+                                    <div className="form-group">
+                                        <label className="form-label">End Y</label>
+                                        <input
+                                            type="number"
+                                            className="form-input"
+                                            value={lineForm.y2}
+                                            onChange={e => setLineForm({ ...lineForm, y2: parseInt(e.target.value) || 0 })}
+                                        />
+                                    </div>
+                                </div>
+                                <div className="form-group">
+                                    <label className="form-label">Color</label>
+                                    <div className="color-picker-wrapper">
+                                        <input
+                                            type="color"
+                                            value={lineForm.color}
+                                            onChange={e => setLineForm({ ...lineForm, color: e.target.value })}
+                                        />
+                                        <input
+                                            type="text"
+                                            className="form-input"
+                                            value={lineForm.color}
+                                            onChange={e => setLineForm({ ...lineForm, color: e.target.value })}
+                                            style={{ flex: 1 }}
+                                        />
                                     </div>
                                 </div>
+                                <button
+                                    className="btn btn-success btn-block"
+                                    onClick={addLine}
+                                    disabled={loading || !canvasId}
+                                >
+                                    Add Line
+                                </button>
+                            </div>
+                        )}
+
+                        {/* Arrow Form */}
+                        {activeTab === 'arrow' && (
+                            <div>
                                 <div className="form-row">
                                     <div className="form-group">
-                                        <label className="form-label">Width</label>
+                                        <label className="form-label">Tail X</label>
                                         <input
                                             type="number"
                                             className="form-input"
-                                            value={rectForm.width}
-                                            onChange={e => setRectForm({ ...rectForm, width: parseInt(e.target.value) || 0 })}
+                                            value={arrowForm.x1}
+                                            onChange={e => setArrowForm({ ...arrowForm, x1: parseInt(e.target.value) || 0 })}
                                         />
                                     </div>
                                     <div className="form-group">
-                                        <label className="form-label">Height</label>
+                                        <label className="form-label">Tail Y</label>
                                         <input
                                             type="number"
                                             className="form-input"
-                                            value={rectForm.height}
-                                            onChange={e => setRectForm({ ...rectForm, height: parseInt(e.target.value) || 0 })}
+                                            value={arrowForm.y1}
+                                            onChange={e => setArrowForm({ ...arrowForm, y1: parseInt(e.target.value) || 0 })}
+                                        />
+                                    </div>
+                                </div>
+                                <div className="form-row">
+                                    <div className="form-group">
+                                        <label className="form-label">Tip X</label>
+                                        <input
+                                            type="number"
+                                            className="form-input"
+                                            value={arrowForm.x2}
+                                            onChange={e => setArrowForm({ ...arrowForm, x2: parseInt(e.target.value) || 0 })}
+                                        />
+                                    </div>
+                                    <div className="form-group">
+                                        <label className="form-label">Tip Y</label>
+                                        <input
+                                            type="number"
+                                            className="form-input"
+                                            value={arrowForm.y2}
+                                            onChange={e => setArrowForm({ ...arrowForm, y2: parseInt(e.target.value) || 0 })}
                                         />
                                     </div>
                                 </div>
+                                <div className="form-group">
+                                    <label className="form-label">Head Size</label>
+                                    <input
+                                        type="number"
+                                        className="form-input"
+                                        value={arrowForm.headSize}
+                                        onChange={e => setArrowForm({ ...arrowForm, headSize: parseInt(e.target.value) || 12 })}
+                                    />
+                                </div>
                                 <div className="form-group">
                                     <label className="form-label">Color</label>
                                     <div className="color-picker-wrapper">
                                         <input
                                             type="color"
-                                            value={rectForm.color}
-                                            onChange={e => setRectForm({ ...rectForm, color: e.target.value })}
+                                            value={arrowForm.color}
+                                            onChange={e => setArrowForm({ ...arrowForm, color: e.target.value })}
                                         />
                                         <input
                                             type="text"
                                             className="form-input"
-                                            value={rectForm.color}
-                                            onChange={e => setRectForm({ ...rectForm, color: e.target.value })}
+                                            value={arrowForm.color}
+                                            onChange={e => setArrowForm({ ...arrowForm, color: e.target.value })}
+                                            style={{ flex: 1 }}
+                                        />
+                                    </div>
+                                </div>
+                                <button
+                                    className="btn btn-success btn-block"
+                                    onClick={addArrow}
+                                    disabled={loading || !canvasId}
+                                >
+                                    Add Arrow
+                                </button>
+                            </div>
+                        )}
+
+                        {/* Polygon Form */}
+                        {activeTab === 'polygon' && (
+                            <div>
+                                <div className="form-group">
+                                    <label className="form-label">Points (x,y pairs)</label>
+                                    <input
+                                        type="text"
+                                        className="form-input"
+                                        value={polygonForm.points}
+                                        onChange={e => setPolygonForm({ ...polygonForm, points: e.target.value })}
+                                        placeholder="100,50 150,150 50,150"
+                                    />
+                                </div>
+                                <div className="form-group">
+                                    <label className="form-label">Color</label>
+                                    <div className="color-picker-wrapper">
+                                        <input
+                                            type="color"
+                                            value={polygonForm.color}
+                                            onChange={e => setPolygonForm({ ...polygonForm, color: e.target.value })}
+                                        />
+                                        <input
+                                            type="text"
+                                            className="form-input"
+                                            value={polygonForm.color}
+                                            onChange={e => setPolygonForm({ ...polygonForm, color: e.target.value })}
                                             style={{ flex: 1 }}
                                         />
                                     </div>
@@ -355,102 +1589,325 @@ function App() {
                                     <label className="form-checkbox">
                                         <input
                                             type="checkbox"
-                                            checked={rectForm.isFilled}
-                                            onChange={e => setRectForm({ ...rectForm, isFilled: e.target.checked })}
+                                            checked={polygonForm.isFilled}
+                                            onChange={e => setPolygonForm({ ...polygonForm, isFilled: e.target.checked })}
                                         />
                                         <span>Fill shape</span>
                                     </label>
                                 </div>
                                 <button
                                     className="btn btn-success btn-block"
-                                    onClick={addRectangle}
+                                    onClick={addPolygon}
                                     disabled={loading || !canvasId}
                                 >
-                                    Add Rectangle
+                                    Add Polygon
                                 </button>
                             </div>
                         )}
 
-                        {/* Circle Form */}
-                        {activeTab === 'circle' && (
+                        {/* Path Form */}
+                        {activeTab === 'path' && (
                             <div>
+                                <div className="form-group">
+                                    <label className="form-label">Path Data (SVG d)</label>
+                                    <input
+                                        type="text"
+                                        className="form-input"
+                                        value={pathForm.d}
+                                        onChange={e => setPathForm({ ...pathForm, d: e.target.value })}
+                                        placeholder="M 0 0 L 100 50 Z"
+                                    />
+                                </div>
                                 <div className="form-row">
                                     <div className="form-group">
-                                        <label className="form-label">X Position (Center)</label>
+                                        <label className="form-label">X Offset</label>
                                         <input
                                             type="number"
                                             className="form-input"
-                                            value={circleForm.x}
-                                            onChange={e => setCircleForm({ ...circleForm, x: parseInt(e.target.value) || 0 })}
+                                            value={pathForm.x}
+                                            onChange={e => setPathForm({ ...pathForm, x: parseInt(e.target.value) || 0 })}
                                         />
                                     </div>
                                     <div className="form-group">
-                                        <label className="form-label">Y Position (Center)</label>
+                                        <label className="form-label">Y Offset</label>
                                         <input
                                             type="number"
                                             className="form-input"
-                                            value={circleForm.y}
-                                            onChange={e => setCircleForm({ ...circleForm, y: parseInt(e.target.value) || 0 })}
+                                            value={pathForm.y}
+                                            onChange={e => setPathForm({ ...pathForm, y: parseInt(e.target.value) || 0 })}
                                         />
                                     </div>
                                 </div>
                                 <div className="form-group">
-                                    <label className="form-label">Radius</label>
-                                    <input
-                                        type="number"
+                                    <label className="form-label">Color</label>
+                                    <div className="color-picker-wrapper">
+                                        <input
+                                            type="color"
+                                            value={pathForm.color}
+                                            onChange={e => setPathForm({ ...pathForm, color: e.target.value })}
+                                        />
+                                        <input
+                                            type="text"
+                                            className="form-input"
+                                            value={pathForm.color}
+                                            onChange={e => setPathForm({ ...pathForm, color: e.target.value })}
+                                            style={{ flex: 1 }}
+                                        />
+                                    </div>
+                                </div>
+                                <div className="form-group">
+                                    <label className="form-checkbox">
+                                        <input
+                                            type="checkbox"
+                                            checked={pathForm.isFilled}
+                                            onChange={e => setPathForm({ ...pathForm, isFilled: e.target.checked })}
+                                        />
+                                        <span>Fill shape</span>
+                                    </label>
+                                </div>
+                                <button
+                                    className="btn btn-success btn-block"
+                                    onClick={addPath}
+                                    disabled={loading || !canvasId}
+                                >
+                                    Add Path
+                                </button>
+                            </div>
+                        )}
+
+                        {/* Text Form */}
+                        {activeTab === 'text' && (
+                            <div>
+                                <div className="form-group">
+                                    <label className="form-label">Text Content</label>
+                                    <textarea
                                         className="form-input"
-                                        value={circleForm.radius}
-                                        onChange={e => setCircleForm({ ...circleForm, radius: parseInt(e.target.value) || 0 })}
+                                        rows={3}
+                                        value={textForm.text}
+                                        onChange={e => setTextForm({ ...textForm, text: e.target.value })}
+                                        placeholder="Enter text..."
                                     />
                                 </div>
+                                <div className="form-row">
+                                    <div className="form-group">
+                                        <label className="form-label">X Position</label>
+                                        <input
+                                            type="number"
+                                            className="form-input"
+                                            value={textForm.x}
+                                            onChange={e => setTextForm({ ...textForm, x: parseInt(e.target.value) || 0 })}
+                                        />
+                                    </div>
+                                    <div className="form-group">
+                                        <label className="form-label">Y Position</label>
+                                        <input
+                                            type="number"
+                                            className="form-input"
+                                            value={textForm.y}
+                                            onChange={e => setTextForm({ ...textForm, y: parseInt(e.target.value) || 0 })}
+                                        />
+                                    </div>
+                                </div>
+                                <div className="form-row">
+                                    <div className="form-group">
+                                        <label className="form-label">Font Size</label>
+                                        <input
+                                            type="number"
+                                            className="form-input"
+                                            value={textForm.fontSize}
+                                            onChange={e => setTextForm({ ...textForm, fontSize: parseInt(e.target.value) || 12 })}
+                                        />
+                                    </div>
+                                    <div className="form-group">
+                                        <label className="form-label">Font Family</label>
+                                        <select
+                                            className="form-input"
+                                            value={textForm.fontFamily}
+                                            onChange={e => setTextForm({ ...textForm, fontFamily: e.target.value })}
+                                        >
+                                            {fontFamilies.map(family => (
+                                                <option key={family} value={family}>{family}</option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                </div>
+                                <div className="form-group">
+                                    <label className={`btn btn-secondary ${loading ? 'disabled' : ''}`}>
+                                        🔤 Upload Font (TTF/OTF)
+                                        <input
+                                            type="file"
+                                            accept=".ttf,.otf,font/ttf,font/otf"
+                                            onChange={uploadFont}
+                                            disabled={loading}
+                                            hidden
+                                        />
+                                    </label>
+                                </div>
                                 <div className="form-group">
                                     <label className="form-label">Color</label>
                                     <div className="color-picker-wrapper">
                                         <input
                                             type="color"
-                                            value={circleForm.color}
-                                            onChange={e => setCircleForm({ ...circleForm, color: e.target.value })}
+                                            value={textForm.color}
+                                            onChange={e => setTextForm({ ...textForm, color: e.target.value })}
                                         />
                                         <input
                                             type="text"
                                             className="form-input"
-                                            value={circleForm.color}
-                                            onChange={e => setCircleForm({ ...circleForm, color: e.target.value })}
+                                            value={textForm.color}
+                                            onChange={e => setTextForm({ ...textForm, color: e.target.value })}
                                             style={{ flex: 1 }}
                                         />
                                     </div>
                                 </div>
+                                <div className="form-row">
+                                    <div className="form-group">
+                                        <label className="form-label">Box Width (0 = none)</label>
+                                        <input
+                                            type="number"
+                                            className="form-input"
+                                            value={textForm.width}
+                                            onChange={e => setTextForm({ ...textForm, width: parseInt(e.target.value) || 0 })}
+                                        />
+                                    </div>
+                                    <div className="form-group">
+                                        <label className="form-label">Box Height (0 = none)</label>
+                                        <input
+                                            type="number"
+                                            className="form-input"
+                                            value={textForm.height}
+                                            onChange={e => setTextForm({ ...textForm, height: parseInt(e.target.value) || 0 })}
+                                        />
+                                    </div>
+                                </div>
+                                <div className="form-row">
+                                    <div className="form-group">
+                                        <label className="form-label">Align</label>
+                                        <select
+                                            className="form-input"
+                                            value={textForm.align}
+                                            onChange={e => setTextForm({ ...textForm, align: e.target.value })}
+                                        >
+                                            <option value="left">Left</option>
+                                            <option value="center">Center</option>
+                                            <option value="right">Right</option>
+                                            <option value="justify">Justify</option>
+                                        </select>
+                                    </div>
+                                    <div className="form-group">
+                                        <label className="form-label">Vertical Align</label>
+                                        <select
+                                            className="form-input"
+                                            value={textForm.verticalAlign}
+                                            onChange={e => setTextForm({ ...textForm, verticalAlign: e.target.value })}
+                                        >
+                                            <option value="top">Top</option>
+                                            <option value="middle">Middle</option>
+                                            <option value="bottom">Bottom</option>
+                                        </select>
+                                    </div>
+                                </div>
+                                <div className="form-row">
+                                    <div className="form-group">
+                                        <label className="form-label">Line Height</label>
+                                        <input
+                                            type="number"
+                                            className="form-input"
+                                            step="0.1"
+                                            value={textForm.lineHeight}
+                                            onChange={e => setTextForm({ ...textForm, lineHeight: parseFloat(e.target.value) || 1.2 })}
+                                        />
+                                    </div>
+                                    <div className="form-group">
+                                        <label className="form-label">Letter Spacing</label>
+                                        <input
+                                            type="number"
+                                            className="form-input"
+                                            step="0.5"
+                                            value={textForm.letterSpacing}
+                                            onChange={e => setTextForm({ ...textForm, letterSpacing: parseFloat(e.target.value) || 0 })}
+                                        />
+                                    </div>
+                                </div>
                                 <div className="form-group">
+                                    <label className="form-label">Overflow</label>
+                                    <select
+                                        className="form-input"
+                                        value={textForm.overflow}
+                                        onChange={e => setTextForm({ ...textForm, overflow: e.target.value })}
+                                    >
+                                        <option value="visible">Visible</option>
+                                        <option value="ellipsis">Ellipsis</option>
+                                        <option value="shrink">Shrink to fit</option>
+                                    </select>
+                                </div>
+                                <div className="form-row">
                                     <label className="form-checkbox">
                                         <input
                                             type="checkbox"
-                                            checked={circleForm.isFilled}
-                                            onChange={e => setCircleForm({ ...circleForm, isFilled: e.target.checked })}
+                                            checked={textForm.fontWeight === 'bold'}
+                                            onChange={e => setTextForm({ ...textForm, fontWeight: e.target.checked ? 'bold' : 'normal' })}
                                         />
-                                        <span>Fill shape</span>
+                                        <span><strong>Bold</strong></span>
+                                    </label>
+                                    <label className="form-checkbox">
+                                        <input
+                                            type="checkbox"
+                                            checked={textForm.fontStyle === 'italic'}
+                                            onChange={e => setTextForm({ ...textForm, fontStyle: e.target.checked ? 'italic' : 'normal' })}
+                                        />
+                                        <span><em>Italic</em></span>
+                                    </label>
+                                </div>
+                                <div className="form-row">
+                                    <label className="form-checkbox">
+                                        <input
+                                            type="checkbox"
+                                            checked={textForm.underline}
+                                            onChange={e => setTextForm({ ...textForm, underline: e.target.checked })}
+                                        />
+                                        <span><u>Underline</u></span>
+                                    </label>
+                                    <label className="form-checkbox">
+                                        <input
+                                            type="checkbox"
+                                            checked={textForm.strikethrough}
+                                            onChange={e => setTextForm({ ...textForm, strikethrough: e.target.checked })}
+                                        />
+                                        <span><s>Strikethrough</s></span>
+                                    </label>
+                                </div>
+                                <div className="form-group">
+                                    <label className="form-checkbox">
+                                        <input
+                                            type="checkbox"
+                                            checked={textForm.markup}
+                                            onChange={e => setTextForm({ ...textForm, markup: e.target.checked })}
+                                        />
+                                        <span>Inline markup: **bold** *italic* __underline__ ~~strike~~</span>
                                     </label>
                                 </div>
                                 <button
                                     className="btn btn-success btn-block"
-                                    onClick={addCircle}
+                                    onClick={addText}
                                     disabled={loading || !canvasId}
                                 >
-                                    Add Circle
+                                    Add Text
                                 </button>
                             </div>
                         )}
 
-                        {/* Text Form */}
-                        {activeTab === 'text' && (
+                        {/* Image Form */}
+                        {activeTab === 'image' && (
                             <div>
                                 <div className="form-group">
-                                    <label className="form-label">Text Content</label>
+                                    <label className="form-label">Image URL</label>
                                     <input
                                         type="text"
                                         className="form-input"
-                                        value={textForm.text}
-                                        onChange={e => setTextForm({ ...textForm, text: e.target.value })}
-                                        placeholder="Enter text..."
+                                        value={imageForm.url}
+                                        onChange={e => setImageForm({ ...imageForm, url: e.target.value })}
+                                        placeholder="https://example.com/image.jpg"
                                     />
                                 </div>
                                 <div className="form-row">
@@ -459,8 +1916,8 @@ function App() {
                                         <input
                                             type="number"
                                             className="form-input"
-                                            value={textForm.x}
-                                            onChange={e => setTextForm({ ...textForm, x: parseInt(e.target.value) || 0 })}
+                                            value={imageForm.x}
+                                            onChange={e => setImageForm({ ...imageForm, x: parseInt(e.target.value) || 0 })}
                                         />
                                     </div>
                                     <div className="form-group">
@@ -468,127 +1925,413 @@ function App() {
                                         <input
                                             type="number"
                                             className="form-input"
-                                            value={textForm.y}
-                                            onChange={e => setTextForm({ ...textForm, y: parseInt(e.target.value) || 0 })}
+                                            value={imageForm.y}
+                                            onChange={e => setImageForm({ ...imageForm, y: parseInt(e.target.value) || 0 })}
                                         />
                                     </div>
                                 </div>
                                 <div className="form-row">
                                     <div className="form-group">
-                                        <label className="form-label">Font Size</label>
+                                        <label className="form-label">Width (optional)</label>
                                         <input
                                             type="number"
                                             className="form-input"
-                                            value={textForm.fontSize}
-                                            onChange={e => setTextForm({ ...textForm, fontSize: parseInt(e.target.value) || 12 })}
+                                            value={imageForm.width}
+                                            onChange={e => setImageForm({ ...imageForm, width: parseInt(e.target.value) || 0 })}
                                         />
                                     </div>
                                     <div className="form-group">
-                                        <label className="form-label">Font Family</label>
+                                        <label className="form-label">Height (optional)</label>
+                                        <input
+                                            type="number"
+                                            className="form-input"
+                                            value={imageForm.height}
+                                            onChange={e => setImageForm({ ...imageForm, height: parseInt(e.target.value) || 0 })}
+                                        />
+                                    </div>
+                                </div>
+                                <div className="form-row">
+                                    <div className="form-group">
+                                        <label className="form-label">Fit</label>
                                         <select
                                             className="form-input"
-                                            value={textForm.fontFamily}
-                                            onChange={e => setTextForm({ ...textForm, fontFamily: e.target.value })}
+                                            value={imageForm.fit}
+                                            onChange={e => setImageForm({ ...imageForm, fit: e.target.value })}
+                                        >
+                                            <option value="fill">Fill (stretch)</option>
+                                            <option value="contain">Contain</option>
+                                            <option value="cover">Cover</option>
+                                            <option value="none">None (original size)</option>
+                                        </select>
+                                    </div>
+                                    <div className="form-group">
+                                        <label className="form-label">Clip</label>
+                                        <select
+                                            className="form-input"
+                                            value={imageForm.clip}
+                                            onChange={e => setImageForm({ ...imageForm, clip: e.target.value })}
                                         >
-                                            <option value="Arial">Arial</option>
-                                            <option value="Helvetica">Helvetica</option>
-                                            <option value="Times New Roman">Times New Roman</option>
-                                            <option value="Courier">Courier</option>
-                                            <option value="Georgia">Georgia</option>
+                                            <option value="none">None</option>
+                                            <option value="circle">Circle</option>
                                         </select>
                                     </div>
                                 </div>
-                                <div className="form-group">
-                                    <label className="form-label">Color</label>
-                                    <div className="color-picker-wrapper">
+                                <div className="form-row">
+                                    <div className="form-group">
+                                        <label className="form-label">Corner Radius</label>
                                         <input
-                                            type="color"
-                                            value={textForm.color}
-                                            onChange={e => setTextForm({ ...textForm, color: e.target.value })}
+                                            type="number"
+                                            className="form-input"
+                                            value={imageForm.cornerRadius}
+                                            onChange={e => setImageForm({ ...imageForm, cornerRadius: parseInt(e.target.value) || 0 })}
                                         />
+                                    </div>
+                                    <div className="form-group">
+                                        <label className="form-label">Grayscale (0-1)</label>
                                         <input
-                                            type="text"
+                                            type="number"
                                             className="form-input"
-                                            value={textForm.color}
-                                            onChange={e => setTextForm({ ...textForm, color: e.target.value })}
-                                            style={{ flex: 1 }}
+                                            step="0.1"
+                                            value={imageForm.grayscale}
+                                            onChange={e => setImageForm({ ...imageForm, grayscale: parseFloat(e.target.value) || 0 })}
+                                        />
+                                    </div>
+                                </div>
+                                <div className="form-row">
+                                    <div className="form-group">
+                                        <label className="form-label">Brightness</label>
+                                        <input
+                                            type="number"
+                                            className="form-input"
+                                            step="0.1"
+                                            value={imageForm.brightness}
+                                            onChange={e => setImageForm({ ...imageForm, brightness: parseFloat(e.target.value) || 0 })}
+                                        />
+                                    </div>
+                                    <div className="form-group">
+                                        <label className="form-label">Contrast</label>
+                                        <input
+                                            type="number"
+                                            className="form-input"
+                                            step="0.1"
+                                            value={imageForm.contrast}
+                                            onChange={e => setImageForm({ ...imageForm, contrast: parseFloat(e.target.value) || 0 })}
+                                        />
+                                    </div>
+                                </div>
+                                <div className="form-row">
+                                    <div className="form-group">
+                                        <label className="form-label">Blur (px)</label>
+                                        <input
+                                            type="number"
+                                            className="form-input"
+                                            step="0.5"
+                                            value={imageForm.blur}
+                                            onChange={e => setImageForm({ ...imageForm, blur: parseFloat(e.target.value) || 0 })}
                                         />
                                     </div>
                                 </div>
+                                <div className="form-group">
+                                    <label className="form-checkbox">
+                                        <input
+                                            type="checkbox"
+                                            checked={imageForm.useCrop}
+                                            onChange={e => setImageForm({ ...imageForm, useCrop: e.target.checked })}
+                                        />
+                                        <span>Crop source image</span>
+                                    </label>
+                                </div>
+                                {imageForm.useCrop && (
+                                    <>
+                                        <div className="form-row">
+                                            <div className="form-group">
+                                                <label className="form-label">Crop X</label>
+                                                <input
+                                                    type="number"
+                                                    className="form-input"
+                                                    value={imageForm.cropX}
+                                                    onChange={e => setImageForm({ ...imageForm, cropX: parseInt(e.target.value) || 0 })}
+                                                />
+                                            </div>
+                                            <div className="form-group">
+                                                <label className="form-label">Crop Y</label>
+                                                <input
+                                                    type="number"
+                                                    className="form-input"
+                                                    value={imageForm.cropY}
+                                                    onChange={e => setImageForm({ ...imageForm, cropY: parseInt(e.target.value) || 0 })}
+                                                />
+                                            </div>
+                                        </div>
+                                        <div className="form-row">
+                                            <div className="form-group">
+                                                <label className="form-label">Crop Width</label>
+                                                <input
+                                                    type="number"
+                                                    className="form-input"
+                                                    value={imageForm.cropWidth}
+                                                    onChange={e => setImageForm({ ...imageForm, cropWidth: parseInt(e.target.value) || 1 })}
+                                                />
+                                            </div>
+                                            <div className="form-group">
+                                                <label className="form-label">Crop Height</label>
+                                                <input
+                                                    type="number"
+                                                    className="form-input"
+                                                    value={imageForm.cropHeight}
+                                                    onChange={e => setImageForm({ ...imageForm, cropHeight: parseInt(e.target.value) || 1 })}
+                                                />
+                                            </div>
+                                        </div>
+                                    </>
+                                )}
                                 <button
                                     className="btn btn-success btn-block"
-                                    onClick={addText}
+                                    onClick={() => addImage({ url: imageForm.url })}
                                     disabled={loading || !canvasId}
                                 >
-                                    Add Text
+                                    Add Image
                                 </button>
+                                <div className="form-group asset-library">
+                                    <label className="form-label">Image Library</label>
+                                    <label className={`btn btn-secondary ${loading ? 'disabled' : ''}`}>
+                                        🖼 Upload to Library
+                                        <input
+                                            type="file"
+                                            accept="image/png,image/jpeg,image/gif,image/svg+xml"
+                                            onChange={uploadAsset}
+                                            disabled={loading}
+                                            hidden
+                                        />
+                                    </label>
+                                    {assets.length > 0 && (
+                                        <div className="asset-grid">
+                                            {assets.map(asset => (
+                                                <button
+                                                    key={asset.id}
+                                                    className="asset-thumb"
+                                                    onClick={() => addImage({ assetId: asset.id })}
+                                                    disabled={loading || !canvasId}
+                                                    title={`${asset.filename || asset.id} (${asset.width}×${asset.height}) - click to add`}
+                                                >
+                                                    <img src={`${ASSETS_URL}/${asset.id}`} alt={asset.filename || 'Asset'} />
+                                                </button>
+                                            ))}
+                                        </div>
+                                    )}
+                                </div>
                             </div>
                         )}
+                    </div>
 
-                        {/* Image Form */}
-                        {activeTab === 'image' && (
-                            <div>
+                    {/* Style Options */}
+                    <div className="card">
+                        <div className="card-header">
+                            <div className="card-icon">🖌️</div>
+                            <h2 className="card-title">Style</h2>
+                        </div>
+
+                        <div className="form-group">
+                            <label className="form-checkbox">
+                                <input
+                                    type="checkbox"
+                                    checked={styleForm.useStroke}
+                                    onChange={e => setStyleForm({ ...styleForm, useStroke: e.target.checked })}
+                                />
+                                <span>Outline</span>
+                            </label>
+                        </div>
+                        {styleForm.useStroke && (
+                            <div className="form-group">
+                                <label className="form-label">Outline Color</label>
+                                <div className="color-picker-wrapper">
+                                    <input
+                                        type="color"
+                                        value={styleForm.stroke}
+                                        onChange={e => setStyleForm({ ...styleForm, stroke: e.target.value })}
+                                    />
+                                    <input
+                                        type="text"
+                                        className="form-input"
+                                        value={styleForm.stroke}
+                                        onChange={e => setStyleForm({ ...styleForm, stroke: e.target.value })}
+                                        style={{ flex: 1 }}
+                                    />
+                                </div>
+                            </div>
+                        )}
+                        <div className="form-row">
+                            <div className="form-group">
+                                <label className="form-label">Stroke Width</label>
+                                <input
+                                    type="number"
+                                    className="form-input"
+                                    min="0"
+                                    value={styleForm.strokeWidth}
+                                    onChange={e => setStyleForm({ ...styleForm, strokeWidth: Math.max(0, parseFloat(e.target.value) || 0) })}
+                                />
+                            </div>
+                            <div className="form-group">
+                                <label className="form-label">Dash</label>
+                                <select
+                                    className="form-input"
+                                    value={styleForm.dash}
+                                    onChange={e => setStyleForm({ ...styleForm, dash: e.target.value })}
+                                >
+                                    <option value="solid">Solid</option>
+                                    <option value="dashed">Dashed</option>
+                                    <option value="dotted">Dotted</option>
+                                </select>
+                            </div>
+                        </div>
+                        <div className="form-group">
+                            <label className="form-label">Opacity ({Math.round(styleForm.opacity * 100)}%)</label>
+                            <input
+                                type="range"
+                                min="0"
+                                max="1"
+                                step="0.05"
+                                value={styleForm.opacity}
+                                onChange={e => setStyleForm({ ...styleForm, opacity: parseFloat(e.target.value) })}
+                                style={{ width: '100%' }}
+                            />
+                        </div>
+                        <div className="form-group">
+                            <label className="form-checkbox">
+                                <input
+                                    type="checkbox"
+                                    checked={styleForm.useShadow}
+                                    onChange={e => setStyleForm({ ...styleForm, useShadow: e.target.checked })}
+                                />
+                                <span>Drop shadow</span>
+                            </label>
+                        </div>
+                        {styleForm.useShadow && (
+                            <>
                                 <div className="form-group">
-                                    <label className="form-label">Image URL</label>
+                                    <label className="form-label">Shadow Color</label>
                                     <input
                                         type="text"
                                         className="form-input"
-                                        value={imageForm.url}
-                                        onChange={e => setImageForm({ ...imageForm, url: e.target.value })}
-                                        placeholder="https://example.com/image.jpg"
+                                        value={styleForm.shadowColor}
+                                        onChange={e => setStyleForm({ ...styleForm, shadowColor: e.target.value })}
                                     />
                                 </div>
                                 <div className="form-row">
                                     <div className="form-group">
-                                        <label className="form-label">X Position</label>
-                                        <input
-                                            type="number"
-                                            className="form-input"
-                                            value={imageForm.x}
-                                            onChange={e => setImageForm({ ...imageForm, x: parseInt(e.target.value) || 0 })}
-                                        />
-                                    </div>
-                                    <div className="form-group">
-                                        <label className="form-label">Y Position</label>
+                                        <label className="form-label">Blur</label>
                                         <input
                                             type="number"
                                             className="form-input"
-                                            value={imageForm.y}
-                                            onChange={e => setImageForm({ ...imageForm, y: parseInt(e.target.value) || 0 })}
+                                            min="0"
+                                            value={styleForm.shadowBlur}
+                                            onChange={e => setStyleForm({ ...styleForm, shadowBlur: Math.max(0, parseInt(e.target.value) || 0) })}
                                         />
                                     </div>
-                                </div>
-                                <div className="form-row">
                                     <div className="form-group">
-                                        <label className="form-label">Width (optional)</label>
+                                        <label className="form-label">Offset X</label>
                                         <input
                                             type="number"
                                             className="form-input"
-                                            value={imageForm.width}
-                                            onChange={e => setImageForm({ ...imageForm, width: parseInt(e.target.value) || 0 })}
+                                            value={styleForm.shadowOffsetX}
+                                            onChange={e => setStyleForm({ ...styleForm, shadowOffsetX: parseInt(e.target.value) || 0 })}
                                         />
                                     </div>
                                     <div className="form-group">
-                                        <label className="form-label">Height (optional)</label>
+                                        <label className="form-label">Offset Y</label>
                                         <input
                                             type="number"
                                             className="form-input"
-                                            value={imageForm.height}
-                                            onChange={e => setImageForm({ ...imageForm, height: parseInt(e.target.value) || 0 })}
+                                            value={styleForm.shadowOffsetY}
+                                            onChange={e => setStyleForm({ ...styleForm, shadowOffsetY: parseInt(e.target.value) || 0 })}
                                         />
                                     </div>
                                 </div>
-                                <button
-                                    className="btn btn-success btn-block"
-                                    onClick={addImage}
-                                    disabled={loading || !canvasId}
-                                >
-                                    Add Image
-                                </button>
-                            </div>
+                            </>
                         )}
                     </div>
 
+                    {/* Transform Options */}
+                    <div className="card">
+                        <div className="card-header">
+                            <div className="card-icon">🔄</div>
+                            <h2 className="card-title">Transform</h2>
+                        </div>
+
+                        <div className="form-group">
+                            <label className="form-label">Rotation (°)</label>
+                            <input
+                                type="number"
+                                className="form-input"
+                                step="1"
+                                value={transformForm.rotation}
+                                onChange={e => setTransformForm({ ...transformForm, rotation: parseFloat(e.target.value) || 0 })}
+                            />
+                        </div>
+                        <div className="form-row">
+                            <div className="form-group">
+                                <label className="form-label">Scale X</label>
+                                <input
+                                    type="number"
+                                    className="form-input"
+                                    step="0.1"
+                                    value={transformForm.scaleX}
+                                    onChange={e => setTransformForm({ ...transformForm, scaleX: parseFloat(e.target.value) || 1 })}
+                                />
+                            </div>
+                            <div className="form-group">
+                                <label className="form-label">Scale Y</label>
+                                <input
+                                    type="number"
+                                    className="form-input"
+                                    step="0.1"
+                                    value={transformForm.scaleY}
+                                    onChange={e => setTransformForm({ ...transformForm, scaleY: parseFloat(e.target.value) || 1 })}
+                                />
+                            </div>
+                        </div>
+                        <div className="form-row">
+                            <div className="form-group">
+                                <label className="form-label">Skew X (°)</label>
+                                <input
+                                    type="number"
+                                    className="form-input"
+                                    step="1"
+                                    value={transformForm.skewX}
+                                    onChange={e => setTransformForm({ ...transformForm, skewX: parseFloat(e.target.value) || 0 })}
+                                />
+                            </div>
+                            <div className="form-group">
+                                <label className="form-label">Skew Y (°)</label>
+                                <input
+                                    type="number"
+                                    className="form-input"
+                                    step="1"
+                                    value={transformForm.skewY}
+                                    onChange={e => setTransformForm({ ...transformForm, skewY: parseFloat(e.target.value) || 0 })}
+                                />
+                            </div>
+                        </div>
+                        <div className="form-row">
+                            <label className="form-checkbox">
+                                <input
+                                    type="checkbox"
+                                    checked={transformForm.flipX}
+                                    onChange={e => setTransformForm({ ...transformForm, flipX: e.target.checked })}
+                                />
+                                <span>Flip horizontally</span>
+                            </label>
+                            <label className="form-checkbox">
+                                <input
+                                    type="checkbox"
+                                    checked={transformForm.flipY}
+                                    onChange={e => setTransformForm({ ...transformForm, flipY: e.target.checked })}
+                                />
+                                <span>Flip vertically</span>
+                            </label>
+                        </div>
+                    </div>
+
                     {/* Export & Actions */}
                     <div className="card">
                         <div className="card-header">
@@ -598,13 +2341,62 @@ function App() {
 
                         <button
                             className="btn btn-primary btn-block"
-                            onClick={exportPdf}
+                            onClick={() => downloadExport('pdf')}
                             disabled={!canvasId || loading}
                             style={{ marginBottom: '0.75rem' }}
                         >
                             {loading ? <span className="spinner"></span> : '📥'} Download PDF
                         </button>
 
+                        <div className="form-row" style={{ marginBottom: '0.75rem' }}>
+                            <button
+                                className="btn btn-secondary"
+                                onClick={() => downloadExport('svg')}
+                                disabled={!canvasId || loading}
+                            >
+                                🖼️ Export SVG
+                            </button>
+                            <button
+                                className="btn btn-secondary"
+                                onClick={() => downloadExport('json')}
+                                disabled={!canvasId || loading}
+                            >
+                                🧾 Export JSON
+                            </button>
+                        </div>
+
+                        <div className="form-row" style={{ marginBottom: '0.75rem', gridTemplateColumns: '1fr' }}>
+                            <label className={`btn btn-secondary ${loading ? 'disabled' : ''}`}>
+                                📂 Import JSON
+                                <input
+                                    type="file"
+                                    accept="application/json,.json"
+                                    onChange={importCanvas}
+                                    disabled={loading}
+                                    hidden
+                                />
+                            </label>
+                        </div>
+
+                        <div className="form-row" style={{ marginBottom: '0.75rem' }}>
+                            <button
+                                className="btn btn-secondary"
+                                onClick={() => changeHistory('undo')}
+                                disabled={!canvasId || loading || !historyState.canUndo}
+                                title="Undo (Ctrl+Z)"
+                            >
+                                ↶ Undo
+                            </button>
+                            <button
+                                className="btn btn-secondary"
+                                onClick={() => changeHistory('redo')}
+                                disabled={!canvasId || loading || !historyState.canRedo}
+                                title="Redo (Ctrl+Shift+Z)"
+                            >
+                                ↷ Redo
+                            </button>
+                        </div>
+
                         <button
                             className="btn btn-danger btn-block"
                             onClick={resetCanvas}
@@ -621,12 +2413,15 @@ function App() {
                     {canvasId && (
                         <div className="status-bar">
                             <div className="status-info">
+                                <div className="status-item" title={`Canvas ${canvasId}`}>
+                                    <span className={`status-dot ${liveStatus}`}></span>
+                                    <span>{LIVE_LABELS[liveStatus]}</span>
+                                </div>
                                 <div className="status-item">
-                                    <span className="status-dot"></span>
-                                    <span>Connected</span>
+                                    <span>📐 {activePage?.width ?? dimensions.width} × {activePage?.height ?? dimensions.height}px</span>
                                 </div>
                                 <div className="status-item">
-                                    <span>📐 {dimensions.width} × {dimensions.height}px</span>
+                                    <span>📄 Page {activePageIndex + 1} of {pages.length}</span>
                                 </div>
                                 <div className="status-item">
                                     <span>🔷 {elements.length} elements</span>
@@ -642,12 +2437,62 @@ function App() {
                             <h2 className="card-title">Canvas Preview</h2>
                         </div>
 
+                        {canvasId && pages.length > 0 && (
+                            <div className="page-strip">
+                                {pages.map((page, idx) => (
+                                    <button
+                                        key={page.id}
+                                        className={`page-thumb ${page.id === activePageId ? 'active' : ''}`}
+                                        onClick={() => setCurrentPageId(page.id)}
+                                        title={`Page ${idx + 1} (${page.width} × ${page.height})`}
+                                    >
+                                        <img
+                                            src={`${API_URL}/${canvasId}/preview?page=${page.id}&maxWidth=128&maxHeight=128&rev=${revision}`}
+                                            alt={`Page ${idx + 1}`}
+                                        />
+                                        <span>{idx + 1}</span>
+                                    </button>
+                                ))}
+                                <div className="page-actions">
+                                    <button className="btn btn-secondary" onClick={addPage} disabled={loading} title="Add page">➕</button>
+                                    <button
+                                        className="btn btn-secondary"
+                                        onClick={() => movePage(-1)}
+                                        disabled={loading || activePageIndex <= 0}
+                                        title="Move page left"
+                                    >
+                                        ◀
+                                    </button>
+                                    <button
+                                        className="btn btn-secondary"
+                                        onClick={() => movePage(1)}
+                                        disabled={loading || activePageIndex >= pages.length - 1}
+                                        title="Move page right"
+                                    >
+                                        ▶
+                                    </button>
+                                    <button
+                                        className="btn btn-danger"
+                                        onClick={deletePage}
+                                        disabled={loading || pages.length <= 1}
+                                        title="Delete page"
+                                    >
+                                        🗑️
+                                    </button>
+                                </div>
+                            </div>
+                        )}
+
                         <div className="canvas-container">
-                            {previewUrl ? (
-                                <img
-                                    src={previewUrl}
-                                    alt="Canvas Preview"
-                                    className="canvas-preview"
+                            {stageSvg && activePage ? (
+                                <Stage
+                                    svg={stageSvg}
+                                    page={activePage}
+                                    elements={elements}
+                                    layers={layers}
+                                    selectedIds={selectedIds}
+                                    onSelect={setSelectedIds}
+                                    onCommit={commitStageChanges}
                                 />
                             ) : (
                                 <div className="canvas-placeholder">
@@ -657,6 +2502,12 @@ function App() {
                                 </div>
                             )}
                         </div>
+                        {stageSvg && activePage && (
+                            <p className="stage-hint">
+                                Click to select, Shift+click to add · Drag to move · Drag empty space to select an area ·
+                                Handles resize and rotate (Shift keeps proportions and snaps angles)
+                            </p>
+                        )}
                     </div>
 
                     {/* Elements List */}
@@ -665,29 +2516,100 @@ function App() {
                             <div className="card-header">
                                 <div className="card-icon">📋</div>
                                 <h2 className="card-title">Elements ({elements.length})</h2>
+                                <div className="page-actions">
+                                    <button
+                                        className="btn btn-secondary"
+                                        onClick={groupSelected}
+                                        disabled={loading || selectedIds.length === 0}
+                                    >
+                                        Group
+                                    </button>
+                                    <button
+                                        className="btn btn-secondary"
+                                        onClick={ungroupSelected}
+                                        disabled={loading || selectedIds.length === 0}
+                                    >
+                                        Ungroup
+                                    </button>
+                                </div>
                             </div>
                             <div className="element-list">
-                                {elements.map((el, idx) => (
-                                    <div key={idx} className="element-item">
-                                        <span className={`element-badge ${el.type}`}>{el.type}</span>
-                                        <span style={{ color: 'var(--text-secondary)', fontSize: '0.85rem' }}>
-                                            {el.type === 'text' ? `"${el.text}"` :
-                                                el.type === 'image' ? 'External image' :
-                                                    `(${el.x}, ${el.y})`}
-                                        </span>
-                                        <span
-                                            style={{
-                                                marginLeft: 'auto',
-                                                width: 16,
-                                                height: 16,
-                                                borderRadius: 4,
-                                                background: el.color || '#ccc',
-                                                border: '1px solid var(--border-color)'
-                                            }}
+                                {renderElementTree(elements)}
+                            </div>
+                        </div>
+                    )}
+
+                    {/* Layers */}
+                    {canvasId && layers.length > 0 && (
+                        <div className="card">
+                            <div className="card-header">
+                                <div className="card-icon">🗂</div>
+                                <h2 className="card-title">Layers</h2>
+                            </div>
+                            <div className="layer-list">
+                                {/* Top layer first, as it is drawn last */}
+                                {[...layers].reverse().map(layer => (
+                                    <div key={layer.id} className={`layer-item ${layer.visible ? '' : 'hidden'}`}>
+                                        <input
+                                            type="radio"
+                                            name="active-layer"
+                                            title="Add new elements to this layer"
+                                            checked={(activeLayerId || layers[layers.length - 1].id) === layer.id}
+                                            onChange={() => setActiveLayerId(layer.id)}
                                         />
+                                        <span className="layer-name" onDoubleClick={() => renameLayer(layer)} title="Double-click to rename">
+                                            {layer.name}
+                                        </span>
+                                        <span className="layer-count">{layer.elementCount}</span>
+                                        <div className="page-actions">
+                                            <button
+                                                className="btn btn-secondary"
+                                                onClick={() => updateLayer(layer.id, { visible: !layer.visible })}
+                                                disabled={loading}
+                                                title={layer.visible ? 'Hide layer' : 'Show layer'}
+                                            >
+                                                {layer.visible ? '👁' : '🚫'}
+                                            </button>
+                                            <button
+                                                className="btn btn-secondary"
+                                                onClick={() => updateLayer(layer.id, { locked: !layer.locked })}
+                                                disabled={loading}
+                                                title={layer.locked ? 'Unlock layer' : 'Lock layer'}
+                                            >
+                                                {layer.locked ? '🔒' : '🔓'}
+                                            </button>
+                                            <button
+                                                className="btn btn-secondary"
+                                                onClick={() => moveLayer(layer.id, layer.index + 1)}
+                                                disabled={loading || layer.index === layers.length - 1}
+                                                title="Move up"
+                                            >
+                                                ▲
+                                            </button>
+                                            <button
+                                                className="btn btn-secondary"
+                                                onClick={() => moveLayer(layer.id, layer.index - 1)}
+                                                disabled={loading || layer.index === 0}
+                                                title="Move down"
+                                            >
+                                                ▼
+                                            </button>
+                                        </div>
                                     </div>
                                 ))}
                             </div>
+                            <div className="form-row" style={{ marginTop: '0.75rem' }}>
+                                <input
+                                    type="text"
+                                    className="form-input"
+                                    placeholder="New layer name"
+                                    value={newLayerName}
+                                    onChange={(e) => setNewLayerName(e.target.value)}
+                                />
+                                <button className="btn btn-secondary" onClick={addLayer} disabled={loading}>
+                                    ➕ Add Layer
+                                </button>
+                            </div>
                         </div>
                     )}
                 </section>
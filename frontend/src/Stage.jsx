@@ -0,0 +1,619 @@
+import { useEffect, useRef, useState } from 'react';
+import StageDrawing from './StageDrawing';
+
+// Interactive editing stage for one page
+//
+// Each element in the list is drawn from the page's SVG export (see StageDrawing.jsx), and an
+// overlay on top holds the selection outlines and handles.
+// Click to select (Shift adds or removes), drag to move, drag a handle to resize, drag the
+// round handle to rotate (Shift snaps to 15°) and drag on empty space for a marquee.
+// Gestures only change what is drawn while they last; onCommit sends the element updates.
+
+// Handle sizes and drag distances in screen pixels
+const HANDLE_SIZE = 8;
+const ROTATE_HANDLE_OFFSET = 24;
+const DRAG_THRESHOLD = 3;
+
+// Degrees rotation snaps to with Shift held
+const ROTATION_SNAP = 15;
+
+// Resize handles as fractions of the element's box
+const HANDLES = {
+    nw: [0, 0], n: [0.5, 0], ne: [1, 0], e: [1, 0.5],
+    se: [1, 1], s: [0.5, 1], sw: [0, 1], w: [0, 0.5]
+};
+const CORNER_HANDLES = ['nw', 'ne', 'se', 'sw'];
+
+const round = (value) => Math.round(value * 100) / 100;
+const toRadians = (degrees) => degrees * Math.PI / 180;
+const toDegrees = (radians) => radians * 180 / Math.PI;
+
+// ============================================
+// Element frames
+// ============================================
+
+// Linear part of a transform as [a, b, c, d]
+const IDENTITY = [1, 0, 0, 1];
+
+const multiply = ([a, b, c, d], [e, f, g, h]) => [a * e + c * f, b * e + d * f, a * g + c * h, b * g + d * h];
+const applyLinear = ([a, b, c, d], { x, y }) => ({ x: a * x + c * y, y: b * x + d * y });
+const invert = ([a, b, c, d]) => {
+    const det = a * d - b * c;
+    return [d / det, -b / det, -c / det, a / det];
+};
+
+// The box a gesture works on - text boxes use their layout width rather than the inked lines
+const editBox = (element) => {
+    if (element.type === 'text' && element.width !== undefined) {
+        const { x, y, width, height = element.bounds.height } = element;
+        return { x, y, width, height };
+    }
+    return element.bounds;
+};
+
+// Where an element's transform leaves its box: points map as origin + linear * (point - origin)
+// Mirrors lib/transform.js on the backend: rotate, skew, then scale with flips folded in,
+// all about an origin that defaults to the centre of the element's bounds
+const elementFrame = (element) => {
+    const { bounds, transform } = element;
+    const centre = { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 };
+    if (!transform) return { origin: centre, linear: IDENTITY, explicitOrigin: false };
+
+    const { rotation = 0, scaleX = 1, scaleY = 1, skewX = 0, skewY = 0, flipX = false, flipY = false } = transform;
+    const angle = toRadians(rotation);
+    const linear = [
+        [Math.cos(angle), Math.sin(angle), -Math.sin(angle), Math.cos(angle)],
+        [1, Math.tan(toRadians(skewY)), Math.tan(toRadians(skewX)), 1],
+        [flipX ? -scaleX : scaleX, 0, 0, flipY ? -scaleY : scaleY]
+    ].reduce(multiply);
+
+    return {
+        origin: { x: transform.originX ?? centre.x, y: transform.originY ?? centre.y },
+        linear,
+        explicitOrigin: transform.originX !== undefined && transform.originY !== undefined
+    };
+};
+
+const toPage = ({ origin, linear }, point) => {
+    const { x, y } = applyLinear(linear, { x: point.x - origin.x, y: point.y - origin.y });
+    return { x: origin.x + x, y: origin.y + y };
+};
+
+const boxPoint = (box, [fx, fy]) => ({ x: box.x + box.width * fx, y: box.y + box.height * fy });
+
+const boxCorners = (box) => CORNER_HANDLES.map(handle => boxPoint(box, HANDLES[handle]));
+
+// Affine maps as { linear, offset }: point -> linear * point + offset
+const composeAffine = (outer, inner) => {
+    const shifted = applyLinear(outer.linear, inner.offset);
+    return {
+        linear: multiply(outer.linear, inner.linear),
+        offset: { x: shifted.x + outer.offset.x, y: shifted.y + outer.offset.y }
+    };
+};
+
+const invertAffine = ({ linear, offset }) => {
+    const inverse = invert(linear);
+    const moved = applyLinear(inverse, offset);
+    return { linear: inverse, offset: { x: -moved.x, y: -moved.y } };
+};
+
+const frameAffine = ({ origin, linear }) => {
+    const turned = applyLinear(linear, origin);
+    return { linear, offset: { x: origin.x - turned.x, y: origin.y - turned.y } };
+};
+
+// SVG transform taking a drawing made for one frame and box to another frame and box
+// Points keep their place relative to the box, so a resize stretches the drawing
+const reframe = (from, to) => {
+    const scale = (size, newSize) => (size ? newSize / size : 1);
+    const sx = scale(from.box.width, to.box.width);
+    const sy = scale(from.box.height, to.box.height);
+    const stretch = { linear: [sx, 0, 0, sy], offset: { x: to.box.x - sx * from.box.x, y: to.box.y - sy * from.box.y } };
+
+    const { linear: [a, b, c, d], offset } = [frameAffine(to.frame), stretch, invertAffine(frameAffine(from.frame))]
+        .reduce(composeAffine);
+    return `matrix(${a} ${b} ${c} ${d} ${offset.x} ${offset.y})`;
+};
+
+// Axis-aligned page bounds of a transformed box, for marquee selection
+const pageBounds = (frame, box) => {
+    const corners = boxCorners(box).map(point => toPage(frame, point));
+    const xs = corners.map(point => point.x);
+    const ys = corners.map(point => point.y);
+    return { x1: Math.min(...xs), y1: Math.min(...ys), x2: Math.max(...xs), y2: Math.max(...ys) };
+};
+
+// Paths and groups have no box fields to resize; unboxed text sizes itself
+const resizeHandles = (element) => {
+    switch (element.type) {
+        case 'rectangle':
+        case 'image':
+        case 'ellipse':
+        case 'line':
+        case 'arrow':
+        case 'polygon':
+            return Object.keys(HANDLES);
+        case 'circle':
+            return CORNER_HANDLES;
+        case 'text':
+            if (element.width === undefined) return [];
+            return element.height === undefined ? ['e', 'w'] : Object.keys(HANDLES);
+        default:
+            return [];
+    }
+};
+
+// ============================================
+// Element changes
+// ============================================
+
+const shiftPaint = (paint, dx, dy) => {
+    if (!paint || typeof paint !== 'object') return undefined;
+    if (paint.type === 'radial') {
+        return {
+            ...paint,
+            cx: paint.cx + dx,
+            cy: paint.cy + dy,
+            ...(paint.fx !== undefined && { fx: paint.fx + dx }),
+            ...(paint.fy !== undefined && { fy: paint.fy + dy })
+        };
+    }
+    return { ...paint, x1: paint.x1 + dx, y1: paint.y1 + dy, x2: paint.x2 + dx, y2: paint.y2 + dy };
+};
+
+// Fields that move an element by dx/dy - its points, gradients and transform origin all move,
+// as when the backend moves elements into and out of groups
+const moveChanges = (element, dx, dy) => {
+    const changes = {};
+
+    switch (element.type) {
+        case 'line':
+        case 'arrow':
+            Object.assign(changes, {
+                x1: element.x1 + dx, y1: element.y1 + dy, x2: element.x2 + dx, y2: element.y2 + dy
+            });
+            break;
+        case 'polygon':
+            changes.points = element.points.map(point => ({ x: point.x + dx, y: point.y + dy }));
+            break;
+        default:
+            changes.x = (element.x || 0) + dx;
+            changes.y = (element.y || 0) + dy;
+            break;
+    }
+
+    // Path gradients are relative to the path's x/y and move with it already
+    if (element.type !== 'path') {
+        for (const field of ['fill', 'stroke']) {
+            const shifted = shiftPaint(element[field], dx, dy);
+            if (shifted) changes[field] = shifted;
+        }
+    }
+
+    const { originX, originY } = element.transform || {};
+    if (originX !== undefined || originY !== undefined) {
+        changes.transform = {
+            ...(originX !== undefined && { originX: originX + dx }),
+            ...(originY !== undefined && { originY: originY + dy })
+        };
+    }
+    return changes;
+};
+
+// Fields that fit an element to a new box; points scale from the box the gesture started with
+const resizeChanges = (element, from, to) => {
+    const scale = (value, start, size, newStart, newSize) =>
+        round(size ? newStart + (value - start) * newSize / size : value + newStart - start);
+    const scalePoint = ({ x, y }) => ({
+        x: scale(x, from.x, from.width, to.x, to.width),
+        y: scale(y, from.y, from.height, to.y, to.height)
+    });
+
+    switch (element.type) {
+        case 'ellipse':
+            return {
+                x: round(to.x + to.width / 2),
+                y: round(to.y + to.height / 2),
+                radiusX: round(to.width / 2),
+                radiusY: round(to.height / 2)
+            };
+        case 'circle':
+            return { x: round(to.x + to.width / 2), y: round(to.y + to.height / 2), radius: round(to.width / 2) };
+        case 'line':
+        case 'arrow': {
+            const start = scalePoint({ x: element.x1, y: element.y1 });
+            const end = scalePoint({ x: element.x2, y: element.y2 });
+            return { x1: start.x, y1: start.y, x2: end.x, y2: end.y };
+        }
+        case 'polygon':
+            return { points: element.points.map(scalePoint) };
+        case 'text':
+            return {
+                x: round(to.x),
+                y: round(to.y),
+                width: round(to.width),
+                ...(element.height !== undefined && { height: round(to.height) })
+            };
+        default:
+            return { x: round(to.x), y: round(to.y), width: round(to.width), height: round(to.height) };
+    }
+};
+
+// New box for a resize handle dragged by a local (untransformed) delta
+// The opposite side or corner stays put; aspect keeps the box's proportions
+const resizeBox = (box, handle, delta, aspect) => {
+    const [fx, fy] = HANDLES[handle];
+    let width = box.width + (fx === 1 ? delta.x : fx === 0 ? -delta.x : 0);
+    let height = box.height + (fy === 1 ? delta.y : fy === 0 ? -delta.y : 0);
+
+    if (aspect && box.width > 0 && box.height > 0) {
+        const factor = Math.max(width / box.width, height / box.height);
+        width = box.width * factor;
+        height = box.height * factor;
+    }
+    width = Math.max(1, width);
+    height = box.height === 0 ? 0 : Math.max(1, height);
+
+    // Anchor on the opposite edge; handles on an edge's middle keep that axis centred
+    const x = fx === 0 ? box.x + box.width - width : fx === 1 ? box.x : box.x + (box.width - width) / 2;
+    const y = fy === 0 ? box.y + box.height - height : fy === 1 ? box.y : box.y + (box.height - height) / 2;
+    return { x, y, width, height };
+};
+
+// ============================================
+// Stage
+// ============================================
+
+function Stage({ svg, page, elements, layers, selectedIds, onSelect, onCommit }) {
+    const overlayRef = useRef(null);
+    const gestureRef = useRef(null);
+    const [gesture, setGesture] = useState(null);
+    const [zoom, setZoom] = useState(1);
+
+    // Screen pixels per page unit, so handles keep their size whatever the stage size
+    useEffect(() => {
+        const overlay = overlayRef.current;
+        if (!overlay) return undefined;
+        const observer = new ResizeObserver(() => {
+            setZoom(overlay.getBoundingClientRect().width / page.width || 1);
+        });
+        observer.observe(overlay);
+        return () => observer.disconnect();
+    }, [page.width]);
+
+    const isLocked = (element) => {
+        const layer = layers.find(l => l.id === element.layerId) || layers[0];
+        return Boolean(layer?.locked);
+    };
+    const selected = elements.filter(el => selectedIds.includes(el.id));
+
+    const toPagePoint = (event) => {
+        const point = new DOMPoint(event.clientX, event.clientY)
+            .matrixTransform(overlayRef.current.getScreenCTM().inverse());
+        return { x: point.x, y: point.y };
+    };
+
+    const update = (next) => {
+        gestureRef.current = next;
+        setGesture(next);
+    };
+
+    const handlePointerDown = (event) => {
+        if (event.button !== 0 || gestureRef.current?.committing) return;
+        const start = toPagePoint(event);
+        const handle = event.target.dataset?.handle;
+        const node = event.target.closest?.('[data-element-id]');
+        const target = node && elements.find(el => el.id === node.dataset.elementId);
+
+        if (handle && selected.length === 1) {
+            const [element] = selected;
+            const frame = elementFrame(element);
+            update(handle === 'rotate'
+                ? {
+                    kind: 'rotate',
+                    element,
+                    frame,
+                    start,
+                    rotation: element.transform?.rotation || 0,
+                    angle: element.transform?.rotation || 0
+                }
+                : { kind: 'resize', element, frame, handle, start, box: editBox(element), current: editBox(element) });
+        } else if (target && !isLocked(target)) {
+            let ids = selectedIds;
+            if (event.shiftKey) {
+                ids = ids.includes(target.id) ? ids.filter(id => id !== target.id) : [...ids, target.id];
+            } else if (!ids.includes(target.id)) {
+                ids = [target.id];
+            }
+            onSelect(ids);
+
+            // Everything selected moves together, except what sits on a locked layer
+            const movable = ids.includes(target.id)
+                ? elements.filter(el => ids.includes(el.id) && !isLocked(el)).map(el => el.id)
+                : [];
+            update({ kind: 'move', ids: movable, selectedCount: ids.length, target: target.id, start, dx: 0, dy: 0, moved: false });
+        } else {
+            update({ kind: 'marquee', start, end: start, additive: event.shiftKey });
+        }
+        event.currentTarget.setPointerCapture(event.pointerId);
+    };
+
+    const handlePointerMove = (event) => {
+        const current = gestureRef.current;
+        if (!current || current.committing) return;
+        const point = toPagePoint(event);
+        const dx = point.x - current.start.x;
+        const dy = point.y - current.start.y;
+
+        switch (current.kind) {
+            case 'move': {
+                const moved = current.moved || Math.hypot(dx, dy) * zoom >= DRAG_THRESHOLD;
+                if (!moved) return;
+                update({ ...current, dx: Math.round(dx), dy: Math.round(dy), moved });
+                break;
+            }
+            case 'resize': {
+                const { element, frame, handle, box } = current;
+                const delta = applyLinear(invert(frame.linear), { x: dx, y: dy });
+                const aspect = element.type === 'circle' || (event.shiftKey && CORNER_HANDLES.includes(handle));
+                const next = resizeBox(box, handle, delta, aspect);
+
+                // A default origin follows the box's centre, which would swing a rotated element
+                // around - shift the box so the anchored side stays where it is on the page
+                if (!frame.explicitOrigin) {
+                    const oldCentre = boxPoint(box, [0.5, 0.5]);
+                    const newCentre = boxPoint(next, [0.5, 0.5]);
+                    const diff = { x: oldCentre.x - newCentre.x, y: oldCentre.y - newCentre.y };
+                    const turned = applyLinear(frame.linear, diff);
+                    next.x += diff.x - turned.x;
+                    next.y += diff.y - turned.y;
+                }
+                update({ ...current, current: next });
+                break;
+            }
+            case 'rotate': {
+                const { origin } = current.frame;
+                const from = Math.atan2(current.start.y - origin.y, current.start.x - origin.x);
+                const to = Math.atan2(point.y - origin.y, point.x - origin.x);
+                let rotation = current.rotation + toDegrees(to - from);
+                if (event.shiftKey) rotation = Math.round(rotation / ROTATION_SNAP) * ROTATION_SNAP;
+                rotation = round(((rotation % 360) + 540) % 360 - 180);
+                update({ ...current, angle: rotation });
+                break;
+            }
+            case 'marquee':
+                update({ ...current, end: point });
+                break;
+            default:
+                break;
+        }
+    };
+
+    const finishGesture = async (current, event) => {
+        switch (current.kind) {
+            case 'move': {
+                if (!current.moved) {
+                    // A plain click on one of several selected elements selects just that one
+                    if (!event.shiftKey && current.selectedCount > 1) onSelect([current.target]);
+                    return;
+                }
+                if (current.ids.length === 0 || (current.dx === 0 && current.dy === 0)) return;
+                const moving = elements.filter(el => current.ids.includes(el.id));
+                await onCommit(moving.map(el => ({
+                    id: el.id,
+                    changes: moveChanges(el, current.dx, current.dy)
+                })));
+                return;
+            }
+            case 'resize': {
+                const { element, box, current: next } = current;
+                if (next.x === box.x && next.y === box.y && next.width === box.width && next.height === box.height) return;
+                await onCommit([{ id: element.id, changes: resizeChanges(element, box, next) }]);
+                return;
+            }
+            case 'rotate':
+                if (current.angle === current.rotation) return;
+                await onCommit([{ id: current.element.id, changes: { transform: { rotation: current.angle } } }]);
+                return;
+            case 'marquee': {
+                const x1 = Math.min(current.start.x, current.end.x);
+                const y1 = Math.min(current.start.y, current.end.y);
+                const x2 = Math.max(current.start.x, current.end.x);
+                const y2 = Math.max(current.start.y, current.end.y);
+                const hits = elements
+                    .filter(el => !isLocked(el))
+                    .filter(el => {
+                        const bounds = pageBounds(elementFrame(el), editBox(el));
+                        return bounds.x1 <= x2 && bounds.x2 >= x1 && bounds.y1 <= y2 && bounds.y2 >= y1;
+                    })
+                    .map(el => el.id);
+
+                // A click on empty space clears the selection
+                if ((x2 - x1) * zoom < DRAG_THRESHOLD && (y2 - y1) * zoom < DRAG_THRESHOLD) {
+                    if (!current.additive) onSelect([]);
+                    return;
+                }
+                onSelect(current.additive ? [...new Set([...selectedIds, ...hits])] : hits);
+                return;
+            }
+            default:
+                return;
+        }
+    };
+
+    const handlePointerUp = async (event) => {
+        const current = gestureRef.current;
+        if (!current || current.committing) return;
+        // The stage keeps showing the gesture until the updated elements are in
+        update({ ...current, committing: true });
+        try {
+            await finishGesture(current, event);
+        } finally {
+            update(null);
+        }
+    };
+
+    // A cancelled gesture (e.g. the browser took over a touch) leaves the canvas as it was
+    const handlePointerCancel = () => {
+        const current = gestureRef.current;
+        if (!current || current.committing) return;
+        update(null);
+    };
+
+    // ============================================
+    // Drawing and overlay
+    // ============================================
+
+    const unit = 1 / zoom;
+
+    const frameFor = (element) => {
+        const frame = elementFrame(element);
+        if (gesture?.kind === 'rotate' && gesture.element.id === element.id) {
+            return elementFrame({
+                ...element,
+                transform: { ...element.transform, rotation: gesture.angle }
+            });
+        }
+        return frame;
+    };
+
+    const boxFor = (element, frame) => {
+        if (gesture?.kind === 'resize' && gesture.element.id === element.id) {
+            const box = gesture.current;
+            return {
+                box,
+                frame: frame.explicitOrigin ? frame : { ...frame, origin: boxPoint(box, [0.5, 0.5]) }
+            };
+        }
+        const box = editBox(element);
+        if (gesture?.kind === 'move' && gesture.ids.includes(element.id)) {
+            return {
+                box: { ...box, x: box.x + gesture.dx, y: box.y + gesture.dy },
+                frame: { ...frame, origin: { x: frame.origin.x + gesture.dx, y: frame.origin.y + gesture.dy } }
+            };
+        }
+        return { box, frame };
+    };
+
+    // Where the drawing shows the elements a gesture is changing, until the update is in
+    const drawingTransforms = () => {
+        let changing = [];
+        if (gesture?.kind === 'move' && gesture.moved) {
+            changing = elements.filter(el => gesture.ids.includes(el.id));
+        } else if (gesture?.kind === 'resize' || gesture?.kind === 'rotate') {
+            changing = [gesture.element];
+        }
+        return Object.fromEntries(changing.map(element => [
+            element.id,
+            reframe({ box: editBox(element), frame: elementFrame(element) }, boxFor(element, frameFor(element)))
+        ]));
+    };
+
+    const renderSelection = (element) => {
+        const { box, frame } = boxFor(element, frameFor(element));
+        const outline = boxCorners(box).map(point => toPage(frame, point));
+        const locked = isLocked(element);
+        const showHandles = selected.length === 1 && !locked && gesture?.kind !== 'move';
+
+        let rotateHandle = null;
+        if (showHandles) {
+            // Just outside the top edge, pointing away from the centre
+            const top = toPage(frame, boxPoint(box, [0.5, 0]));
+            const centre = toPage(frame, boxPoint(box, [0.5, 0.5]));
+            const length = Math.hypot(top.x - centre.x, top.y - centre.y);
+            const direction = length > 0
+                ? { x: (top.x - centre.x) / length, y: (top.y - centre.y) / length }
+                : { x: 0, y: -1 };
+            rotateHandle = {
+                from: top,
+                at: { x: top.x + direction.x * ROTATE_HANDLE_OFFSET * unit, y: top.y + direction.y * ROTATE_HANDLE_OFFSET * unit }
+            };
+        }
+
+        return (
+            <g key={element.id}>
+                <polygon
+                    className={`stage-outline ${locked ? 'locked' : ''}`}
+                    points={outline.map(point => `${point.x},${point.y}`).join(' ')}
+                    strokeWidth={1.5 * unit}
+                />
+                {rotateHandle && (
+                    <>
+                        <line
+                            className="stage-outline"
+                            x1={rotateHandle.from.x}
+                            y1={rotateHandle.from.y}
+                            x2={rotateHandle.at.x}
+                            y2={rotateHandle.at.y}
+                            strokeWidth={unit}
+                        />
+                        <circle
+                            className="stage-handle rotate"
+                            data-handle="rotate"
+                            cx={rotateHandle.at.x}
+                            cy={rotateHandle.at.y}
+                            r={(HANDLE_SIZE / 2 + 1) * unit}
+                            strokeWidth={unit}
+                        />
+                    </>
+                )}
+                {showHandles && resizeHandles(element).map((handle) => {
+                    const point = toPage(frame, boxPoint(box, HANDLES[handle]));
+                    const size = HANDLE_SIZE * unit;
+                    return (
+                        <rect
+                            key={handle}
+                            className={`stage-handle handle-${handle}`}
+                            data-handle={handle}
+                            x={point.x - size / 2}
+                            y={point.y - size / 2}
+                            width={size}
+                            height={size}
+                            strokeWidth={unit}
+                        />
+                    );
+                })}
+            </g>
+        );
+    };
+
+    const marquee = gesture?.kind === 'marquee' && {
+        x: Math.min(gesture.start.x, gesture.end.x),
+        y: Math.min(gesture.start.y, gesture.end.y),
+        width: Math.abs(gesture.end.x - gesture.start.x),
+        height: Math.abs(gesture.end.y - gesture.start.y)
+    };
+
+    return (
+        <div
+            className="stage"
+            style={{ width: Math.min(page.width, 600 * page.width / page.height) }}
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerCancel}
+        >
+            <div className="stage-content">
+                <StageDrawing
+                    svg={svg}
+                    page={page}
+                    elements={elements}
+                    transforms={drawingTransforms()}
+                />
+            </div>
+            <svg
+                ref={overlayRef}
+                className="stage-overlay"
+                viewBox={`0 0 ${page.width} ${page.height}`}
+            >
+                {selected.map(renderSelection)}
+                {marquee && (
+                    <rect className="stage-marquee" {...marquee} strokeWidth={unit} />
+                )}
+            </svg>
+        </div>
+    );
+}
+
+export default Stage;
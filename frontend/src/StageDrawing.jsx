@@ -0,0 +1,72 @@
+import { useLayoutEffect, useMemo, useRef } from 'react';
+
+// Drawing of one page for the editing stage
+//
+// Pixels come from the page's SVG export, so the stage shows what every export draws and
+// there is only one renderer. The stage's own structure comes from the element list: each
+// listed element gets a group tagged with data-element-id, which holds that element's
+// drawing from the export and takes the transform a gesture in progress gives it.
+// transforms: element id -> SVG transform, for the elements a gesture is changing
+
+// Markup that runs code or embeds HTML has no place in a drawing
+const UNSAFE_ELEMENTS = 'script, foreignObject, iframe';
+
+// Background and defs, then each element's drawing by id, in the export's order - which
+// already follows the layers and leaves hidden ones out
+const parseExport = (svg) => {
+    const parsed = new DOMParser().parseFromString(svg, 'image/svg+xml');
+    const root = parsed.documentElement;
+    const drawings = new Map();
+    const base = [];
+    if (root.nodeName !== 'svg') return { base, drawings };
+
+    for (const node of root.querySelectorAll(UNSAFE_ELEMENTS)) node.remove();
+    for (const node of root.querySelectorAll('*')) {
+        for (const { name } of [...node.attributes]) {
+            if (name.toLowerCase().startsWith('on')) node.removeAttribute(name);
+        }
+    }
+
+    for (const node of root.children) {
+        const id = node.getAttribute('data-element-id');
+        if (id) {
+            drawings.set(id, [...node.childNodes]);
+        } else {
+            base.push(node);
+        }
+    }
+    return { base, drawings };
+};
+
+// A group holding copies of parsed export nodes
+function ExportNodes({ nodes }) {
+    const ref = useRef(null);
+
+    useLayoutEffect(() => {
+        ref.current.replaceChildren(...nodes.map(node => document.importNode(node, true)));
+    }, [nodes]);
+
+    return <g ref={ref} />;
+}
+
+function StageDrawing({ svg, page, elements, transforms }) {
+    const { base, drawings } = useMemo(() => parseExport(svg), [svg]);
+    const listed = new Set(elements.map(element => element.id));
+
+    return (
+        <svg
+            className="stage-drawing"
+            viewBox={`0 0 ${page.width} ${page.height}`}
+            xmlns="http://www.w3.org/2000/svg"
+        >
+            <ExportNodes nodes={base} />
+            {[...drawings].filter(([id]) => listed.has(id)).map(([id, nodes]) => (
+                <g key={id} data-element-id={id} transform={transforms[id]}>
+                    <ExportNodes nodes={nodes} />
+                </g>
+            ))}
+        </svg>
+    );
+}
+
+export default StageDrawing;